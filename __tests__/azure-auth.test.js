@@ -0,0 +1,99 @@
+/**
+ * Tests for azure-auth.js Microsoft Entra ID authentication
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core
+const mockInfo = jest.fn();
+const mockSetSecret = jest.fn();
+const mockGetIDToken = jest.fn();
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: mockInfo,
+  setSecret: mockSetSecret,
+  getIDToken: mockGetIDToken
+}));
+
+describe('Microsoft Entra ID authentication', () => {
+  let originalFetch;
+  let getEntraAccessToken;
+
+  beforeAll(async () => {
+    ({ getEntraAccessToken } = await import('../src/azure-auth.js'));
+  });
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    jest.clearAllMocks();
+
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ access_token: 'entra-access-token' })
+      })
+    );
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should request a token with the client secret', async () => {
+    const token = await getEntraAccessToken('tenant-id', 'client-id', 'client-secret');
+
+    expect(token).toBe('entra-access-token');
+    expect(mockGetIDToken).not.toHaveBeenCalled();
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://login.microsoftonline.com/tenant-id/oauth2/v2.0/token');
+    const body = new URLSearchParams(options.body);
+    expect(body.get('grant_type')).toBe('client_credentials');
+    expect(body.get('client_id')).toBe('client-id');
+    expect(body.get('client_secret')).toBe('client-secret');
+    expect(body.get('scope')).toBe('499b84ac-1321-427f-aa17-267ca6975798/.default');
+  });
+
+  it('should federate the GitHub OIDC token when no client secret is provided', async () => {
+    mockGetIDToken.mockResolvedValue('github-oidc-token');
+
+    const token = await getEntraAccessToken('tenant-id', 'client-id', '');
+
+    expect(token).toBe('entra-access-token');
+    expect(mockGetIDToken).toHaveBeenCalledWith('api://AzureADTokenExchange');
+
+    const body = new URLSearchParams(global.fetch.mock.calls[0][1].body);
+    expect(body.get('client_secret')).toBeNull();
+    expect(body.get('client_assertion_type')).toBe('urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+    expect(body.get('client_assertion')).toBe('github-oidc-token');
+  });
+
+  it('should mask the acquired access token', async () => {
+    await getEntraAccessToken('tenant-id', 'client-id', 'client-secret');
+
+    expect(mockSetSecret).toHaveBeenCalledWith('entra-access-token');
+  });
+
+  it('should throw with the error description when the token request fails', async () => {
+    global.fetch = jest.fn(() =>
+      Promise.resolve({
+        ok: false,
+        status: 401,
+        json: () =>
+          Promise.resolve({ error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret' })
+      })
+    );
+
+    await expect(getEntraAccessToken('tenant-id', 'client-id', 'bad-secret')).rejects.toThrow(
+      'Failed to acquire a Microsoft Entra ID access token: AADSTS7000215: Invalid client secret'
+    );
+  });
+
+  it('should throw when the tenant or client ID is missing', async () => {
+    await expect(getEntraAccessToken('', 'client-id', 'client-secret')).rejects.toThrow(
+      'azure-tenant-id and azure-client-id are required'
+    );
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
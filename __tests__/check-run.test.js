@@ -0,0 +1,138 @@
+/**
+ * Tests for check-run.js check run report
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core
+const mockInfo = jest.fn();
+const mockWarning = jest.fn();
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: mockInfo,
+  warning: mockWarning
+}));
+
+describe('Check run', () => {
+  let createCheckRun;
+  let mockOctokit;
+
+  const context = { repo: { owner: 'owner', repo: 'repo' } };
+
+  const report = {
+    target: 'pull request #42',
+    invalidCommits: [{ sha: 'def456abc123', shortSha: 'def456a', message: 'chore: no work item\n\nMore details' }],
+    commitsRequireWorkItems: true,
+    workItemReference: 'a work item reference (`AB#xxx`)',
+    invalidWorkItems: [
+      { id: '1', commit: { sha: 'abc123def456', shortSha: 'abc123d' }, problems: ['does not exist in Azure DevOps'] },
+      { id: '2', commit: null, problems: ['is in state `Closed` (allowed: `Active`)'] }
+    ],
+    failures: ['There is 1 commit in pull request #42 not linked to work items']
+  };
+
+  beforeAll(async () => {
+    ({ createCheckRun } = await import('../src/check-run.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        checks: {
+          create: jest.fn().mockResolvedValue({ data: { id: 99 } }),
+          update: jest.fn().mockResolvedValue({ data: { id: 99 } })
+        }
+      }
+    };
+  });
+
+  it('should create a failed check run with an annotation per invalid commit and work item', async () => {
+    await createCheckRun(mockOctokit, context, 'head123', report);
+
+    expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        owner: 'owner',
+        repo: 'repo',
+        name: 'Azure DevOps work item validation',
+        head_sha: 'head123',
+        status: 'completed',
+        conclusion: 'failure'
+      })
+    );
+    const { output } = mockOctokit.rest.checks.create.mock.calls[0][0];
+    expect(output.summary).toBe('- There is 1 commit in pull request #42 not linked to work items');
+    expect(output.annotations).toEqual([
+      expect.objectContaining({
+        annotation_level: 'failure',
+        title: 'def456a - commit is not linked to a work item',
+        message: 'chore: no work item\n\nReword the commit message to include a work item reference (`AB#xxx`).'
+      }),
+      expect.objectContaining({
+        annotation_level: 'failure',
+        title: 'AB#1 - does not exist in Azure DevOps',
+        message: 'Referenced in commit abc123d.'
+      }),
+      expect.objectContaining({
+        title: 'AB#2 - is in state `Closed` (allowed: `Active`)',
+        message: 'Referenced in the pull request title/body.'
+      })
+    ]);
+    expect(mockOctokit.rest.checks.update).not.toHaveBeenCalled();
+  });
+
+  it('should create a successful check run when there are no failures', async () => {
+    await createCheckRun(mockOctokit, context, 'head123', {
+      ...report,
+      invalidCommits: [],
+      invalidWorkItems: [],
+      failures: []
+    });
+
+    const checkRun = mockOctokit.rest.checks.create.mock.calls[0][0];
+    expect(checkRun.conclusion).toBe('success');
+    expect(checkRun.output.annotations).toEqual([]);
+  });
+
+  it('should annotate commits without a work item as warnings when they are allowed', async () => {
+    await createCheckRun(mockOctokit, context, 'head123', { ...report, commitsRequireWorkItems: false });
+
+    const { output } = mockOctokit.rest.checks.create.mock.calls[0][0];
+    expect(output.annotations[0].annotation_level).toBe('warning');
+  });
+
+  it('should annotate work items referenced in the branch name', async () => {
+    await createCheckRun(mockOctokit, context, 'head123', {
+      ...report,
+      invalidCommits: [],
+      invalidWorkItems: [{ id: '3', commit: null, branch: true, problems: ['does not exist in Azure DevOps'] }]
+    });
+
+    const { output } = mockOctokit.rest.checks.create.mock.calls[0][0];
+    expect(output.annotations[0].message).toBe('Referenced in the branch name.');
+  });
+
+  it('should add annotations beyond the first 50 with check run updates', async () => {
+    const invalidCommits = Array.from({ length: 120 }, (_, i) => ({
+      sha: `sha${i}`,
+      shortSha: `sha${i}`,
+      message: 'no work item'
+    }));
+
+    await createCheckRun(mockOctokit, context, 'head123', { ...report, invalidCommits, invalidWorkItems: [] });
+
+    expect(mockOctokit.rest.checks.create.mock.calls[0][0].output.annotations).toHaveLength(50);
+    expect(mockOctokit.rest.checks.update).toHaveBeenCalledTimes(2);
+    expect(mockOctokit.rest.checks.update.mock.calls[0][0].check_run_id).toBe(99);
+    expect(mockOctokit.rest.checks.update.mock.calls[0][0].output.annotations).toHaveLength(50);
+    expect(mockOctokit.rest.checks.update.mock.calls[1][0].output.annotations).toHaveLength(20);
+  });
+
+  it('should warn instead of failing when the check run cannot be created', async () => {
+    mockOctokit.rest.checks.create.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+    await createCheckRun(mockOctokit, context, 'head123', report);
+
+    expect(mockWarning).toHaveBeenCalledWith('Unable to create check run: Resource not accessible by integration');
+  });
+});
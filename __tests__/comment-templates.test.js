@@ -0,0 +1,129 @@
+/**
+ * Tests for comment-templates.js custom pull request comments
+ */
+
+import {
+  loadCommentTemplates,
+  renderCommentTemplate,
+  renderPlaceholders,
+  validateCommentTemplates
+} from '../src/comment-templates.js';
+import { jest } from '@jest/globals';
+
+describe('Comment templates', () => {
+  const context = { repo: { owner: 'owner', repo: 'repo' } };
+
+  describe('validateCommentTemplates', () => {
+    it('should accept templates and template files', () => {
+      expect(
+        validateCommentTemplates({
+          'commits-not-linked': 'Missing work items in #{{pullNumber}}:\n{{ invalidCommits }}',
+          'pull-request-linked': { file: '.github/templates/linked.md' }
+        })
+      ).toEqual([]);
+    });
+
+    it('should report unknown templates, placeholders and values', () => {
+      expect(
+        validateCommentTemplates({
+          'commit-not-linked': 'typo',
+          'pull-request-not-linked': 'See {{invalidCommits}} in {{runUrl}}',
+          'commits-linked': ['not', 'a', 'template'],
+          exempt: { path: 'exempt.md' }
+        })
+      ).toEqual([
+        expect.stringMatching(/^unknown comment template `commit-not-linked` \(expected one of commits-not-linked, /),
+        'unknown placeholder `{{invalidCommits}}` in `comment-templates.pull-request-not-linked` (expected one of pullNumber, runUrl)',
+        '`comment-templates.commits-linked` must be a template or {file: path}',
+        '`comment-templates.exempt` must be a template or {file: path}'
+      ]);
+    });
+
+    it('should require a mapping', () => {
+      expect(validateCommentTemplates('commits-not-linked')).toEqual([
+        '`comment-templates` must be a mapping of template names to templates'
+      ]);
+    });
+  });
+
+  describe('loadCommentTemplates', () => {
+    let mockOctokit;
+
+    beforeEach(() => {
+      mockOctokit = { rest: { repos: { getContent: jest.fn() } } };
+    });
+
+    it('should read template files from the given branch', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', content: Buffer.from('Linked in #{{pullNumber}}').toString('base64') }
+      });
+
+      const templates = await loadCommentTemplates(
+        mockOctokit,
+        context,
+        { 'pull-request-linked': { file: 'templates/linked.md' }, exempt: 'Skipped: {{reason}}' },
+        'main'
+      );
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: 'templates/linked.md',
+        ref: 'main'
+      });
+      expect(templates).toEqual({ 'pull-request-linked': 'Linked in #{{pullNumber}}', exempt: 'Skipped: {{reason}}' });
+    });
+
+    it('should throw when a template file cannot be read', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      await expect(
+        loadCommentTemplates(mockOctokit, context, { exempt: { file: 'templates/exempt.md' } })
+      ).rejects.toThrow('Unable to load comment template file templates/exempt.md: Not Found');
+    });
+
+    it('should validate the placeholders in template files', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file', content: Buffer.from('{{workItems}}').toString('base64') }
+      });
+
+      await expect(
+        loadCommentTemplates(mockOctokit, context, { exempt: { file: 'templates/exempt.md' } })
+      ).rejects.toThrow(
+        'Invalid comment templates:\n- unknown placeholder `{{workItems}}` in `comment-templates.exempt`'
+      );
+    });
+
+    it('should not call the API without template files', async () => {
+      expect(await loadCommentTemplates(mockOctokit, context, {})).toEqual({});
+      expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderCommentTemplate', () => {
+    it('should replace the placeholders and keep the marker first', () => {
+      expect(
+        renderCommentTemplate(
+          {
+            'commits-not-linked': '\n{{count}} commit(s) in #{{ pullNumber }} need a work item:\n{{invalidCommits}}\n'
+          },
+          'commits-not-linked',
+          '<!-- MARKER -->',
+          { pullNumber: 42, count: 1, invalidCommits: '- abc1234', runUrl: 'https://example.com' }
+        )
+      ).toBe('<!-- MARKER -->\n1 commit(s) in #42 need a work item:\n- abc1234');
+    });
+
+    it('should return null when the template is not customized', () => {
+      expect(renderCommentTemplate({}, 'commits-linked', '<!-- MARKER -->', {})).toBeNull();
+    });
+  });
+
+  describe('renderPlaceholders', () => {
+    it('should replace known placeholders and keep unknown ones', () => {
+      expect(renderPlaceholders('{{repo}}#{{ prNumber }} {{other}}', { repo: 'owner/repo', prNumber: 42 })).toBe(
+        'owner/repo#42 {{other}}'
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for commit-filter.js commit exemptions
+ */
+
+import { buildCommitFilter, getCommitIgnoreReason } from '../src/commit-filter.js';
+
+/**
+ * Build a commit in the shape returned by the pull request commits API
+ *
+ * @param {string} message - Commit message
+ * @param {Object} options - Author login/name/email and parent count
+ * @returns {Object} Commit
+ */
+function makeCommit(message, { login, name = 'Jane Doe', email = 'jane@example.com', parents = 1 } = {}) {
+  return {
+    sha: 'abc123def456',
+    author: login ? { login } : null,
+    parents: Array.from({ length: parents }, (_, i) => ({ sha: `parent${i}` })),
+    commit: { message, author: { name, email } }
+  };
+}
+
+const noExemptions = {
+  ignoreAuthors: [],
+  ignoreCommitPatterns: [],
+  ignoreMergeCommits: false,
+  ignoreRevertCommits: false
+};
+
+describe('Commit exemptions', () => {
+  it('should not exempt any commit by default', () => {
+    const filter = buildCommitFilter(noExemptions);
+
+    expect(getCommitIgnoreReason(makeCommit('Merge branch main', { parents: 2 }), filter)).toBeNull();
+    expect(getCommitIgnoreReason(makeCommit('Revert "feat: add feature"'), filter)).toBeNull();
+  });
+
+  describe('ignore-authors', () => {
+    it('should match bot logins literally, including the [bot] suffix', () => {
+      const filter = buildCommitFilter({ ...noExemptions, ignoreAuthors: ['dependabot[bot]'] });
+
+      expect(getCommitIgnoreReason(makeCommit('chore(deps): bump', { login: 'dependabot[bot]' }), filter)).toBe(
+        'author `dependabot[bot]` matches `dependabot[bot]`'
+      );
+      expect(getCommitIgnoreReason(makeCommit('chore(deps): bump', { login: 'dependabotb' }), filter)).toBeNull();
+    });
+
+    it('should support * wildcards and match case-insensitively', () => {
+      const filter = buildCommitFilter({ ...noExemptions, ignoreAuthors: ['*[BOT]'] });
+
+      expect(getCommitIgnoreReason(makeCommit('chore: update', { login: 'renovate[bot]' }), filter)).toBe(
+        'author `renovate[bot]` matches `*[BOT]`'
+      );
+      expect(getCommitIgnoreReason(makeCommit('feat: add', { login: 'octocat' }), filter)).toBeNull();
+    });
+
+    it('should match the commit author name and email', () => {
+      const filter = buildCommitFilter({ ...noExemptions, ignoreAuthors: ['*@automation.example.com'] });
+
+      expect(getCommitIgnoreReason(makeCommit('chore: sync', { email: 'sync@automation.example.com' }), filter)).toBe(
+        'author `sync@automation.example.com` matches `*@automation.example.com`'
+      );
+    });
+  });
+
+  describe('ignore-commit-patterns', () => {
+    it('should exempt commits whose message matches a pattern', () => {
+      const filter = buildCommitFilter({ ...noExemptions, ignoreCommitPatterns: ['^chore\\(release\\):', ' '] });
+
+      expect(getCommitIgnoreReason(makeCommit('chore(release): 1.2.0'), filter)).toBe(
+        'message matches `^chore\\(release\\):`'
+      );
+      expect(getCommitIgnoreReason(makeCommit('feat: add'), filter)).toBeNull();
+    });
+
+    it('should throw for an invalid pattern', () => {
+      expect(() => buildCommitFilter({ ...noExemptions, ignoreCommitPatterns: ['chore(('] })).toThrow(
+        /^Invalid ignore-commit-patterns `chore\(\(`/
+      );
+    });
+  });
+
+  it('should exempt merge commits when ignore-merge-commits is set', () => {
+    const filter = buildCommitFilter({ ...noExemptions, ignoreMergeCommits: true });
+
+    expect(getCommitIgnoreReason(makeCommit("Merge branch 'main' into feature", { parents: 2 }), filter)).toBe(
+      'merge commit'
+    );
+    expect(getCommitIgnoreReason(makeCommit("Merge branch 'main' into feature"), filter)).toBeNull();
+  });
+
+  it('should exempt revert commits when ignore-revert-commits is set', () => {
+    const filter = buildCommitFilter({ ...noExemptions, ignoreRevertCommits: true });
+
+    expect(getCommitIgnoreReason(makeCommit('Revert "feat: add feature"\n\nThis reverts commit abc.'), filter)).toBe(
+      'revert commit'
+    );
+    expect(getCommitIgnoreReason(makeCommit('feat: revert the old behavior'), filter)).toBeNull();
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * Tests for config.js repository configuration file
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core
+const mockGetInput = jest.fn();
+const mockGetMultilineInput = jest.fn();
+const mockInfo = jest.fn();
+
+jest.unstable_mockModule('@actions/core', () => ({
+  getInput: mockGetInput,
+  getMultilineInput: mockGetMultilineInput,
+  info: mockInfo
+}));
+
+/**
+ * Build a contents API response for a file
+ *
+ * @param {string} content - File content
+ * @returns {Object} Contents API response
+ */
+function fileResponse(content) {
+  return { data: { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64') } };
+}
+
+describe('Configuration file', () => {
+  let loadConfigFile;
+  let loadOrganizationConfig;
+  let mergeConfigs;
+  let validateConfig;
+  let createSettings;
+  let mockOctokit;
+
+  const context = { repo: { owner: 'owner', repo: 'repo' } };
+
+  beforeAll(async () => {
+    ({ loadConfigFile, loadOrganizationConfig, mergeConfigs, validateConfig, createSettings } =
+      await import('../src/config.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetInput.mockReturnValue('');
+    mockGetMultilineInput.mockReturnValue([]);
+    mockOctokit = { rest: { repos: { getContent: jest.fn() } } };
+  });
+
+  describe('loadConfigFile', () => {
+    it('should load and parse the file from the given branch', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(
+        fileResponse('check-pull-request: true\nallowed-work-item-states: [New, Active]\n')
+      );
+
+      const config = await loadConfigFile(mockOctokit, context, '.github/azdo-validator.yml', 'main');
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: '.github/azdo-validator.yml',
+        ref: 'main'
+      });
+      expect(config).toEqual({ 'check-pull-request': true, 'allowed-work-item-states': ['New', 'Active'] });
+    });
+
+    it('should return an empty configuration when the file does not exist', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      const config = await loadConfigFile(mockOctokit, context, '.github/azdo-validator.yml');
+
+      expect(config).toEqual({});
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        path: '.github/azdo-validator.yml'
+      });
+    });
+
+    it('should return an empty configuration for an empty file', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(fileResponse(''));
+
+      expect(await loadConfigFile(mockOctokit, context, '.github/azdo-validator.yml')).toEqual({});
+    });
+
+    it('should throw when the file cannot be read', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Forbidden'), { status: 403 }));
+
+      await expect(loadConfigFile(mockOctokit, context, '.github/azdo-validator.yml')).rejects.toThrow(
+        'Unable to load configuration file .github/azdo-validator.yml: Forbidden'
+      );
+    });
+
+    it('should throw when the path is a directory', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({ data: [] });
+
+      await expect(loadConfigFile(mockOctokit, context, '.github')).rejects.toThrow(
+        'Unable to load configuration file .github: path is not a file'
+      );
+    });
+
+    it('should throw when the file is not valid YAML', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(fileResponse('check-commits: [true\n'));
+
+      await expect(loadConfigFile(mockOctokit, context, '.github/azdo-validator.yml')).rejects.toThrow(
+        /^Invalid configuration file \.github\/azdo-validator\.yml: /
+      );
+    });
+  });
+
+  describe('loadOrganizationConfig', () => {
+    it("should load the shared configuration from the owner's .github repository", async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(fileResponse('exempt-labels: [no-work-item]\n'));
+
+      const config = await loadOrganizationConfig(mockOctokit, context);
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: '.github',
+        path: 'azdo-validator.yml'
+      });
+      expect(config).toEqual({ 'exempt-labels': ['no-work-item'] });
+    });
+
+    it('should return an empty configuration when the .github repository has no configuration file', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+      expect(await loadOrganizationConfig(mockOctokit, context)).toEqual({});
+      expect(mockInfo).toHaveBeenCalledWith('No configuration file found at owner/.github/azdo-validator.yml');
+    });
+
+    it('should not load the shared configuration twice in the .github repository itself', async () => {
+      const config = await loadOrganizationConfig(mockOctokit, { repo: { owner: 'owner', repo: '.github' } });
+
+      expect(config).toEqual({});
+      expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeConfigs', () => {
+    it('should override settings and append branch rules', () => {
+      const merged = mergeConfigs(
+        {
+          'check-pull-request': true,
+          'exempt-labels': ['no-work-item', 'dependencies'],
+          'allowed-projects': ['Platform'],
+          branches: [{ base: 'release/*', 'dry-run': true }]
+        },
+        {
+          'exempt-labels': ['skip'],
+          'dry-run': false,
+          branches: [{ base: 'release/*', 'dry-run': false }]
+        }
+      );
+
+      expect(merged).toEqual({
+        'check-pull-request': true,
+        'exempt-labels': ['skip'],
+        'allowed-projects': ['Platform'],
+        'dry-run': false,
+        branches: [
+          { base: 'release/*', 'dry-run': true },
+          { base: 'release/*', 'dry-run': false }
+        ]
+      });
+    });
+
+    it('should merge nested mappings key by key', () => {
+      expect(mergeConfigs({ nested: { a: 1, b: 2 } }, { nested: { b: 3 } })).toEqual({ nested: { a: 1, b: 3 } });
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should list every schema problem', () => {
+      expect(() =>
+        validateConfig(
+          {
+            'check-commits': 'yes',
+            'azure-devops-token': 'secret',
+            'allowed-projects': [1],
+            branches: [{ 'dry-run': true }, 'main']
+          },
+          'azdo-validator.yml'
+        )
+      ).toThrow(
+        [
+          'Invalid configuration file azdo-validator.yml:',
+          '- `check-commits` must be true or false',
+          '- unknown setting `azure-devops-token`',
+          '- `allowed-projects` must be a string or a list of strings',
+          '- `branches[0].base` must be a branch glob (e.g. release/*)',
+          '- `branches[1]` must be a mapping of settings'
+        ].join('\n')
+      );
+    });
+
+    it('should validate comment templates', () => {
+      expect(() =>
+        validateConfig({ 'comment-templates': { 'commits-not-linked': 'See {{workItems}}' } }, 'azdo-validator.yml')
+      ).toThrow(
+        'Invalid configuration file azdo-validator.yml:\n- unknown placeholder `{{workItems}}` in `comment-templates.commits-not-linked`'
+      );
+    });
+
+    it('should reject values that are not allowed', () => {
+      expect(() =>
+        validateConfig(
+          {
+            'comment-mode': 'consolidate',
+            'resolved-comment-behavior': 'hide',
+            'slash-command-permission': 'maintainer',
+            branches: [{ base: 'main', 'azure-devops-auth-type': 'service_principal' }]
+          },
+          'azdo-validator.yml'
+        )
+      ).toThrow(
+        [
+          'Invalid configuration file azdo-validator.yml:',
+          '- `comment-mode` must be one of `separate`, `consolidated`',
+          '- `resolved-comment-behavior` must be one of `update`, `delete`, `minimize`',
+          '- `slash-command-permission` must be one of `none`, `read`, `triage`, `write`, `maintain`, `admin`',
+          '- `branches[0]`: `azure-devops-auth-type` must be one of `pat`, `access-token`, `service-principal`'
+        ].join('\n')
+      );
+    });
+
+    it('should reject a file that is not a mapping', () => {
+      expect(() => validateConfig(['check-commits'], 'azdo-validator.yml')).toThrow(
+        'Invalid configuration file azdo-validator.yml: the file must contain a mapping of settings'
+      );
+    });
+
+    it('should require branches to be a list', () => {
+      expect(() => validateConfig({ branches: { base: 'main' } }, 'azdo-validator.yml')).toThrow(
+        '`branches` must be a list of branch rules'
+      );
+    });
+  });
+
+  describe('createSettings', () => {
+    const config = {
+      'check-pull-request': true,
+      'fail-if-missing-workitem-commit-link': true,
+      'azure-devops-organization': 'file-org',
+      'allowed-work-item-states': 'New, Active',
+      'work-item-pattern': ['AB#(?<id>[0-9]+)', 'GH-(?<id>[0-9]{1,3},?)'],
+      branches: [
+        { base: 'release/*', 'fail-if-missing-workitem-commit-link': false, 'allowed-work-item-states': ['Resolved'] }
+      ]
+    };
+
+    it('should use the defaults when there is no configuration file or input', () => {
+      const settings = createSettings({});
+
+      expect(settings.getBoolean('check-commits')).toBe(true);
+      expect(settings.getBoolean('dry-run')).toBe(false);
+      expect(settings.getString('azure-devops-auth-type')).toBe('pat');
+      expect(settings.getList('allowed-work-item-states')).toEqual([]);
+      expect(settings.getFields('work-item-field-updates')).toEqual({});
+    });
+
+    it('should use the configuration file values', () => {
+      const settings = createSettings(config, 'main');
+
+      expect(settings.getBoolean('check-pull-request')).toBe(true);
+      expect(settings.getBoolean('fail-if-missing-workitem-commit-link')).toBe(true);
+      expect(settings.getString('azure-devops-organization')).toBe('file-org');
+      expect(settings.getList('allowed-work-item-states')).toEqual(['New', 'Active']);
+      // Patterns are only split on newlines, so they may contain commas
+      expect(settings.getLines('work-item-pattern')).toEqual(['AB#(?<id>[0-9]+)', 'GH-(?<id>[0-9]{1,3},?)']);
+    });
+
+    it('should apply matching branch rules over the top-level values', () => {
+      const settings = createSettings(config, 'release/1.0');
+
+      expect(settings.getBoolean('fail-if-missing-workitem-commit-link')).toBe(false);
+      expect(settings.getList('allowed-work-item-states')).toEqual(['Resolved']);
+      expect(settings.getBoolean('check-pull-request')).toBe(true);
+    });
+
+    it('should let the comment-templates input override the configuration file template by template', () => {
+      mockGetInput.mockImplementation(name =>
+        name === 'comment-templates' ? 'commits-linked: |\n  All good in #{{pullNumber}}\n' : ''
+      );
+
+      const settings = createSettings({
+        'comment-templates': { 'commits-linked': 'Linked', exempt: { file: 'exempt.md' } }
+      });
+
+      expect(settings.getTemplates('comment-templates')).toEqual({
+        'commits-linked': 'All good in #{{pullNumber}}\n',
+        exempt: { file: 'exempt.md' }
+      });
+    });
+
+    it('should reject an invalid comment-templates input', () => {
+      mockGetInput.mockImplementation(name => (name === 'comment-templates' ? 'commits-linked: [Linked]' : ''));
+
+      expect(() => createSettings({}).getTemplates('comment-templates')).toThrow(
+        'Invalid comment-templates input:\n- `comment-templates.commits-linked` must be a template or {file: path}'
+      );
+    });
+
+    it('should reject an input value that is not allowed', () => {
+      mockGetInput.mockImplementation(name => (name === 'comment-mode' ? 'consolidate' : ''));
+
+      expect(() => createSettings({}).getString('comment-mode')).toThrow(
+        'Invalid comment-mode input:\n- `comment-mode` must be one of `separate`, `consolidated`'
+      );
+    });
+
+    it('should let the work-item-field-updates input override the configuration file field by field', () => {
+      mockGetInput.mockImplementation(name =>
+        name === 'work-item-field-updates' ? '{"Custom.PullRequest": "#{{prNumber}}"}' : ''
+      );
+
+      const settings = createSettings({
+        'work-item-field-updates': { 'Custom.Repository': '{{repo}}', 'Custom.PullRequest': 'none' }
+      });
+
+      expect(settings.getFields('work-item-field-updates')).toEqual({
+        'Custom.Repository': '{{repo}}',
+        'Custom.PullRequest': '#{{prNumber}}'
+      });
+    });
+
+    it('should reject a work-item-field-updates input that is not valid JSON', () => {
+      mockGetInput.mockImplementation(name => (name === 'work-item-field-updates' ? 'Custom.Repository: x' : ''));
+
+      expect(() => createSettings({}).getFields('work-item-field-updates')).toThrow(
+        'Invalid work-item-field-updates input: '
+      );
+    });
+
+    it('should reject an invalid work-item-field-updates input', () => {
+      mockGetInput.mockImplementation(name =>
+        name === 'work-item-field-updates' ? '{"Custom.Repository": "{{branch}}"}' : ''
+      );
+
+      expect(() => createSettings({}).getFields('work-item-field-updates')).toThrow(
+        'Invalid work-item-field-updates input:\n- unknown placeholder `{{branch}}` in `work-item-field-updates.Custom.Repository`'
+      );
+    });
+
+    it('should resolve every setting for logging', () => {
+      const all = createSettings(config, 'release/1.0').getAll();
+
+      expect(all).toEqual(
+        expect.objectContaining({
+          'check-pull-request': true,
+          'check-commits': true,
+          'fail-if-missing-workitem-commit-link': false,
+          'azure-devops-organization': 'file-org',
+          'allowed-work-item-states': ['Resolved']
+        })
+      );
+      expect(all).not.toHaveProperty('branches');
+      expect(all).not.toHaveProperty('azure-devops-token');
+    });
+
+    it('should let workflow inputs override the configuration file', () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'azure-devops-organization') return 'input-org';
+        return '';
+      });
+      mockGetMultilineInput.mockImplementation(name => (name === 'allowed-work-item-states' ? ['Closed'] : []));
+
+      const settings = createSettings(config, 'release/1.0');
+
+      expect(settings.getBoolean('fail-if-missing-workitem-commit-link')).toBe(true);
+      expect(settings.getString('azure-devops-organization')).toBe('input-org');
+      expect(settings.getList('allowed-work-item-states')).toEqual(['Closed']);
+    });
+  });
+});
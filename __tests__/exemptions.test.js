@@ -0,0 +1,66 @@
+/**
+ * Tests for exemptions.js pull request exemptions
+ */
+
+import { getPullRequestExemption, hasPullRequestExemptions } from '../src/exemptions.js';
+
+const noExemptions = { exemptLabels: [], exemptBaseBranches: [], enforceBaseBranches: [], exemptAuthors: [] };
+
+const pullRequest = {
+  number: 42,
+  labels: [{ name: 'documentation' }, { name: 'No-WorkItem' }],
+  base: { ref: 'release/1.0' },
+  user: { login: 'dependabot[bot]' }
+};
+
+describe('Pull request exemptions', () => {
+  it('should not exempt pull requests when no exemptions are configured', () => {
+    expect(hasPullRequestExemptions(noExemptions)).toBe(false);
+    expect(getPullRequestExemption(pullRequest, noExemptions)).toBeNull();
+  });
+
+  it('should report that exemptions are configured', () => {
+    expect(hasPullRequestExemptions({ ...noExemptions, exemptLabels: ['no-workitem'] })).toBe(true);
+  });
+
+  it('should exempt pull requests with an exempt label (case-insensitive)', () => {
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptLabels: ['no-workitem'] })).toBe(
+      'it has the `No-WorkItem` label'
+    );
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptLabels: ['hotfix'] })).toBeNull();
+  });
+
+  it('should exempt pull requests targeting an exempt base branch', () => {
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptBaseBranches: ['release/*'] })).toBe(
+      'its base branch `release/1.0` matches `release/*`'
+    );
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptBaseBranches: ['release'] })).toBeNull();
+  });
+
+  it('should only match a single path segment with * and any number with **', () => {
+    const nestedPullRequest = { ...pullRequest, base: { ref: 'release/1.0/hotfix' } };
+
+    expect(
+      getPullRequestExemption(nestedPullRequest, { ...noExemptions, exemptBaseBranches: ['release/*'] })
+    ).toBeNull();
+    expect(getPullRequestExemption(nestedPullRequest, { ...noExemptions, exemptBaseBranches: ['release/**'] })).toBe(
+      'its base branch `release/1.0/hotfix` matches `release/**`'
+    );
+  });
+
+  it('should exempt pull requests whose base branch is not enforced', () => {
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, enforceBaseBranches: ['main'] })).toBe(
+      'its base branch `release/1.0` is not one of the enforced base branches'
+    );
+    expect(
+      getPullRequestExemption(pullRequest, { ...noExemptions, enforceBaseBranches: ['main', 'release/*'] })
+    ).toBeNull();
+  });
+
+  it('should exempt pull requests by author', () => {
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptAuthors: ['*[bot]'] })).toBe(
+      'its author `dependabot[bot]` matches `*[bot]`'
+    );
+    expect(getPullRequestExemption(pullRequest, { ...noExemptions, exemptAuthors: ['octocat'] })).toBeNull();
+  });
+});
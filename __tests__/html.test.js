@@ -0,0 +1,18 @@
+/**
+ * Tests for html.js HTML helpers
+ */
+
+import { escapeHtml } from '../src/html.js';
+
+describe('HTML helpers', () => {
+  describe('escapeHtml', () => {
+    it('should escape markup and attribute quotes', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    });
+
+    it('should render missing values as empty text', () => {
+      expect(escapeHtml(undefined)).toBe('');
+      expect(escapeHtml(null)).toBe('');
+    });
+  });
+});
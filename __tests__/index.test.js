@@ -6,15 +6,47 @@ import { jest } from '@jest/globals';
 
 // Mock @actions/core
 const mockGetInput = jest.fn();
+const mockGetMultilineInput = jest.fn();
 const mockSetFailed = jest.fn();
 const mockInfo = jest.fn();
 const mockError = jest.fn();
+const mockSetOutput = jest.fn();
+const mockWarning = jest.fn();
+// Most tests stub every other input as 'false', which isn't a comment template mapping, a field update object
+// or an allowed value of the settings below, so a 'false' stub leaves those settings unset
+let mockCommentTemplatesInput = '';
+let mockFieldUpdatesInput = '';
+const ALLOWED_VALUE_INPUTS = [
+  'azure-devops-auth-type',
+  'comment-mode',
+  'resolved-comment-behavior',
+  'slash-command-permission'
+];
+
+/**
+ * Get a stubbed input, treating 'false' as unset for settings with allowed values
+ *
+ * @param {string} name - Input name
+ * @returns {string} Input value
+ */
+function getStubbedInput(name) {
+  const value = mockGetInput(name);
+  return ALLOWED_VALUE_INPUTS.includes(name) && value === 'false' ? '' : value;
+}
 
 jest.unstable_mockModule('@actions/core', () => ({
-  getInput: mockGetInput,
+  getInput: name =>
+    name === 'comment-templates'
+      ? mockCommentTemplatesInput
+      : name === 'work-item-field-updates'
+        ? mockFieldUpdatesInput
+        : getStubbedInput(name),
+  getMultilineInput: mockGetMultilineInput,
   setFailed: mockSetFailed,
   info: mockInfo,
-  error: mockError
+  error: mockError,
+  warning: mockWarning,
+  setOutput: mockSetOutput
 }));
 
 // Mock @actions/github
@@ -39,12 +71,56 @@ jest.unstable_mockModule('@actions/github', () => ({
 
 // Mock ./link-work-item.js
 const mockLinkWorkItem = jest.fn();
-const mockValidateWorkItemExists = jest.fn();
+const mockGetWorkItems = jest.fn();
+const mockRemoveStalePullRequestLinks = jest.fn();
+const mockRemovePullRequestLink = jest.fn();
+const mockUpdateWorkItemStates = jest.fn();
 jest.unstable_mockModule('../src/link-work-item.js', () => ({
   run: mockLinkWorkItem,
-  validateWorkItemExists: mockValidateWorkItemExists
+  getWorkItems: mockGetWorkItems,
+  getOrganizationUrl: (org, collectionUrl) => collectionUrl || `https://dev.azure.com/${org}`,
+  removePullRequestLink: mockRemovePullRequestLink,
+  removeStalePullRequestLinks: mockRemoveStalePullRequestLinks,
+  updateWorkItemStates: mockUpdateWorkItemStates
+}));
+
+// Mock ./summary.js
+const mockWriteJobSummary = jest.fn();
+jest.unstable_mockModule('../src/summary.js', () => ({
+  writeJobSummary: mockWriteJobSummary
+}));
+
+// Mock ./check-run.js
+const mockCreateCheckRun = jest.fn();
+jest.unstable_mockModule('../src/check-run.js', () => ({
+  createCheckRun: mockCreateCheckRun
+}));
+
+// Mock ./azure-auth.js
+const mockGetEntraAccessToken = jest.fn();
+jest.unstable_mockModule('../src/azure-auth.js', () => ({
+  getEntraAccessToken: mockGetEntraAccessToken
 }));
 
+/**
+ * Mock the batched work item retrieval so every requested work item has the same result
+ *
+ * @param {boolean} exists - Whether the work items exist
+ * @param {Object} fields - Work item fields to return for existing work items
+ */
+function mockWorkItemsExist(exists, fields = {}) {
+  mockGetWorkItems.mockImplementation(async (_org, _token, workItemIds) => {
+    return new Map(
+      workItemIds.map(workItemId => [
+        workItemId,
+        exists
+          ? { id: workItemId, title: 'Work item', state: 'Active', type: 'User Story', project: 'Project', ...fields }
+          : null
+      ])
+    );
+  });
+}
+
 describe('Azure DevOps Commit Validator', () => {
   let mockOctokit;
   let run;
@@ -65,6 +141,8 @@ describe('Azure DevOps Commit Validator', () => {
     jest.clearAllMocks();
 
     // Setup default mock implementations
+    mockCommentTemplatesInput = '';
+    mockFieldUpdatesInput = '';
     mockGetInput.mockImplementation(name => {
       const defaults = {
         'check-pull-request': 'false',
@@ -98,7 +176,12 @@ describe('Azure DevOps Commit Validator', () => {
         issues: {
           createComment: jest.fn().mockResolvedValue({ data: { id: 123 } }),
           updateComment: jest.fn().mockResolvedValue({ data: { id: 123 } }),
+          deleteComment: jest.fn().mockResolvedValue({ data: {} }),
           listComments: jest.fn().mockResolvedValue({ data: [] })
+        },
+        repos: {
+          // No configuration file by default
+          getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))
         }
       },
       paginate: jest.fn().mockImplementation(async method => {
@@ -108,11 +191,14 @@ describe('Azure DevOps Commit Validator', () => {
       })
     };
 
+    // Default to the built-in AB# pattern
+    mockGetMultilineInput.mockReturnValue([]);
+
     mockGetOctokit.mockReturnValue(mockOctokit);
     mockContext.payload.pull_request = { number: 42 };
 
-    // Default mock for validateWorkItemExists (returns true by default)
-    mockValidateWorkItemExists.mockResolvedValue(true);
+    // Default mock for validateWorkItemsExist (all work items exist by default)
+    mockWorkItemsExist(true);
   });
 
   describe('Input validation', () => {
@@ -123,7 +209,9 @@ describe('Azure DevOps Commit Validator', () => {
 
       await run();
 
-      expect(mockSetFailed).toHaveBeenCalledWith('This action can only be run on pull requests');
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'This action can only be run on pull requests, merge groups and pushes, or with the pull-request-number input'
+      );
 
       // Restore context
       mockContext.payload.pull_request = originalPR;
@@ -536,6 +624,130 @@ describe('Azure DevOps Commit Validator', () => {
     });
   });
 
+  describe('Custom work item patterns', () => {
+    it('should accept commits matching a custom work item pattern', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name =>
+        name === 'work-item-pattern' ? ['\\[AB-(?<id>[0-9]+)\\]', '_workitems/edit/(?<id>[0-9]+)'] : []
+      );
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'abc123',
+            commit: {
+              message: '[AB-1234] add feature'
+            }
+          },
+          {
+            sha: 'def456',
+            commit: {
+              message: 'fix: see https://dev.azure.com/org/project/_workitems/edit/5678'
+            }
+          }
+        ]
+      });
+
+      mockLinkWorkItem.mockResolvedValue(undefined);
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockLinkWorkItem).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail commits that only match the default pattern when a custom pattern is set', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name =>
+        name === 'work-item-pattern' ? ['\\[AB-(?<id>[0-9]+)\\]'] : []
+      );
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'abc123',
+            commit: {
+              message: 'feat: add feature AB#12345'
+            }
+          }
+        ]
+      });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(expect.stringContaining('not linked to work items'));
+    });
+
+    it('should ask for the custom work item pattern in the failure comment', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name =>
+        name === 'work-item-pattern' ? ['\\[AB-(?<id>[0-9]+)\\]'] : []
+      );
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123', commit: { message: 'feat: add feature AB#12345' } }]
+      });
+
+      await run();
+
+      const [{ body }] = mockOctokit.rest.issues.createComment.mock.calls[0];
+      expect(body).toContain('include a work item reference matching `work-item-pattern` (`\\[AB-(?<id>[0-9]+)\\]`)');
+      expect(body).not.toContain('AB#xxx');
+    });
+
+    it('should check the PR title and body with a custom work item pattern', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'false';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name => (name === 'work-item-pattern' ? ['Fixes #(?<id>[0-9]+)'] : []));
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: {
+          title: 'feat: new feature',
+          body: 'Fixes #4321'
+        }
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should fail with a clear error when the pattern has no id capture group', async () => {
+      mockGetMultilineInput.mockImplementation(name => (name === 'work-item-pattern' ? ['AB#[0-9]+'] : []));
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(expect.stringContaining('named capture group'));
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Edge cases - Empty/null data', () => {
     it('should handle PR with null body', async () => {
       mockGetInput.mockImplementation(name => {
@@ -1154,13 +1366,13 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock work item validation to return false (work item doesn't exist)
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
       expect(mockSetFailed).toHaveBeenCalled();
       expect(mockOctokit.rest.issues.createComment).toHaveBeenCalled();
-      expect(mockValidateWorkItemExists).toHaveBeenCalledWith('test-org', 'azdo-token', '99999');
+      expect(mockGetWorkItems).toHaveBeenCalledWith('test-org', 'azdo-token', ['99999'], expect.anything(), 'pat');
     });
 
     it('should pass when work item exists in Azure DevOps', async () => {
@@ -1187,12 +1399,12 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock work item validation to return true (work item exists)
-      mockValidateWorkItemExists.mockResolvedValue(true);
+      mockWorkItemsExist(true);
 
       await run();
 
       expect(mockSetFailed).not.toHaveBeenCalled();
-      expect(mockValidateWorkItemExists).toHaveBeenCalledWith('test-org', 'azdo-token', '12345');
+      expect(mockGetWorkItems).toHaveBeenCalledWith('test-org', 'azdo-token', ['12345'], expect.anything(), 'pat');
     });
 
     it('should update existing invalid work item comment to success when work items are fixed', async () => {
@@ -1229,7 +1441,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock work item validation to return true (work item now exists)
-      mockValidateWorkItemExists.mockResolvedValue(true);
+      mockWorkItemsExist(true);
 
       await run();
 
@@ -1270,7 +1482,7 @@ describe('Azure DevOps Commit Validator', () => {
       await run();
 
       expect(mockSetFailed).not.toHaveBeenCalled();
-      expect(mockValidateWorkItemExists).not.toHaveBeenCalled();
+      expect(mockGetWorkItems).not.toHaveBeenCalled();
     });
 
     it('should show commit info in dropdown for multiple invalid work items', async () => {
@@ -1303,7 +1515,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock both work items as invalid
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
@@ -1337,7 +1549,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock both work items as invalid
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
@@ -1383,7 +1595,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock both work items as invalid
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
@@ -1435,7 +1647,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock both work items as invalid
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
@@ -1492,7 +1704,7 @@ describe('Azure DevOps Commit Validator', () => {
       });
 
       // Mock both work items as invalid
-      mockValidateWorkItemExists.mockResolvedValue(false);
+      mockWorkItemsExist(false);
 
       await run();
 
@@ -1512,6 +1724,2167 @@ describe('Azure DevOps Commit Validator', () => {
     });
   });
 
+  describe('Work item state, type and project validation', () => {
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name => {
+        if (name === 'allowed-work-item-states') return ['New, Active'];
+        if (name === 'allowed-work-item-types') return ['User Story', 'Bug', 'Task'];
+        if (name === 'allowed-projects') return ['Project'];
+        return [];
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def', commit: { message: 'feat: add feature AB#12345' } }]
+      });
+    });
+
+    it('should pass when the work item satisfies all rules', async () => {
+      mockWorkItemsExist(true, { state: 'active', type: 'Bug' });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should fail and report the reason when the work item is in a disallowed state', async () => {
+      mockWorkItemsExist(true, { state: 'Closed' });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 work item that is not valid in Azure DevOps');
+      const commentCall = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(commentCall.body).toContain('that is not valid in Azure DevOps');
+      expect(commentCall.body).toContain('`AB#12345` is in state `Closed` (allowed: `New`, `Active`)');
+    });
+
+    it('should report every violation for each invalid work item', async () => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def', commit: { message: 'feat: add feature AB#1 AB#2' } }]
+      });
+      mockGetWorkItems.mockResolvedValue(
+        new Map([
+          ['1', { id: '1', title: 'Epic', state: 'Removed', type: 'Epic', project: 'Other' }],
+          ['2', null]
+        ])
+      );
+
+      await run();
+
+      const commentCall = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(commentCall.body).toContain('There are 2 work items');
+      expect(commentCall.body).toContain(
+        'is in state `Removed` (allowed: `New`, `Active`); is of type `Epic` (allowed: `User Story`, `Bug`, `Task`); belongs to project `Other` (allowed: `Project`)'
+      );
+      expect(commentCall.body).toContain('/commit/abc123def)) - does not exist in Azure DevOps');
+    });
+
+    it('should keep the existence wording when all invalid work items are missing', async () => {
+      mockWorkItemsExist(false);
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 work item that does not exist in Azure DevOps');
+    });
+
+    it('should update an existing invalid work item comment to success once the rules are satisfied', async () => {
+      mockWorkItemsExist(true);
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 555, body: `${COMMENT_MARKERS.INVALID_WORK_ITEMS}\n:x: There is 1 work item` }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 555,
+          body: expect.stringContaining('All work items referenced in this pull request are now valid in Azure DevOps.')
+        })
+      );
+    });
+  });
+
+  describe('Outputs', () => {
+    /**
+     * Get the parsed value of an output set by the action
+     *
+     * @param {string} name - Output name
+     * @returns {*} Parsed JSON output value
+     */
+    const getOutput = name => JSON.parse(mockSetOutput.mock.calls.find(([outputName]) => outputName === name)[1]);
+
+    it('should set outputs describing the work items and commits', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'false';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1 AB#2' } },
+          { sha: 'def456abc123', commit: { message: 'chore: no work item' } }
+        ]
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { title: 'feat: new feature AB#3', body: '' }
+      });
+      mockLinkWorkItem.mockResolvedValueOnce('linked').mockResolvedValueOnce(undefined);
+      mockGetWorkItems.mockImplementation(async (_org, _token, workItemIds) => {
+        return new Map(
+          workItemIds.map(id => [id, id === '3' ? null : { id, title: '', state: 'Active', type: 'Bug', project: '' }])
+        );
+      });
+
+      await run();
+
+      expect(getOutput('work-items')).toEqual([1, 2, 3]);
+      expect(getOutput('work-item-commit-map')).toEqual({
+        1: { sha: 'abc123def456', shortSha: 'abc123d' },
+        2: { sha: 'abc123def456', shortSha: 'abc123d' },
+        3: null
+      });
+      expect(getOutput('invalid-commits')).toEqual([
+        { sha: 'def456abc123', shortSha: 'def456a', message: 'chore: no work item' }
+      ]);
+      expect(getOutput('invalid-work-items')).toEqual([3]);
+      expect(getOutput('linked-work-items')).toEqual([1]);
+    });
+
+    it('should set empty outputs when nothing is referenced', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+
+      await run();
+
+      expect(getOutput('work-items')).toEqual([]);
+      expect(getOutput('work-item-commit-map')).toEqual({});
+      expect(getOutput('invalid-commits')).toEqual([]);
+      expect(getOutput('invalid-work-items')).toEqual([]);
+      expect(getOutput('linked-work-items')).toEqual([]);
+    });
+  });
+
+  describe('Job summary', () => {
+    it('should report each commit and work item with its details and link status', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'azure-devops-url') return '';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+      mockContext.payload.repository = { html_url: 'https://github.com/test-owner/test-repo' };
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'abc123def456',
+            html_url: 'https://github.com/test-owner/test-repo/commit/abc123def456',
+            commit: { message: 'feat: add feature AB#1\n\nMore details' }
+          },
+          {
+            sha: 'def456abc123',
+            html_url: 'https://github.com/test-owner/test-repo/commit/def456abc123',
+            commit: { message: 'fix: bug fix AB#2' }
+          }
+        ]
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { title: 'feat: new feature AB#3', body: '' }
+      });
+      mockLinkWorkItem.mockResolvedValueOnce('linked').mockResolvedValueOnce('already linked');
+      mockWorkItemsExist(true, { title: 'Login page', state: 'Active', type: 'User Story' });
+
+      await run();
+
+      delete mockContext.payload.repository;
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockWriteJobSummary).toHaveBeenCalledTimes(1);
+      const report = mockWriteJobSummary.mock.calls[0][0];
+      expect(report.pullNumber).toBe(42);
+      expect(report.failures).toEqual([]);
+      expect(report.commits).toEqual([
+        {
+          sha: 'abc123def456',
+          shortSha: 'abc123d',
+          url: 'https://github.com/test-owner/test-repo/commit/abc123def456',
+          message: 'feat: add feature AB#1\n\nMore details',
+          workItemIds: ['1']
+        },
+        {
+          sha: 'def456abc123',
+          shortSha: 'def456a',
+          url: 'https://github.com/test-owner/test-repo/commit/def456abc123',
+          message: 'fix: bug fix AB#2',
+          workItemIds: ['2']
+        }
+      ]);
+      expect(report.workItems).toEqual([
+        expect.objectContaining({
+          id: '1',
+          url: 'https://dev.azure.com/test-org/_workitems/edit/1',
+          title: 'Login page',
+          state: 'Active',
+          type: 'User Story',
+          commit: { shortSha: 'abc123d', url: 'https://github.com/test-owner/test-repo/commit/abc123def456' },
+          linkStatus: 'linked',
+          problems: []
+        }),
+        expect.objectContaining({ id: '2', linkStatus: 'already linked' }),
+        expect.objectContaining({ id: '3', commit: null, linkStatus: 'not linked' })
+      ]);
+    });
+
+    it('should report the failure reasons', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: no work item' } }]
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { title: 'feat: new feature', body: '' }
+      });
+
+      await run();
+
+      const report = mockWriteJobSummary.mock.calls[0][0];
+      expect(report.failures).toEqual([
+        'There is 1 commit in pull request #42 not linked to work items',
+        'The pull request #42 is not linked to any work item(s)'
+      ]);
+      expect(report.commits).toEqual([expect.objectContaining({ shortSha: 'abc123d', workItemIds: [] })]);
+    });
+  });
+
+  describe('Commit links', () => {
+    const setupInputs = linkCommitsToWorkItems => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'link-commits-to-work-items') return linkCommitsToWorkItems;
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+    };
+
+    /**
+     * Record the COMMITSHAS environment variable the linker sees for each work item
+     *
+     * @returns {Object} Map of work item ID to COMMITSHAS
+     */
+    const captureCommitShas = () => {
+      const commitShas = {};
+      mockLinkWorkItem.mockImplementation(async () => {
+        commitShas[process.env.WORKITEMID] = process.env.COMMITSHAS;
+        return 'linked';
+      });
+      return commitShas;
+    };
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1 AB#2' } },
+          { sha: 'def456abc123', commit: { message: 'fix: bug fix AB#1' } }
+        ]
+      });
+    });
+
+    it('should pass every commit referencing the work item to the linker', async () => {
+      setupInputs('true');
+      const commitShas = captureCommitShas();
+
+      await run();
+
+      expect(commitShas).toEqual({
+        1: 'abc123def456,def456abc123',
+        2: 'abc123def456'
+      });
+    });
+
+    it('should not link commits by default', async () => {
+      setupInputs('false');
+      const commitShas = captureCommitShas();
+
+      await run();
+
+      expect(commitShas).toEqual({ 1: '', 2: '' });
+    });
+  });
+
+  describe('Work item comments', () => {
+    const setupInputs = workItemComment => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'work-item-comment') return workItemComment;
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+    };
+
+    /**
+     * Record the WORK_ITEM_COMMENT environment variable the linker sees for each work item
+     *
+     * @returns {Object} Map of work item ID to WORK_ITEM_COMMENT
+     */
+    const captureComments = () => {
+      const comments = {};
+      mockLinkWorkItem.mockImplementation(async () => {
+        comments[process.env.WORKITEMID] = process.env.WORK_ITEM_COMMENT;
+        return 'linked';
+      });
+      return comments;
+    };
+
+    beforeEach(() => {
+      mockContext.payload.pull_request = {
+        number: 42,
+        title: 'Add login',
+        user: { login: 'octocat', html_url: 'https://github.com/octocat' }
+      };
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1 AB#2' } },
+          { sha: 'def456abc123', commit: { message: 'fix: bug fix AB#1\n\nDetails' } }
+        ]
+      });
+    });
+
+    it('should pass a comment with the pull request and the commits referencing each work item to the linker', async () => {
+      setupInputs('true');
+      const comments = captureComments();
+
+      await run();
+
+      expect(comments[1]).toContain(
+        '<a href="https://github.com/test-owner/test-repo/pull/42">test-owner/test-repo#42</a>: Add login'
+      );
+      expect(comments[1]).toContain('<a href="https://github.com/octocat">@octocat</a>');
+      expect(comments[1]).toContain('<code>abc123d</code> feat: add feature AB#1 AB#2');
+      expect(comments[1]).toContain('<code>def456a</code> fix: bug fix AB#1</li>');
+      expect(comments[2]).toContain('<code>abc123d</code>');
+      expect(comments[2]).not.toContain('<code>def456a</code>');
+    });
+
+    it('should not comment on work items by default', async () => {
+      setupInputs('false');
+      const comments = captureComments();
+
+      await run();
+
+      expect(comments).toEqual({ 1: '', 2: '' });
+    });
+  });
+
+  describe('Work item tags and fields', () => {
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name => (name === 'work-item-tags-to-add' ? ['has-pr, reviewed'] : []));
+      mockContext.payload.pull_request = { number: 42, title: 'Add login', user: { login: 'octocat' } };
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } }]
+      });
+    });
+
+    it('should pass the tags and the rendered field values to the linker', async () => {
+      mockFieldUpdatesInput = JSON.stringify({
+        'Custom.Repository': '{{repo}}',
+        'Custom.PullRequest': '{{prUrl}} by {{prAuthor}}: {{prTitle}}'
+      });
+      let linkerEnv;
+      mockLinkWorkItem.mockImplementation(async () => {
+        linkerEnv = { tags: process.env.WORK_ITEM_TAGS, fields: JSON.parse(process.env.WORK_ITEM_FIELDS) };
+        return 'linked';
+      });
+
+      await run();
+
+      expect(linkerEnv).toEqual({
+        tags: 'has-pr;reviewed',
+        fields: {
+          'Custom.Repository': 'test-owner/test-repo',
+          'Custom.PullRequest': 'https://github.com/test-owner/test-repo/pull/42 by octocat: Add login'
+        }
+      });
+    });
+
+    it('should fail before linking when the field updates are invalid', async () => {
+      mockFieldUpdatesInput = JSON.stringify({ 'System.Tags': 'has-pr' });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid work-item-field-updates input'));
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Stale pull request links', () => {
+    const setupInputs = (removeStaleLinks, linkCommitsToPullRequest = 'true') => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'link-commits-to-pull-request') return linkCommitsToPullRequest;
+        if (name === 'remove-stale-links') return removeStaleLinks;
+        if (name === 'azure-devops-url') return '';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+    };
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } }]
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { title: 'feat: new feature AB#2', body: '' }
+      });
+      mockLinkWorkItem.mockResolvedValue('linked');
+      mockRemoveStalePullRequestLinks.mockResolvedValue(['3']);
+    });
+
+    it('should remove links from work items not referenced by commits or the PR title/body', async () => {
+      setupInputs('true');
+
+      await run();
+
+      expect(mockRemoveStalePullRequestLinks).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        'https://github.com/test-owner/test-repo/pull/42',
+        42,
+        ['1', '2'],
+        '',
+        'pat',
+        false
+      );
+      expect(mockWriteJobSummary.mock.calls[0][0].removedLinks).toEqual([
+        { id: '3', url: 'https://dev.azure.com/test-org/_workitems/edit/3' }
+      ]);
+    });
+
+    it('should keep links to work items only referenced in the body when check-pull-request is off', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'remove-stale-links') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'feat: new feature', body: 'Part of AB#5' } });
+
+      await run();
+
+      expect(mockRemoveStalePullRequestLinks).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        'https://github.com/test-owner/test-repo/pull/42',
+        42,
+        ['1', '5'],
+        expect.anything(),
+        'pat',
+        false
+      );
+    });
+
+    it('should not remove links by default', async () => {
+      setupInputs('false');
+
+      await run();
+
+      expect(mockRemoveStalePullRequestLinks).not.toHaveBeenCalled();
+      expect(mockWriteJobSummary.mock.calls[0][0].removedLinks).toEqual([]);
+    });
+
+    it('should not remove links when the action does not link pull requests', async () => {
+      setupInputs('true', 'false');
+
+      await run();
+
+      expect(mockRemoveStalePullRequestLinks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Merge group, push and workflow_dispatch events', () => {
+    beforeEach(() => {
+      mockContext.payload.pull_request = undefined;
+      mockOctokit.rest.repos.compareCommitsWithBasehead = jest.fn().mockResolvedValue({ data: { commits: [] } });
+      // The compare API is paginated with a map function returning the commits
+      mockOctokit.paginate.mockImplementation(async (method, params, mapFn) => {
+        const result = await method(params);
+        return mapFn ? mapFn(result) : result.data || [];
+      });
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+    });
+
+    afterEach(() => {
+      delete mockContext.eventName;
+      delete mockContext.ref;
+      delete mockContext.payload.merge_group;
+      delete mockContext.payload.before;
+      delete mockContext.payload.after;
+      delete mockContext.payload.commits;
+    });
+
+    it('should validate the commits between the merge group base and head', async () => {
+      mockContext.eventName = 'merge_group';
+      mockContext.payload.merge_group = { base_sha: 'base123', head_sha: 'head456', base_ref: 'refs/heads/main' };
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {
+          commits: [
+            { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } },
+            { sha: 'def456abc123', commit: { message: 'chore: no work item' } }
+          ]
+        }
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        basehead: 'base123...head456'
+      });
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in merge group for main not linked to work items');
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockWriteJobSummary.mock.calls[0][0].target).toBe('merge group for main');
+    });
+
+    it('should validate the commits between before and after for a push', async () => {
+      mockContext.eventName = 'push';
+      mockContext.ref = 'refs/heads/release/1.0';
+      mockContext.payload.before = 'before123';
+      mockContext.payload.after = 'after456';
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { commits: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } }] }
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: 'before123...after456' })
+      );
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockSetOutput).toHaveBeenCalledWith('work-items', '[1]');
+      // There is no pull request to check or link
+      expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+    });
+
+    it('should validate the pushed commits when a new branch is pushed', async () => {
+      mockContext.eventName = 'push';
+      mockContext.ref = 'refs/heads/release/1.0';
+      mockContext.payload.before = '0000000000000000000000000000000000000000';
+      mockContext.payload.after = 'after456';
+      mockContext.payload.commits = [
+        { id: 'abc123def456', url: 'https://github.com/test-owner/test-repo/commit/abc123def456', message: 'wip' }
+      ];
+
+      await run();
+
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).not.toHaveBeenCalled();
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in push to release/1.0 not linked to work items');
+      expect(mockWriteJobSummary.mock.calls[0][0].commits).toEqual([
+        expect.objectContaining({
+          sha: 'abc123def456',
+          url: 'https://github.com/test-owner/test-repo/commit/abc123def456',
+          message: 'wip'
+        })
+      ]);
+    });
+
+    it('should validate the pull request given by pull-request-number', async () => {
+      mockContext.eventName = 'workflow_dispatch';
+      const getInput = mockGetInput.getMockImplementation();
+      mockGetInput.mockImplementation(name => (name === 'pull-request-number' ? '7' : getInput(name)));
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'chore: no work item' } }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.listCommits).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 7 }));
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 7 }));
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #7 not linked to work items');
+    });
+  });
+
+  describe('Commit exemptions', () => {
+    it('should skip exempt commits and report the reason in the summary', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'ignore-merge-commits') return 'true';
+        if (name === 'ignore-revert-commits') return 'true';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name => {
+        if (name === 'ignore-authors') return ['*[bot]'];
+        if (name === 'ignore-commit-patterns') return ['^chore\\(release\\):'];
+        return [];
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } },
+          { sha: 'bot0000000000', author: { login: 'dependabot[bot]' }, commit: { message: 'chore(deps): bump' } },
+          { sha: 'rel0000000000', commit: { message: 'chore(release): 1.2.0' } },
+          { sha: 'mrg0000000000', parents: [{}, {}], commit: { message: "Merge branch 'main' into feature" } },
+          { sha: 'rev0000000000', commit: { message: 'Revert "feat: old feature"' } }
+        ]
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith('Skipping commit: mrg0000000000 - merge commit');
+      expect(mockSetOutput).toHaveBeenCalledWith('invalid-commits', '[]');
+      expect(mockWriteJobSummary.mock.calls[0][0].commits.map(commit => commit.ignoreReason)).toEqual([
+        undefined,
+        'author `dependabot[bot]` matches `*[bot]`',
+        'message matches `^chore\\(release\\):`',
+        'merge commit',
+        'revert commit'
+      ]);
+    });
+
+    it('should still fail for commits that are not exempt', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'ignore-merge-commits') return 'true';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'mrg0000000000', parents: [{}, {}], commit: { message: "Merge branch 'main' into feature" } },
+          { sha: 'abc123def456', commit: { message: 'chore: no work item' } }
+        ]
+      });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+    });
+  });
+
+  describe('Branch work items', () => {
+    /**
+     * Set the inputs, with the branch patterns given to branch-work-item-pattern
+     *
+     * @param {Object} inputs - Inputs overriding the defaults below
+     * @param {string[]} branchPatterns - branch-work-item-pattern lines
+     */
+    const setupInputs = (inputs, branchPatterns = ['AB#(?<id>[0-9]+)', '^users/[^/]+/(?<id>[0-9]+)']) => {
+      const defaults = {
+        'check-commits': 'true',
+        'check-pull-request': 'true',
+        'fail-if-missing-workitem-commit-link': 'true',
+        'link-commits-to-pull-request': 'true',
+        'azure-devops-token': 'azdo-token',
+        'azure-devops-organization': 'test-org',
+        'github-token': 'github-token',
+        'comment-on-failure': 'true',
+        ...inputs
+      };
+      mockGetInput.mockImplementation(name => defaults[name] ?? 'false');
+      mockGetMultilineInput.mockImplementation(name => (name === 'branch-work-item-pattern' ? branchPatterns : []));
+    };
+
+    beforeEach(() => {
+      mockContext.payload.pull_request = { number: 42, head: { ref: 'feature/AB#1234-login' }, base: { ref: 'main' } };
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'Login page', body: 'Terse description' } });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'wip' } }]
+      });
+      mockLinkWorkItem.mockResolvedValue('linked');
+    });
+
+    it('should satisfy the pull request check with the branch work item', async () => {
+      setupInputs({ 'check-commits': 'false' });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockSetOutput).toHaveBeenCalledWith('work-items', '[1234]');
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should still require commits to reference a work item by default', async () => {
+      setupInputs({ 'check-pull-request': 'false' });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+    });
+
+    it('should let every commit inherit the branch work item', async () => {
+      setupInputs({ 'inherit-branch-work-items': 'true', 'link-commits-to-work-items': 'true' });
+      const commitShas = {};
+      mockLinkWorkItem.mockImplementation(async () => {
+        commitShas[process.env.WORKITEMID] = process.env.COMMITSHAS;
+        return 'linked';
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(commitShas).toEqual({ 1234: 'abc123def456' });
+      expect(mockWriteJobSummary.mock.calls[0][0].commits[0].workItemIds).toEqual(['1234']);
+    });
+
+    it('should validate and link the branch work item like commit work items', async () => {
+      mockContext.payload.pull_request.head.ref = 'users/jane/1234-fix';
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'fix: login AB#7' } }]
+      });
+      setupInputs({ 'validate-work-item-exists': 'true' });
+      const linkedWorkItems = [];
+      mockLinkWorkItem.mockImplementation(async () => {
+        linkedWorkItems.push(process.env.WORKITEMID);
+        return 'linked';
+      });
+
+      await run();
+
+      expect(mockGetWorkItems).toHaveBeenCalledWith('test-org', 'azdo-token', ['7', '1234'], expect.anything(), 'pat');
+      expect(linkedWorkItems).toEqual(['7', '1234']);
+      expect(mockSetOutput).toHaveBeenCalledWith('work-item-commit-map', expect.stringContaining('"1234":null'));
+      expect(mockWriteJobSummary.mock.calls[0][0].workItems[1]).toEqual(
+        expect.objectContaining({ id: '1234', commit: null, branch: true, linkStatus: 'linked' })
+      );
+    });
+
+    it('should say an invalid work item is in the branch name', async () => {
+      mockContext.payload.pull_request.head.ref = 'feature/AB#1234-AB#5678-login';
+      setupInputs({ 'check-commits': 'false', 'validate-work-item-exists': 'true' });
+      mockWorkItemsExist(false);
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There are 2 work items that do not exist in Azure DevOps');
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ body: expect.stringContaining('`AB#5678` (in branch name)') })
+      );
+    });
+
+    it('should ignore branch names when branch-work-item-pattern is not set', async () => {
+      setupInputs({ 'check-commits': 'false' }, []);
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('The pull request #42 is not linked to any work item(s)');
+    });
+  });
+
+  describe('Closing work items on merge', () => {
+    /**
+     * Set the inputs, with the closed-work-item-states entries
+     *
+     * @param {string[]} closedWorkItemStates - closed-work-item-states entries
+     * @param {string} azureDevopsToken - azure-devops-token input
+     */
+    const setupInputs = (closedWorkItemStates, azureDevopsToken = 'azdo-token') => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return azureDevopsToken;
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name =>
+        name === 'closed-work-item-states' ? closedWorkItemStates : []
+      );
+    };
+
+    beforeEach(() => {
+      mockContext.payload.action = 'closed';
+      mockContext.payload.pull_request = {
+        number: 42,
+        merged: true,
+        title: 'Login page, fixes AB#1',
+        body: 'Relates to AB#2',
+        base: { ref: 'main' }
+      };
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'fix: handle errors\n\nResolves AB#3' } },
+          { sha: 'def456abc123', commit: { message: 'wip' } }
+        ]
+      });
+      const workItems = {
+        1: { type: 'User Story', state: 'Active' },
+        2: { type: 'Task', state: 'Active' },
+        3: { type: 'Bug', state: 'Active' }
+      };
+      mockGetWorkItems.mockImplementation(async (_org, _token, workItemIds) => {
+        return new Map(
+          workItemIds.map(id => [id, workItems[id] ? { id, title: 'Work item', ...workItems[id] } : null])
+        );
+      });
+      mockUpdateWorkItemStates.mockImplementation(async (_org, _token, workItemStates) => [...workItemStates.keys()]);
+    });
+
+    afterEach(() => {
+      delete mockContext.payload.action;
+    });
+
+    it('should move the work items with a closing keyword to the state for their type', async () => {
+      setupInputs(['Bug=Resolved', 'User Story=Closed']);
+
+      await run();
+
+      expect(mockGetWorkItems).toHaveBeenCalledWith('test-org', 'azdo-token', ['1', '3'], expect.anything(), 'pat');
+      expect(mockUpdateWorkItemStates).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        new Map([
+          ['1', 'Closed'],
+          ['3', 'Resolved']
+        ]),
+        expect.anything(),
+        'pat',
+        false
+      );
+      expect(mockSetOutput).toHaveBeenCalledWith('closed-work-items', '[1,3]');
+      // The merged pull request isn't validated again
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should skip work items without a state for their type or already in it', async () => {
+      setupInputs(['User Story=Active']);
+
+      await run();
+
+      expect(mockUpdateWorkItemStates).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        new Map(),
+        expect.anything(),
+        'pat',
+        false
+      );
+      expect(mockInfo).toHaveBeenCalledWith('Not closing work item 3: closed-work-item-states has no state for Bug');
+      expect(mockInfo).toHaveBeenCalledWith('Work item 1 is already Active');
+    });
+
+    it('should not close work items when the pull request was closed without merging', async () => {
+      setupInputs(['*=Closed']);
+      mockContext.payload.pull_request.merged = false;
+
+      await run();
+
+      expect(mockUpdateWorkItemStates).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should validate closed pull requests as before when closed-work-item-states is not set', async () => {
+      setupInputs([]);
+
+      await run();
+
+      expect(mockUpdateWorkItemStates).not.toHaveBeenCalled();
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+    });
+
+    it('should fail when the Azure DevOps credentials are missing', async () => {
+      setupInputs(['*=Closed'], '');
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'closed-work-item-states needs azure-devops-organization and azure-devops-token'
+      );
+      expect(mockUpdateWorkItemStates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Comment templates', () => {
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { title: 'No work item', body: '', base: { ref: 'main' } }
+      });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: no work item' } }]
+      });
+    });
+
+    it('should render the custom commit comment after the hidden marker', async () => {
+      mockCommentTemplatesInput = [
+        'commits-not-linked: |',
+        '  {{count}} commit(s) in #{{pullNumber}} need a work item. Squash-merge with AB#123 in the title instead:',
+        '  {{invalidCommits}}'
+      ].join('\n');
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringMatching(
+            new RegExp(
+              `^${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n1 commit\\(s\\) in #42 need a work item\\. Squash-merge with AB#123 in the title instead:\n- \\[\`abc123d\\\`\\]\\(.*/commit/abc123def456\\) - feat: no work item\n<details>`
+            )
+          )
+        })
+      );
+    });
+
+    it('should mark the pull request comment with its hidden marker', async () => {
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringContaining(
+            `${COMMENT_MARKERS.PR_NOT_LINKED}\n:x: This pull request is not linked to a work item. Please update the title or body`
+          )
+        })
+      );
+    });
+
+    it('should update a pull request comment posted before the marker with the custom success template', async () => {
+      mockCommentTemplatesInput = 'pull-request-linked: "Thanks, #{{pullNumber}} is linked."';
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'AB#123', body: '' } });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: AB#123' } }]
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 777, body: ':x: This pull request is not linked to a work item. Please update the title or body.' }
+        ]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 777,
+          body: expect.stringMatching(
+            new RegExp(`^${COMMENT_MARKERS.PR_NOT_LINKED}\nThanks, #42 is linked\\.\n<details>`)
+          )
+        })
+      );
+    });
+
+    it('should read template files from the base branch', async () => {
+      mockCommentTemplatesInput = 'pull-request-not-linked:\n  file: .github/templates/pr.md';
+      mockContext.payload.pull_request = { number: 42, base: { ref: 'main' } };
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path !== '.github/templates/pr.md') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return { data: { type: 'file', content: Buffer.from('Add AB#123 to #{{pullNumber}}').toString('base64') } };
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: '.github/templates/pr.md',
+        ref: 'main'
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringContaining(`${COMMENT_MARKERS.PR_NOT_LINKED}\nAdd AB#123 to #42`)
+        })
+      );
+    });
+
+    it('should fail when a template uses an unknown placeholder', async () => {
+      mockCommentTemplatesInput = 'pull-request-not-linked: "{{invalidCommits}}"';
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'unknown placeholder `{{invalidCommits}}` in `comment-templates.pull-request-not-linked`'
+        )
+      );
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Consolidated comment', () => {
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        if (name === 'comment-mode') return 'consolidated';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'No work item', body: '' } });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: no work item' } }]
+      });
+    });
+
+    it('should post one status comment with a checklist of every check', async () => {
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toMatch(
+        new RegExp(
+          `^${COMMENT_MARKERS.STATUS}\n### :x: 2 of 2 work item checks failed\n\n- \\[ \\] Every commit references a work item\n- \\[ \\] The pull request title or body references a work item\n\n#### Commits not linked to work items \\(1\\)\n\n- \\[\`abc123d\`\\]`
+        )
+      );
+      expect(body).toContain('#### Pull request not linked to a work item');
+      expect(body).not.toContain(COMMENT_MARKERS.COMMITS_NOT_LINKED);
+    });
+
+    it('should include the work item section when work items are validated', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        if (name === 'comment-mode') return 'consolidated';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-organization') return 'my-org';
+        if (name === 'azure-devops-token') return 'token';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: AB#123' } }]
+      });
+      mockWorkItemsExist(false);
+
+      await run();
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('### :x: 1 of 2 work item checks failed');
+      expect(body).toContain(
+        '- [x] Every commit references a work item\n- [ ] Every work item is valid in Azure DevOps'
+      );
+      expect(body).toContain('#### Invalid work items (1)\n\n- `AB#123` (commit [`abc123d`]');
+    });
+
+    it('should show the work item section as not run when the commit check fails first', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        if (name === 'comment-mode') return 'consolidated';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-organization') return 'my-org';
+        if (name === 'azure-devops-token') return 'token';
+        return 'false';
+      });
+
+      await run();
+
+      const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+      expect(body).toContain('### :x: 1 of 2 work item checks failed');
+      expect(body).toContain(
+        '- [ ] Every work item is valid in Azure DevOps _(not run: every commit must reference a work item first)_'
+      );
+      expect(body).not.toContain('#### Invalid work items');
+    });
+
+    it('should merge the per-scenario comments into the status comment', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          {
+            id: 1,
+            body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There is 1 commit in pull request #42 not linked`
+          },
+          { id: 2, body: ':x: This pull request is not linked to a work item. Please update the title or body.' }
+        ]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({ comment_id: 1, body: expect.stringContaining(COMMENT_MARKERS.STATUS) })
+      );
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 2
+      });
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should update the status comment once every check passes', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'AB#123', body: '' } });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: AB#123' } }]
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 5, body: `${COMMENT_MARKERS.STATUS}\n### :x: 2 of 2 work item checks failed` }]
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 5,
+          body: expect.stringContaining(
+            `${COMMENT_MARKERS.STATUS}\n### :white_check_mark: All work item checks passed\n\n- [x] Every commit references a work item\n- [x] The pull request title or body references a work item\n<details>`
+          )
+        })
+      );
+    });
+
+    it('should not post a status comment when every check passes and there is nothing to update', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'AB#123', body: '' } });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: AB#123' } }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Pull request body work items', () => {
+    const blockStart = '<!-- AZDO-VALIDATOR: WORK-ITEMS-START -->';
+
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'append-work-items-to-pull-request-body') return 'true';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: AB#123' } },
+          { sha: 'def456abc123', commit: { message: 'fix: AB#456' } }
+        ]
+      });
+      mockOctokit.rest.pulls.update = jest.fn().mockResolvedValue({ data: {} });
+    });
+
+    it('should list the work items from commits that the body does not reference', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'Login page AB#123', body: 'Fixes login.' } });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 42,
+        body: `Fixes login.\n\n${blockStart}\n**Work items referenced in commits:**\n- AB#456\n<!-- AZDO-VALIDATOR: WORK-ITEMS-END -->`
+      });
+    });
+
+    it('should not update the body when it is already in sync', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'Login page', body: 'Fixes AB#123 and AB#456.' } });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
+
+    it('should not update the body when the option is off', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
+
+    it('should warn instead of failing when the body cannot be updated', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'AB#1', body: '' } });
+      mockOctokit.rest.pulls.update.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(mockWarning).toHaveBeenCalledWith(
+        'Unable to update the pull request body: Resource not accessible by integration'
+      );
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should only log the updated body in a dry run', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'append-work-items-to-pull-request-body') return 'true';
+        if (name === 'dry-run') return 'true';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { title: 'Login page', body: '' } });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(
+        expect.stringContaining(`[dry-run] Would update the body of pull request #42:\n${blockStart}`)
+      );
+    });
+  });
+
+  describe('Resolved comments', () => {
+    /**
+     * Stub the inputs for a passing commit check with an existing failure comment
+     *
+     * @param {Object} inputs - Additional inputs
+     */
+    const mockResolvedCommitComment = inputs => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return inputs[name] ?? 'false';
+      });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: AB#123' } }]
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 888, node_id: 'IC_888', body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There is 1 commit` }]
+      });
+      mockOctokit.graphql = jest.fn().mockResolvedValue({});
+    };
+
+    it('should delete the resolved comment', async () => {
+      mockResolvedCommitComment({ 'resolved-comment-behavior': 'delete' });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 888
+      });
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    it('should minimize the resolved comment after removing its marker', async () => {
+      mockResolvedCommitComment({ 'resolved-comment-behavior': 'minimize' });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 888,
+          body: expect.stringMatching(/^:white_check_mark: All commits in this pull request are now linked/)
+        })
+      );
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('classifier: RESOLVED'), {
+        id: 'IC_888'
+      });
+      expect(mockOctokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+    });
+
+    it('should warn when the resolved comment cannot be minimized', async () => {
+      mockResolvedCommitComment({ 'resolved-comment-behavior': 'minimize' });
+      mockOctokit.graphql.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockWarning).toHaveBeenCalledWith(
+        'Unable to minimize comment 888: Resource not accessible by integration'
+      );
+    });
+
+    it('should only log the minimize mutation in a dry run', async () => {
+      mockResolvedCommitComment({ 'resolved-comment-behavior': 'minimize', 'dry-run': 'true' });
+
+      await run();
+
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(
+        expect.stringMatching(/^\[dry-run\] Would run GraphQL mutation \{"id":"IC_888"\}:\nmutation/)
+      );
+    });
+
+    it('should delete the status comment and the per-scenario comments in consolidated mode', async () => {
+      mockResolvedCommitComment({ 'resolved-comment-behavior': 'delete', 'comment-mode': 'consolidated' });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 5, body: `${COMMENT_MARKERS.STATUS}\n### :x: 1 of 1 work item check failed` },
+          { id: 888, body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There is 1 commit` }
+        ]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 5 }));
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 888 }));
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Slash commands', () => {
+    /**
+     * Run the action for an /azdo command commented on pull request #42
+     *
+     * @param {string} body - Comment body
+     * @param {string} login - Commenter's GitHub login
+     */
+    const runCommand = async (body, login = 'reviewer') => {
+      mockContext.payload.comment = { id: 5, body, user: { login } };
+      await run();
+    };
+
+    beforeEach(() => {
+      mockContext.eventName = 'issue_comment';
+      mockContext.payload.pull_request = undefined;
+      mockContext.payload.issue = { number: 42, pull_request: { url: 'https://api.github.com/pulls/42' } };
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { number: 42, title: 'Test PR', body: '', user: { login: 'author' }, labels: [], base: { ref: 'main' } }
+      });
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } }]
+      });
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel = jest
+        .fn()
+        .mockResolvedValue({ data: { permission: 'write', role_name: 'write' } });
+      mockOctokit.rest.reactions = { createForIssueComment: jest.fn().mockResolvedValue({ data: {} }) };
+      mockOctokit.rest.issues.addLabels = jest.fn().mockResolvedValue({ data: [] });
+    });
+
+    afterEach(() => {
+      delete mockContext.eventName;
+      delete mockContext.payload.issue;
+      delete mockContext.payload.comment;
+    });
+
+    it('should ignore comments without a command', async () => {
+      await runCommand('Looks good to me');
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockGetOctokit).not.toHaveBeenCalled();
+    });
+
+    it('should ignore commands on issues', async () => {
+      mockContext.payload.issue = { number: 42 };
+
+      await runCommand('/azdo recheck');
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockGetOctokit).not.toHaveBeenCalled();
+    });
+
+    it('should let the pull request author recheck it without checking their permission', async () => {
+      await runCommand('/azdo recheck', 'author');
+
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ comment_id: 5, content: '+1' })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).toHaveBeenCalled();
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should reject commands from users without the required permission', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: 'read', role_name: 'triage' }
+      });
+
+      await runCommand('/azdo recheck');
+
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '-1' })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issue_number: 42,
+          body: '@reviewer You need write permission on this repository to run `/azdo recheck`.'
+        })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+
+    it('should use the slash-command-permission setting', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: 'read', role_name: 'triage' }
+      });
+      const getInput = mockGetInput.getMockImplementation();
+      mockGetInput.mockImplementation(name => (name === 'slash-command-permission' ? 'triage' : getInput(name)));
+
+      await runCommand('/azdo recheck');
+
+      expect(mockOctokit.rest.pulls.listCommits).toHaveBeenCalled();
+    });
+
+    it('should reply with the usage of a malformed command', async () => {
+      await runCommand('/azdo link soon');
+
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: 'confused' })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ body: '@reviewer Usage: `/azdo link AB#123`' })
+      );
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+    });
+
+    it('should exempt the pull request with the first exempt label', async () => {
+      mockGetMultilineInput.mockImplementation(name => (name === 'exempt-labels' ? ['no-workitem', 'skip'] : []));
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 1, body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There is 1 commit` }]
+      });
+
+      await runCommand('/azdo exempt docs only');
+
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 42,
+        labels: ['no-workitem']
+      });
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 1,
+          body: expect.stringContaining('@reviewer exempted it with `/azdo exempt`: docs only')
+        })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should not exempt the pull request when there are no exempt labels', async () => {
+      await runCommand('/azdo exempt docs only');
+
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '-1' })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+
+    it('should link the work item and validate the pull request again', async () => {
+      const linkedWorkItems = [];
+      mockLinkWorkItem.mockImplementation(async () => {
+        linkedWorkItems.push(process.env.WORKITEMID);
+        return 'linked';
+      });
+
+      await runCommand('/azdo link AB#7');
+
+      expect(linkedWorkItems).toEqual(['7']);
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '+1' })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).toHaveBeenCalled();
+    });
+
+    it('should not link a work item that does not exist', async () => {
+      mockWorkItemsExist(false);
+
+      await runCommand('/azdo link AB#7');
+
+      expect(mockSetFailed).toHaveBeenCalledWith('Unable to link work item 7: it does not exist in Azure DevOps');
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '-1' })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+
+    it('should not link a work item in a state that is not allowed', async () => {
+      mockWorkItemsExist(true, { state: 'Closed' });
+      mockGetMultilineInput.mockImplementation(name => (name === 'allowed-work-item-states' ? ['Active'] : []));
+
+      await runCommand('/azdo link AB#7');
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'Unable to link work item 7: it is in state `Closed` (allowed: `Active`)'
+      );
+      expect(mockLinkWorkItem).not.toHaveBeenCalled();
+    });
+
+    it('should keep the link added by the command when stale links are removed', async () => {
+      mockLinkWorkItem.mockResolvedValue('linked');
+      mockRemoveStalePullRequestLinks.mockResolvedValue([]);
+      const getInput = mockGetInput.getMockImplementation();
+      mockGetInput.mockImplementation(name =>
+        ['link-commits-to-pull-request', 'remove-stale-links'].includes(name) ? 'true' : getInput(name)
+      );
+
+      await runCommand('/azdo link AB#7');
+
+      expect(mockRemoveStalePullRequestLinks).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        'https://github.com/test-owner/test-repo/pull/42',
+        42,
+        ['1', '7'],
+        expect.anything(),
+        'pat',
+        false
+      );
+    });
+
+    it('should unlink the work item', async () => {
+      mockRemovePullRequestLink.mockResolvedValue(true);
+
+      await runCommand('/azdo unlink AB#7');
+
+      expect(mockRemovePullRequestLink).toHaveBeenCalledWith(
+        'test-org',
+        'azdo-token',
+        'https://github.com/test-owner/test-repo/pull/42',
+        42,
+        '7',
+        expect.anything(),
+        'pat',
+        false
+      );
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '+1' })
+      );
+    });
+
+    it('should react with -1 when the work item cannot be unlinked', async () => {
+      mockRemovePullRequestLink.mockRejectedValue(new Error('Access denied'));
+
+      await runCommand('/azdo unlink AB#7');
+
+      expect(mockSetFailed).toHaveBeenCalledWith('Unable to unlink work item 7: Access denied');
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '-1' })
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Pull request exemptions', () => {
+    beforeEach(() => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        return 'false';
+      });
+      mockGetMultilineInput.mockImplementation(name => (name === 'exempt-labels' ? ['no-workitem'] : []));
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'docs: update readme' } }]
+      });
+    });
+
+    it('should skip validation and mark existing failure comments as exempted', async () => {
+      mockContext.payload.pull_request = { number: 42, labels: [{ name: 'no-workitem' }], base: { ref: 'main' } };
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 1, body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There is 1 commit` },
+          { id: 2, body: 'Unrelated comment' }
+        ]
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          comment_id: 1,
+          body: expect.stringContaining(
+            `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:heavy_minus_sign: Work item validation is skipped for this pull request because it has the \`no-workitem\` label.`
+          )
+        })
+      );
+      expect(mockSetOutput).toHaveBeenCalledWith('work-items', '[]');
+      expect(mockWriteJobSummary.mock.calls[0][0].exemption).toBe('it has the `no-workitem` label');
+    });
+
+    it('should validate pull requests that are not exempt', async () => {
+      mockContext.payload.pull_request = { number: 42, labels: [{ name: 'bug' }], base: { ref: 'main' } };
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+    });
+
+    it('should look up the pull request when it is not in the event payload', async () => {
+      mockContext.payload.pull_request = undefined;
+      const getInput = mockGetInput.getMockImplementation();
+      mockGetInput.mockImplementation(name => (name === 'pull-request-number' ? '7' : getInput(name)));
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { number: 7, title: 'docs', body: '', labels: [{ name: 'no-workitem' }], base: { ref: 'main' } }
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 7
+      });
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Configuration file', () => {
+    /**
+     * Serve a configuration file from the contents API
+     *
+     * @param {string} content - YAML content
+     */
+    const mockConfigFile = content => mockConfigFiles({ 'test-repo': content });
+
+    /**
+     * Serve configuration files by repository from the contents API, other repositories have none
+     *
+     * @param {Object} files - YAML content by repository name
+     */
+    const mockConfigFiles = files => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ repo }) => {
+        if (files[repo] === undefined) {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return { data: { type: 'file', content: Buffer.from(files[repo]).toString('base64') } };
+      });
+    };
+
+    beforeEach(() => {
+      // Leave every setting to the configuration file, as if the workflow sets no inputs
+      mockGetInput.mockImplementation(name => (name === 'github-token' ? 'github-token' : ''));
+      mockContext.payload.pull_request = { number: 42, base: { ref: 'main' } };
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'chore: no work item' } }]
+      });
+    });
+
+    it('should load the configuration file from the base branch and apply its settings', async () => {
+      mockConfigFile(
+        'check-pull-request: false\ncomment-on-failure: false\nfail-if-missing-workitem-commit-link: true\n'
+      );
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: '.github/azdo-validator.yml',
+        ref: 'main'
+      });
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should apply the branch rules for the base branch', async () => {
+      mockContext.payload.pull_request = { number: 42, base: { ref: 'release/1.0' } };
+      mockConfigFile(
+        [
+          'check-pull-request: false',
+          'comment-on-failure: false',
+          'branches:',
+          '  - base: release/*',
+          '    fail-if-missing-workitem-commit-link: false'
+        ].join('\n')
+      );
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should read the configuration file from the config-file path', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'github-token') return 'github-token';
+        if (name === 'config-file') return 'config/validator.yml';
+        return '';
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'config/validator.yml' })
+      );
+    });
+
+    it('should let workflow inputs override the configuration file', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'github-token') return 'github-token';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'false';
+        return '';
+      });
+      mockConfigFile(
+        'check-pull-request: false\ncomment-on-failure: false\nfail-if-missing-workitem-commit-link: true\n'
+      );
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should inherit the organization configuration from the .github repository', async () => {
+      mockConfigFiles({
+        '.github': 'check-pull-request: false\ncomment-on-failure: false\nfail-if-missing-workitem-commit-link: true\n'
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: '.github',
+        path: 'azdo-validator.yml'
+      });
+      expect(mockSetFailed).toHaveBeenCalledWith('There is 1 commit in pull request #42 not linked to work items');
+    });
+
+    it('should apply the repository configuration on top of the organization configuration', async () => {
+      mockConfigFiles({
+        '.github': 'check-pull-request: false\ncomment-on-failure: false\nfail-if-missing-workitem-commit-link: true\n',
+        'test-repo': 'fail-if-missing-workitem-commit-link: false\n'
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /^Effective configuration: \{[\s\S]*"check-pull-request": false,[\s\S]*"fail-if-missing-workitem-commit-link": false,/
+        )
+      );
+    });
+
+    it('should fail when the organization configuration file is malformed', async () => {
+      mockConfigFiles({ '.github': 'check-commits: maybe\n' });
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'Action failed with error: Error: Invalid configuration file test-owner/.github/azdo-validator.yml:\n- `check-commits` must be true or false'
+      );
+    });
+
+    it('should fail with the schema errors when the configuration file is malformed', async () => {
+      mockConfigFile('check-commits: yes please\nunknown-setting: true\n');
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'Action failed with error: Error: Invalid configuration file .github/azdo-validator.yml:\n- `check-commits` must be true or false\n- unknown setting `unknown-setting`'
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Check run', () => {
+    it('should create a check run for the invalid commits and work items', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'false';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'create-check-run') return 'true';
+        return 'false';
+      });
+      mockContext.payload.pull_request = { number: 42, head: { sha: 'head123' } };
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } },
+          { sha: 'def456abc123', commit: { message: 'chore: no work item' } }
+        ]
+      });
+      mockWorkItemsExist(false);
+
+      await run();
+
+      expect(mockCreateCheckRun).toHaveBeenCalledWith(expect.anything(), mockContext, 'head123', {
+        target: 'pull request #42',
+        invalidCommits: [{ sha: 'def456abc123', shortSha: 'def456a', message: 'chore: no work item' }],
+        commitsRequireWorkItems: false,
+        workItemReference: 'a work item reference (`AB#xxx`)',
+        invalidWorkItems: [
+          {
+            id: '1',
+            commit: { sha: 'abc123def456', shortSha: 'abc123d' },
+            branch: false,
+            problems: ['does not exist in Azure DevOps']
+          }
+        ],
+        failures: ['There is 1 work item that does not exist in Azure DevOps']
+      });
+    });
+
+    it('should attach the check run to the last commit when there is no pull request payload', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'create-check-run') return 'true';
+        if (name === 'pull-request-number') return '7';
+        return 'false';
+      });
+      mockContext.payload.pull_request = undefined;
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123def456', commit: { message: 'feat: add feature AB#1' } },
+          { sha: 'def456abc123', commit: { message: 'fix: bug fix AB#1' } }
+        ]
+      });
+
+      await run();
+
+      expect(mockCreateCheckRun).toHaveBeenCalledWith(
+        expect.anything(),
+        mockContext,
+        'def456abc123',
+        expect.objectContaining({ failures: [] })
+      );
+    });
+
+    it('should not create a check run by default', async () => {
+      await run();
+
+      expect(mockCreateCheckRun).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Dry run', () => {
+    it('should log the failure comment instead of creating it', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        if (name === 'dry-run') return 'true';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: no work item' } }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(
+        expect.stringContaining('[dry-run] Would create comment on pull request #42:\n')
+      );
+      expect(mockInfo).toHaveBeenCalledWith(expect.stringContaining(COMMENT_MARKERS.COMMITS_NOT_LINKED));
+      expect(mockSetFailed).toHaveBeenCalledWith(expect.stringContaining('not linked to work items'));
+    });
+
+    it('should log the comment update instead of updating it', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'fail-if-missing-workitem-commit-link') return 'true';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'true';
+        if (name === 'dry-run') return 'true';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#123' } }]
+      });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 999, body: `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\nOld failure` }]
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(expect.stringContaining('[dry-run] Would update comment 999:\n'));
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should run the linker in dry-run mode and still produce outputs and the summary', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'dry-run') return 'true';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#123' } }]
+      });
+      let dryRunEnv;
+      mockLinkWorkItem.mockImplementation(async () => {
+        dryRunEnv = process.env.DRY_RUN;
+        return 'dry run';
+      });
+
+      await run();
+
+      expect(dryRunEnv).toBe('true');
+      expect(mockSetOutput).toHaveBeenCalledWith('work-items', '[123]');
+      expect(mockSetOutput).toHaveBeenCalledWith('linked-work-items', '[]');
+      const report = mockWriteJobSummary.mock.calls[0][0];
+      expect(report.dryRun).toBe(true);
+      expect(report.workItems).toEqual([expect.objectContaining({ id: '123', linkStatus: 'dry run' })]);
+    });
+
+    it('should not set the linker to dry-run mode by default', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123def456', commit: { message: 'feat: add feature AB#123' } }]
+      });
+
+      await run();
+
+      expect(process.env.DRY_RUN).toBe('false');
+      expect(mockWriteJobSummary.mock.calls[0][0].dryRun).toBe(false);
+    });
+  });
+
+  describe('Azure DevOps authentication', () => {
+    const setupInputs = inputs => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'link-commits-to-pull-request') return 'true';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return inputs[name] ?? 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123', commit: { message: 'feat: add feature AB#12345' } }]
+      });
+    };
+
+    it('should use a provided Microsoft Entra ID access token as a bearer token', async () => {
+      setupInputs({ 'azure-devops-auth-type': 'access-token', 'azure-devops-token': 'entra-access-token' });
+
+      await run();
+
+      expect(mockGetEntraAccessToken).not.toHaveBeenCalled();
+      expect(mockGetWorkItems).toHaveBeenCalledWith(
+        'test-org',
+        'entra-access-token',
+        ['12345'],
+        expect.anything(),
+        'bearer'
+      );
+      expect(process.env.AZURE_DEVOPS_TOKEN_TYPE).toBe('bearer');
+      expect(mockLinkWorkItem).toHaveBeenCalled();
+    });
+
+    it('should acquire an access token for a service principal', async () => {
+      setupInputs({
+        'azure-devops-auth-type': 'service-principal',
+        'azure-tenant-id': 'tenant-id',
+        'azure-client-id': 'client-id',
+        'azure-client-secret': ''
+      });
+      mockGetEntraAccessToken.mockResolvedValue('entra-access-token');
+
+      await run();
+
+      expect(mockGetEntraAccessToken).toHaveBeenCalledWith('tenant-id', 'client-id', '');
+      expect(mockGetWorkItems).toHaveBeenCalledWith(
+        'test-org',
+        'entra-access-token',
+        ['12345'],
+        expect.anything(),
+        'bearer'
+      );
+      expect(process.env.AZURE_DEVOPS_PAT).toBe('entra-access-token');
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the service principal token cannot be acquired', async () => {
+      setupInputs({ 'azure-devops-auth-type': 'service-principal' });
+      mockGetEntraAccessToken.mockRejectedValue(new Error('Failed to acquire a Microsoft Entra ID access token'));
+
+      await run();
+
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to acquire a Microsoft Entra ID access token')
+      );
+      expect(mockOctokit.rest.pulls.listCommits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Azure DevOps Server support', () => {
+    it('should validate work items against the collection URL without an organization', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'false';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return '';
+        if (name === 'azure-devops-url') return 'https://myserver/tfs/DefaultCollection';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [{ sha: 'abc123', commit: { message: 'feat: add feature AB#12345' } }]
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockGetWorkItems).toHaveBeenCalledWith(
+        '',
+        'azdo-token',
+        ['12345'],
+        'https://myserver/tfs/DefaultCollection',
+        'pat'
+      );
+    });
+  });
+
+  describe('Batched work item validation', () => {
+    it('should validate commit work items in one batch and only validate new PR work items', async () => {
+      mockGetInput.mockImplementation(name => {
+        if (name === 'check-commits') return 'true';
+        if (name === 'check-pull-request') return 'true';
+        if (name === 'validate-work-item-exists') return 'true';
+        if (name === 'azure-devops-token') return 'azdo-token';
+        if (name === 'azure-devops-organization') return 'test-org';
+        if (name === 'github-token') return 'github-token';
+        if (name === 'comment-on-failure') return 'false';
+        return 'false';
+      });
+
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc123', commit: { message: 'feat: add feature AB#1' } },
+          { sha: 'def456', commit: { message: 'fix: bug fix AB#2 AB#1' } }
+        ]
+      });
+
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: {
+          title: 'feat: new feature AB#1',
+          body: 'Also AB#3'
+        }
+      });
+
+      await run();
+
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockGetWorkItems).toHaveBeenCalledTimes(2);
+      expect(mockGetWorkItems).toHaveBeenNthCalledWith(
+        1,
+        'test-org',
+        'azdo-token',
+        ['1', '2'],
+        expect.anything(),
+        'pat'
+      );
+      expect(mockGetWorkItems).toHaveBeenNthCalledWith(2, 'test-org', 'azdo-token', ['3'], expect.anything(), 'pat');
+    });
+  });
+
   describe('GitHub token permissions', () => {
     it('should provide helpful error message when GITHUB_TOKEN lacks pull-requests write permission', async () => {
       // Mock PR data
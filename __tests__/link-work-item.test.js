@@ -19,15 +19,22 @@ const mockCore = {
 // Mock azure-devops-node-api
 const mockUpdateWorkItem = jest.fn();
 const mockGetWorkItem = jest.fn();
+const mockGetWorkItemsBatch = jest.fn();
+const mockQueryWorkItemsForArtifactUris = jest.fn();
+const mockGetComments = jest.fn();
+const mockAddComment = jest.fn();
+const mockUpdateComment = jest.fn();
 const mockGetWorkItemTrackingApi = jest.fn();
 const mockWebApi = jest.fn();
 const mockGetPersonalAccessTokenHandler = jest.fn();
+const mockGetBearerHandler = jest.fn();
 
 // Setup module mocks
 jest.unstable_mockModule('@actions/core', () => mockCore);
 jest.unstable_mockModule('azure-devops-node-api', () => ({
   WebApi: mockWebApi,
-  getPersonalAccessTokenHandler: mockGetPersonalAccessTokenHandler
+  getPersonalAccessTokenHandler: mockGetPersonalAccessTokenHandler,
+  getBearerHandler: mockGetBearerHandler
 }));
 
 describe('Azure DevOps Work Item Linker', () => {
@@ -47,6 +54,8 @@ describe('Azure DevOps Work Item Linker', () => {
     mockWarning.mockClear();
     mockUpdateWorkItem.mockClear();
     mockGetWorkItem.mockClear();
+    mockGetWorkItemsBatch.mockClear();
+    mockQueryWorkItemsForArtifactUris.mockClear();
     mockGetWorkItemTrackingApi.mockClear();
     mockWebApi.mockClear();
     mockGetPersonalAccessTokenHandler.mockClear();
@@ -54,7 +63,12 @@ describe('Azure DevOps Work Item Linker', () => {
     // Set up Azure DevOps API mocks
     mockGetWorkItemTrackingApi.mockResolvedValue({
       updateWorkItem: mockUpdateWorkItem,
-      getWorkItem: mockGetWorkItem
+      getWorkItem: mockGetWorkItem,
+      getWorkItemsBatch: mockGetWorkItemsBatch,
+      queryWorkItemsForArtifactUris: mockQueryWorkItemsForArtifactUris,
+      getComments: mockGetComments,
+      addComment: mockAddComment,
+      updateComment: mockUpdateComment
     });
 
     mockWebApi.mockImplementation(() => ({
@@ -62,6 +76,7 @@ describe('Azure DevOps Work Item Linker', () => {
     }));
 
     mockGetPersonalAccessTokenHandler.mockReturnValue({});
+    mockGetBearerHandler.mockReturnValue({});
 
     // Reset modules to ensure fresh imports
     jest.resetModules();
@@ -116,10 +131,11 @@ describe('Azure DevOps Work Item Linker', () => {
       mockUpdateWorkItem.mockRejectedValue(new Error('The relation already exists'));
 
       const { run } = await import('../src/link-work-item.js');
-      await run();
+      const linkStatus = await run();
 
       // Should not fail when link already exists
       expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(linkStatus).toBe('already linked');
     });
 
     it('should send correct data provider request structure', async () => {
@@ -158,7 +174,9 @@ describe('Azure DevOps Work Item Linker', () => {
       mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
 
       const { run } = await import('../src/link-work-item.js');
-      await run();
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
 
       // Verify request body structure
       expect(requestBody).toBeDefined();
@@ -243,45 +261,827 @@ describe('Azure DevOps Work Item Linker', () => {
     });
   });
 
-  describe('validateWorkItemExists', () => {
-    it('should return true when work item exists', async () => {
-      // Mock getWorkItem to return a valid work item
+  describe('Commit links', () => {
+    beforeEach(() => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
+    });
+
+    /**
+     * Get the relation added by each updateWorkItem call
+     *
+     * @returns {Object[]} Relation values
+     */
+    const getAddedRelations = () => mockUpdateWorkItem.mock.calls.map(([, patchDocument]) => patchDocument[0].value);
+
+    it('should add a GitHub Commit link for each commit using the resolved internal repo ID', async () => {
+      process.env.COMMITSHAS = 'abc123def456,def456abc123';
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(getAddedRelations()).toEqual([
+        {
+          rel: 'ArtifactLink',
+          url: 'vstfs:///GitHub/PullRequest/internal-repo-id%2F42',
+          attributes: { name: 'GitHub Pull Request', comment: 'Pull Request 42' }
+        },
+        {
+          rel: 'ArtifactLink',
+          url: 'vstfs:///GitHub/Commit/internal-repo-id%2Fabc123def456',
+          attributes: { name: 'GitHub Commit', comment: 'Commit abc123d' }
+        },
+        {
+          rel: 'ArtifactLink',
+          url: 'vstfs:///GitHub/Commit/internal-repo-id%2Fdef456abc123',
+          attributes: { name: 'GitHub Commit', comment: 'Commit def456a' }
+        }
+      ]);
+    });
+
+    it('should add commit links when the pull request is already linked', async () => {
+      process.env.COMMITSHAS = 'abc123def456';
+      mockUpdateWorkItem
+        .mockRejectedValueOnce(new Error('The relation already exists'))
+        .mockRejectedValueOnce(new Error('The relation already exists'));
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('already linked');
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(2);
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should warn and keep linking the other commits when a commit link cannot be added', async () => {
+      process.env.COMMITSHAS = 'abc123def456,def456abc123';
+      mockUpdateWorkItem
+        .mockResolvedValueOnce({ id: 12345 })
+        .mockRejectedValueOnce(new Error('Access denied'))
+        .mockResolvedValueOnce({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(3);
+      expect(mockWarning).toHaveBeenCalledWith(
+        '... failed to link commit abc123def456 to work item 12345: Access denied'
+      );
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should only add the pull request link when no commits are given', async () => {
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Dry run', () => {
+    it('should log the work item update instead of sending it', async () => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+      process.env.DRY_RUN = 'true';
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('dry run');
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(expect.stringContaining('[dry-run] Would update work item 12345 with: '));
+      expect(mockInfo).toHaveBeenCalledWith(
+        expect.stringContaining('vstfs:///GitHub/PullRequest/internal-repo-id%2F42')
+      );
+    });
+  });
+
+  describe('Work item tags and fields', () => {
+    beforeEach(() => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+      process.env.WORK_ITEM_TAGS = 'has-pr;Reviewed';
+      process.env.WORK_ITEM_FIELDS = JSON.stringify({ 'Custom.Repository': 'owner/repo', 'Custom.PullRequest': '42' });
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
       mockGetWorkItem.mockResolvedValue({
         id: 12345,
-        fields: {
-          'System.Title': 'Test work item'
-        }
+        rev: 3,
+        fields: { 'System.Tags': 'reviewed; Frontend', 'Custom.PullRequest': '42' }
       });
+    });
 
-      const { validateWorkItemExists } = await import('../src/link-work-item.js');
-      const result = await validateWorkItemExists('test-org', 'azdo-token', '12345');
+    it('should add the tags and set the changed fields in the same update as the pull request link', async () => {
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
 
-      expect(result).toBe(true);
-      expect(mockGetWorkItem).toHaveBeenCalledWith(12345);
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(mockGetWorkItem).toHaveBeenCalledWith(12345, ['Custom.Repository', 'Custom.PullRequest', 'System.Tags']);
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(1);
+      const [, patchDocument] = mockUpdateWorkItem.mock.calls[0];
+      expect(patchDocument.slice(0, 3)).toEqual([
+        { op: 'test', path: '/rev', value: 3 },
+        { op: 'add', path: '/fields/Custom.Repository', value: 'owner/repo' },
+        { op: 'add', path: '/fields/System.Tags', value: 'reviewed; Frontend; has-pr' }
+      ]);
+      expect(patchDocument[3]).toEqual(expect.objectContaining({ op: 'add', path: '/relations/-' }));
     });
 
-    it('should return false when work item does not exist (404)', async () => {
-      // Mock getWorkItem to throw a 404 error
-      const error = new Error('Work item not found');
-      error.statusCode = 404;
-      mockGetWorkItem.mockRejectedValue(error);
+    it('should read the work item again when it was changed before the update', async () => {
+      process.env.WORK_ITEM_FIELDS = JSON.stringify({ 'Custom.Repository': 'owner/repo' });
+      mockGetWorkItem.mockResolvedValueOnce({ id: 12345, rev: 3, fields: { 'System.Tags': 'reviewed' } });
+      mockGetWorkItem.mockResolvedValueOnce({ id: 12345, rev: 4, fields: { 'System.Tags': 'reviewed; Backend' } });
+      mockUpdateWorkItem
+        .mockRejectedValueOnce(Object.assign(new Error('The work item has been changed'), { statusCode: 412 }))
+        .mockResolvedValueOnce({ id: 12345 });
 
-      const { validateWorkItemExists } = await import('../src/link-work-item.js');
-      const result = await validateWorkItemExists('test-org', 'azdo-token', '99999');
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(2);
+      expect(mockUpdateWorkItem.mock.calls[1][1].slice(0, 3)).toEqual([
+        { op: 'test', path: '/rev', value: 4 },
+        { op: 'add', path: '/fields/Custom.Repository', value: 'owner/repo' },
+        { op: 'add', path: '/fields/System.Tags', value: 'reviewed; Backend; has-pr' }
+      ]);
+    });
 
-      expect(result).toBe(false);
-      expect(mockGetWorkItem).toHaveBeenCalledWith(99999);
+    it('should fail when the work item is changed again before the retry', async () => {
+      const conflict = Object.assign(new Error('The work item has been changed'), { statusCode: 412 });
+      mockUpdateWorkItem.mockRejectedValueOnce(conflict).mockRejectedValueOnce(conflict);
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(2);
+      expect(mockSetFailed).toHaveBeenCalled();
+    });
+
+    it('should still update the fields when the pull request is already linked', async () => {
+      mockUpdateWorkItem
+        .mockRejectedValueOnce(new Error('The relation already exists'))
+        .mockResolvedValueOnce({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('already linked');
+      expect(mockUpdateWorkItem).toHaveBeenLastCalledWith(
+        {},
+        [
+          { op: 'test', path: '/rev', value: 3 },
+          { op: 'add', path: '/fields/Custom.Repository', value: 'owner/repo' },
+          { op: 'add', path: '/fields/System.Tags', value: 'reviewed; Frontend; has-pr' }
+        ],
+        '12345'
+      );
+    });
+
+    it('should only add the pull request link when the work item already has the tags and fields', async () => {
+      process.env.WORK_ITEM_TAGS = 'Frontend';
+      process.env.WORK_ITEM_FIELDS = JSON.stringify({ 'Custom.PullRequest': '42' });
+      mockUpdateWorkItem.mockRejectedValueOnce(new Error('The relation already exists'));
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('already linked');
+      expect(mockUpdateWorkItem).toHaveBeenCalledTimes(1);
+      expect(mockUpdateWorkItem.mock.calls[0][1]).toHaveLength(1);
+    });
+
+    it('should not read the work item when there are no tags or fields', async () => {
+      process.env.WORK_ITEM_TAGS = '';
+      process.env.WORK_ITEM_FIELDS = '{}';
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockGetWorkItem).not.toHaveBeenCalled();
+      expect(mockUpdateWorkItem.mock.calls[0][1]).toHaveLength(1);
+    });
+  });
+
+  describe('Work item comments', () => {
+    const pullRequestUrl = 'https://github.com/owner/repo/pull/42';
+    const commentText = `<p>Linked to GitHub pull request <a href="${pullRequestUrl}">owner/repo#42</a>: Add login</p>\n<p><em>Posted by the Azure DevOps Commit Validator, updated on every run.</em></p>`;
+
+    beforeEach(() => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+      process.env.WORK_ITEM_COMMENT = commentText;
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+      mockGetWorkItem.mockResolvedValue({ id: 12345, fields: { 'System.TeamProject': 'My Project' } });
+    });
+
+    it('should add the comment in the work item project when there is none for the pull request yet', async () => {
+      mockGetComments.mockResolvedValue({
+        comments: [{ id: 1, text: `<p>Linked to <a href="${pullRequestUrl}4">#424</a></p>` }]
+      });
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(mockGetWorkItem).toHaveBeenCalledWith(12345, ['System.TeamProject']);
+      expect(mockGetComments).toHaveBeenCalledWith('My Project', 12345, undefined, undefined);
+      expect(mockAddComment).toHaveBeenCalledWith({ text: commentText }, 'My Project', 12345);
+      expect(mockUpdateComment).not.toHaveBeenCalled();
+    });
+
+    it('should update the comment posted by a previous run instead of adding another', async () => {
+      mockGetComments
+        .mockResolvedValueOnce({ comments: [{ id: 1, text: 'Unrelated' }], continuationToken: 'next' })
+        .mockResolvedValueOnce({
+          comments: [{ id: 7, text: commentText.replace('Add login', 'WIP') }]
+        });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockGetComments).toHaveBeenLastCalledWith('My Project', 12345, undefined, 'next');
+      expect(mockUpdateComment).toHaveBeenCalledWith({ text: commentText }, 'My Project', 12345, 7);
+      expect(mockAddComment).not.toHaveBeenCalled();
+    });
+
+    it('should leave an up-to-date comment unchanged', async () => {
+      mockGetComments.mockResolvedValue({ comments: [{ id: 7, text: commentText }] });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockAddComment).not.toHaveBeenCalled();
+      expect(mockUpdateComment).not.toHaveBeenCalled();
+    });
+
+    it('should only log the comment in a dry run', async () => {
+      process.env.DRY_RUN = 'true';
+      mockGetComments.mockResolvedValue({ comments: [] });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockAddComment).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(`[dry-run] Would comment on work item 12345 with: ${commentText}`);
+    });
+
+    it('should warn without failing the link when the comment cannot be posted', async () => {
+      mockGetComments.mockResolvedValue({ comments: [] });
+      mockAddComment.mockRejectedValue(new Error('Access denied'));
+
+      const { run } = await import('../src/link-work-item.js');
+      const linkStatus = await run();
+
+      expect(linkStatus).toBe('linked');
+      expect(mockSetFailed).not.toHaveBeenCalled();
+      expect(mockWarning).toHaveBeenCalledWith('... failed to comment on work item 12345: Access denied');
+    });
+
+    it('should not comment when WORK_ITEM_COMMENT is empty', async () => {
+      process.env.WORK_ITEM_COMMENT = '';
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockGetComments).not.toHaveBeenCalled();
+      expect(mockAddComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Microsoft Entra ID access tokens', () => {
+    it('should use bearer authentication for the connection and data provider query', async () => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'entra-access-token';
+      process.env.AZURE_DEVOPS_TOKEN_TYPE = 'bearer';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'repo-internal-id' }]
+                }
+              }
+            })
+        })
+      );
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockGetBearerHandler).toHaveBeenCalledWith('entra-access-token');
+      expect(mockGetPersonalAccessTokenHandler).not.toHaveBeenCalled();
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer entra-access-token');
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should use basic authentication for PATs', async () => {
+      process.env.AZURE_DEVOPS_ORG = 'test-org';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+      delete process.env.AZURE_DEVOPS_TOKEN_TYPE;
+
+      global.fetch = jest.fn(() => Promise.resolve({ status: 401, json: () => Promise.resolve({}) }));
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockGetPersonalAccessTokenHandler).toHaveBeenCalledWith('azdo-pat');
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe(
+        `Basic ${Buffer.from(':azdo-pat').toString('base64')}`
+      );
+    });
+
+    it('should retrieve work items with bearer authentication', async () => {
+      mockGetWorkItemsBatch.mockResolvedValue([]);
+
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      await getWorkItems('test-org', 'entra-access-token', ['1'], '', 'bearer');
+
+      expect(mockGetBearerHandler).toHaveBeenCalledWith('entra-access-token');
+    });
+  });
+
+  describe('Azure DevOps Server support', () => {
+    it('should default to the dev.azure.com organization URL', async () => {
+      const { getOrganizationUrl } = await import('../src/link-work-item.js');
+      expect(getOrganizationUrl('test-org')).toBe('https://dev.azure.com/test-org');
+      expect(getOrganizationUrl('test-org', '')).toBe('https://dev.azure.com/test-org');
+    });
+
+    it('should use the collection URL without trailing slashes when provided', async () => {
+      const { getOrganizationUrl } = await import('../src/link-work-item.js');
+      expect(getOrganizationUrl('test-org', 'https://myserver/tfs/DefaultCollection/')).toBe(
+        'https://myserver/tfs/DefaultCollection'
+      );
+      expect(getOrganizationUrl('', 'https://test-org.visualstudio.com')).toBe('https://test-org.visualstudio.com');
+    });
+
+    it('should use the collection URL for the connection and data provider query when linking', async () => {
+      process.env.AZURE_DEVOPS_ORG = '';
+      process.env.AZURE_DEVOPS_URL = 'https://myserver/tfs/DefaultCollection';
+      process.env.AZURE_DEVOPS_PAT = 'azdo-pat';
+      process.env.WORKITEMID = '12345';
+      process.env.GITHUB_SERVER_URL = 'https://github.com';
+      process.env.PULLREQUESTID = '42';
+      process.env.REPO = 'owner/repo';
+
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'repo-internal-id' }]
+                }
+              }
+            })
+        })
+      );
+      mockUpdateWorkItem.mockResolvedValue({ id: 12345 });
+
+      const { run } = await import('../src/link-work-item.js');
+      await run();
+
+      expect(mockWebApi).toHaveBeenCalledWith('https://myserver/tfs/DefaultCollection', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://myserver/tfs/DefaultCollection/_apis/Contribution/dataProviders/query?api-version=7.1-preview.1',
+        expect.anything()
+      );
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should use the collection URL when retrieving work items', async () => {
+      mockGetWorkItemsBatch.mockResolvedValue([]);
+
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      await getWorkItems('', 'azdo-token', ['1'], 'https://test-org.visualstudio.com/');
+
+      expect(mockWebApi).toHaveBeenCalledWith('https://test-org.visualstudio.com', expect.anything());
+    });
+  });
+
+  describe('getWorkItems', () => {
+    it('should return details for each unique work item and null for missing ones', async () => {
+      mockGetWorkItemsBatch.mockResolvedValue([
+        {
+          id: 1,
+          fields: {
+            'System.Title': 'Login page',
+            'System.State': 'Active',
+            'System.WorkItemType': 'User Story',
+            'System.TeamProject': 'Project'
+          }
+        },
+        { id: 3, fields: { 'System.Title': 'Crash', 'System.State': 'New', 'System.WorkItemType': 'Bug' } }
+      ]);
+
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      const results = await getWorkItems('test-org', 'azdo-token', ['1', '2', '3', '1']);
+
+      expect(results).toEqual(
+        new Map([
+          ['1', { id: '1', title: 'Login page', state: 'Active', type: 'User Story', project: 'Project' }],
+          ['2', null],
+          ['3', { id: '3', title: 'Crash', state: 'New', type: 'Bug', project: '' }]
+        ])
+      );
+      expect(mockGetWorkItemsBatch).toHaveBeenCalledTimes(1);
+      expect(mockGetWorkItemsBatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          ids: [1, 2, 3],
+          fields: expect.arrayContaining(['System.State', 'System.WorkItemType', 'System.TeamProject']),
+          errorPolicy: 2
+        })
+      );
+    });
+
+    it('should request work items in batches of 200 using a single connection', async () => {
+      mockGetWorkItemsBatch.mockImplementation(async request => request.ids.map(id => ({ id, fields: {} })));
+      const workItemIds = Array.from({ length: 450 }, (_, i) => `${i + 1}`);
+
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      const results = await getWorkItems('test-org', 'azdo-token', workItemIds);
+
+      expect(mockWebApi).toHaveBeenCalledTimes(1);
+      expect(mockGetWorkItemsBatch).toHaveBeenCalledTimes(3);
+      expect(mockGetWorkItemsBatch.mock.calls.map(([request]) => request.ids.length)).toEqual([200, 200, 50]);
+      expect([...results.values()].every(workItem => workItem !== null)).toBe(true);
+    });
+
+    it('should mark all work items in a failed batch as not found', async () => {
+      mockGetWorkItemsBatch.mockRejectedValue(new Error('Network error'));
+
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      const results = await getWorkItems('test-org', 'azdo-token', ['1', '2']);
+
+      expect(results).toEqual(
+        new Map([
+          ['1', null],
+          ['2', null]
+        ])
+      );
+      expect(mockWarning).toHaveBeenCalledWith(expect.stringContaining('Network error'));
+    });
+
+    it('should not connect to Azure DevOps when there are no work items', async () => {
+      const { getWorkItems } = await import('../src/link-work-item.js');
+      const results = await getWorkItems('test-org', 'azdo-token', []);
+
+      expect(results.size).toBe(0);
+      expect(mockWebApi).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateWorkItemStates', () => {
+    it('should move each work item to its new state', async () => {
+      mockUpdateWorkItem.mockResolvedValue({ id: 1 });
+
+      const { updateWorkItemStates } = await import('../src/link-work-item.js');
+      const updated = await updateWorkItemStates(
+        'test-org',
+        'azdo-pat',
+        new Map([
+          ['1', 'Resolved'],
+          ['2', 'Closed']
+        ])
+      );
+
+      expect(updated).toEqual(['1', '2']);
+      expect(mockUpdateWorkItem).toHaveBeenCalledWith(
+        {},
+        [{ op: 'add', path: '/fields/System.State', value: 'Resolved' }],
+        1
+      );
+      expect(mockUpdateWorkItem).toHaveBeenCalledWith(
+        {},
+        [{ op: 'add', path: '/fields/System.State', value: 'Closed' }],
+        2
+      );
+    });
+
+    it('should warn and continue when a work item cannot be moved', async () => {
+      mockUpdateWorkItem
+        .mockRejectedValueOnce(new Error('The field State contains the value Resolved that is not in the list'))
+        .mockResolvedValueOnce({ id: 2 });
+
+      const { updateWorkItemStates } = await import('../src/link-work-item.js');
+      const updated = await updateWorkItemStates(
+        'test-org',
+        'azdo-pat',
+        new Map([
+          ['1', 'Resolved'],
+          ['2', 'Closed']
+        ])
+      );
+
+      expect(updated).toEqual(['2']);
+      expect(mockWarning).toHaveBeenCalledWith(expect.stringContaining('failed to move work item 1 to Resolved'));
+      expect(mockSetFailed).not.toHaveBeenCalled();
+    });
+
+    it('should only log the state changes in a dry run', async () => {
+      const { updateWorkItemStates } = await import('../src/link-work-item.js');
+      const updated = await updateWorkItemStates(
+        'test-org',
+        'azdo-pat',
+        new Map([['1', 'Resolved']]),
+        undefined,
+        undefined,
+        true
+      );
+
+      expect(updated).toEqual(['1']);
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(expect.stringContaining('[dry-run] Would update work item 1 with: '));
+    });
+  });
+
+  describe('removePullRequestLink', () => {
+    beforeEach(() => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
+      mockUpdateWorkItem.mockResolvedValue({ id: 3 });
+    });
+
+    it('should remove the pull request link from the work item', async () => {
+      mockGetWorkItem.mockResolvedValue({
+        id: 3,
+        rev: 7,
+        relations: [{ rel: 'ArtifactLink', url: 'vstfs:///GitHub/PullRequest/internal-repo-id%2f42' }]
+      });
+
+      const { removePullRequestLink } = await import('../src/link-work-item.js');
+      const removed = await removePullRequestLink(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        '3'
+      );
+
+      expect(removed).toBe(true);
+      expect(mockUpdateWorkItem).toHaveBeenCalledWith(
+        {},
+        [
+          { op: 'test', path: '/rev', value: 7 },
+          { op: 'remove', path: '/relations/0' }
+        ],
+        3
+      );
+    });
+
+    it('should return false when the work item is not linked to the pull request', async () => {
+      mockGetWorkItem.mockResolvedValue({ id: 3, rev: 7, relations: [] });
+
+      const { removePullRequestLink } = await import('../src/link-work-item.js');
+      const removed = await removePullRequestLink(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        '3'
+      );
+
+      expect(removed).toBe(false);
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the internal repo ID cannot be resolved', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 200, json: () => Promise.resolve({ data: {} }) }));
+
+      const { removePullRequestLink } = await import('../src/link-work-item.js');
+
+      await expect(
+        removePullRequestLink('test-org', 'azdo-pat', 'https://github.com/owner/repo/pull/42', 42, '3')
+      ).rejects.toThrow();
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeStalePullRequestLinks', () => {
+    const pullRequestLink = 'vstfs:///GitHub/PullRequest/internal-repo-id%2F42';
+
+    beforeEach(() => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          status: 200,
+          json: () =>
+            Promise.resolve({
+              data: {
+                'ms.vss-work-web.github-link-data-provider': {
+                  resolvedLinkItems: [{ repoInternalId: 'internal-repo-id' }]
+                }
+              }
+            })
+        })
+      );
+      mockQueryWorkItemsForArtifactUris.mockResolvedValue({
+        artifactUrisQueryResult: { [pullRequestLink]: [{ id: 1 }, { id: 3 }] }
+      });
+      mockGetWorkItem.mockResolvedValue({
+        id: 3,
+        rev: 7,
+        relations: [
+          { rel: 'System.LinkTypes.Hierarchy-Reverse', url: 'https://dev.azure.com/test-org/_apis/wit/workItems/2' },
+          { rel: 'ArtifactLink', url: 'vstfs:///GitHub/PullRequest/internal-repo-id%2f42' }
+        ]
+      });
+      mockUpdateWorkItem.mockResolvedValue({ id: 3 });
+    });
+
+    it('should remove the pull request link from work items that are no longer referenced', async () => {
+      const { removeStalePullRequestLinks } = await import('../src/link-work-item.js');
+      const removed = await removeStalePullRequestLinks(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        ['1', '2']
+      );
+
+      expect(removed).toEqual(['3']);
+      expect(mockQueryWorkItemsForArtifactUris).toHaveBeenCalledWith({ artifactUris: [pullRequestLink] });
+      expect(mockGetWorkItem).toHaveBeenCalledTimes(1);
+      expect(mockGetWorkItem).toHaveBeenCalledWith(3, undefined, undefined, expect.anything());
+      expect(mockUpdateWorkItem).toHaveBeenCalledWith(
+        {},
+        [
+          { op: 'test', path: '/rev', value: 7 },
+          { op: 'remove', path: '/relations/1' }
+        ],
+        3
+      );
+    });
+
+    it('should only log the removals in a dry run', async () => {
+      const { removeStalePullRequestLinks } = await import('../src/link-work-item.js');
+      const removed = await removeStalePullRequestLinks(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        ['1'],
+        undefined,
+        undefined,
+        true
+      );
+
+      expect(removed).toEqual(['3']);
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+      expect(mockInfo).toHaveBeenCalledWith(expect.stringContaining('[dry-run] Would update work item 3 with: '));
+    });
+
+    it('should not remove anything when every linked work item is still referenced', async () => {
+      const { removeStalePullRequestLinks } = await import('../src/link-work-item.js');
+      const removed = await removeStalePullRequestLinks(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        ['1', '3']
+      );
+
+      expect(removed).toEqual([]);
+      expect(mockGetWorkItem).not.toHaveBeenCalled();
+      expect(mockUpdateWorkItem).not.toHaveBeenCalled();
+    });
+
+    it('should warn and continue when a link cannot be removed', async () => {
+      mockUpdateWorkItem.mockRejectedValue(new Error('Access denied'));
+
+      const { removeStalePullRequestLinks } = await import('../src/link-work-item.js');
+      const removed = await removeStalePullRequestLinks(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        ['1']
+      );
+
+      expect(removed).toEqual([]);
+      expect(mockWarning).toHaveBeenCalledWith(expect.stringContaining('failed to remove the pull request link'));
+      expect(mockSetFailed).not.toHaveBeenCalled();
     });
 
-    it('should return false when work item API call fails', async () => {
-      // Mock getWorkItem to throw a network error
-      mockGetWorkItem.mockRejectedValue(new Error('Network error'));
+    it('should warn when the internal repo ID cannot be resolved', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ status: 200, json: () => Promise.resolve({ data: {} }) }));
 
-      const { validateWorkItemExists } = await import('../src/link-work-item.js');
-      const result = await validateWorkItemExists('test-org', 'azdo-token', '12345');
+      const { removeStalePullRequestLinks } = await import('../src/link-work-item.js');
+      const removed = await removeStalePullRequestLinks(
+        'test-org',
+        'azdo-pat',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        ['1']
+      );
 
-      expect(result).toBe(false);
-      expect(mockGetWorkItem).toHaveBeenCalledWith(12345);
+      expect(removed).toEqual([]);
+      expect(mockQueryWorkItemsForArtifactUris).not.toHaveBeenCalled();
+      expect(mockWarning).toHaveBeenCalledWith(expect.stringContaining('unable to look up the pull request links'));
     });
   });
 });
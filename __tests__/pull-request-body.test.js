@@ -0,0 +1,54 @@
+/**
+ * Tests for pull-request-body.js managed work item block
+ */
+
+import {
+  WORK_ITEMS_BLOCK_END,
+  WORK_ITEMS_BLOCK_START,
+  removeWorkItemsBlock,
+  updateWorkItemsBlock
+} from '../src/pull-request-body.js';
+
+describe('Pull request body work item block', () => {
+  const block = ids =>
+    [
+      WORK_ITEMS_BLOCK_START,
+      '**Work items referenced in commits:**',
+      ...ids.map(id => `- AB#${id}`),
+      WORK_ITEMS_BLOCK_END
+    ].join('\n');
+
+  it('should append the block after the author text', () => {
+    expect(updateWorkItemsBlock('Fixes the login page.', ['123', '456'])).toBe(
+      `Fixes the login page.\n\n${block(['123', '456'])}`
+    );
+  });
+
+  it('should add the block to an empty body', () => {
+    expect(updateWorkItemsBlock(null, ['123'])).toBe(block(['123']));
+  });
+
+  it('should replace the block in place without changing the author text', () => {
+    const body = `Intro\r\n\r\n${block(['123'])}\r\n\r\nAdded after the block by the author`;
+
+    expect(updateWorkItemsBlock(body, ['123', '789'])).toBe(
+      `Intro\n\n${block(['123', '789'])}\r\n\r\nAdded after the block by the author`
+    );
+  });
+
+  it('should return the same body when the block is up to date', () => {
+    const body = `Intro\n\n${block(['123'])}`;
+
+    expect(updateWorkItemsBlock(body, ['123'])).toBe(body);
+    expect(updateWorkItemsBlock(block(['123']), ['123'])).toBe(block(['123']));
+  });
+
+  it('should remove the block when there are no work items to list', () => {
+    expect(updateWorkItemsBlock(`Intro\n\n${block(['123'])}`, [])).toBe('Intro');
+  });
+
+  it('should return the author text without the block', () => {
+    expect(removeWorkItemsBlock(`Intro\n\n${block(['123'])}\n\nOutro`)).toBe('Intro\n\nOutro');
+    expect(removeWorkItemsBlock(undefined)).toBe('');
+  });
+});
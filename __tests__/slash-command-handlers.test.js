@@ -0,0 +1,271 @@
+/**
+ * Tests for slash-command-handlers.js pull request comment command handling
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core
+const mockInfo = jest.fn();
+const mockSetFailed = jest.fn();
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: mockInfo,
+  warning: jest.fn(),
+  setFailed: mockSetFailed
+}));
+
+// Mock link-work-item.js
+const mockRemovePullRequestLink = jest.fn();
+
+jest.unstable_mockModule('../src/link-work-item.js', () => ({
+  removePullRequestLink: mockRemovePullRequestLink
+}));
+
+// Mock work-items.js
+const mockGetInvalidWorkItems = jest.fn();
+const mockGetWorkItemViolations = jest.fn();
+const mockLinkPullRequestToWorkItem = jest.fn();
+
+jest.unstable_mockModule('../src/work-items.js', () => ({
+  getInvalidWorkItems: mockGetInvalidWorkItems,
+  getWorkItemViolations: mockGetWorkItemViolations,
+  linkPullRequestToWorkItem: mockLinkPullRequestToWorkItem
+}));
+
+describe('Slash command handlers', () => {
+  let authorizeSlashCommand;
+  let exemptPullRequestByCommand;
+  let runSlashCommand;
+  let mockOctokit;
+
+  const context = {
+    serverUrl: 'https://github.com',
+    repo: { owner: 'owner', repo: 'repo' },
+    payload: { comment: { id: 5, user: { login: 'commenter' } } }
+  };
+  const pullRequest = { number: 42, user: { login: 'author' } };
+  const settings = {
+    getString: name => (name === 'slash-command-permission' ? 'write' : ''),
+    getBoolean: () => false
+  };
+  const azureDevops = {
+    azureDevopsOrganization: 'my-org',
+    azureDevopsUrl: '',
+    azureDevopsToken: 'azdo-token',
+    azureDevopsTokenType: 'pat'
+  };
+  const options = {
+    pullNumber: 42,
+    githubToken: 'github-token',
+    workItemUpdates: { tags: [], fields: {} },
+    workItemValidation: { workItems: new Map(), allowedStates: [], allowedTypes: [], allowedProjects: [] }
+  };
+
+  const getReactions = () =>
+    mockOctokit.rest.reactions.createForIssueComment.mock.calls.map(([{ content }]) => content);
+
+  beforeAll(async () => {
+    ({ authorizeSlashCommand, exemptPullRequestByCommand, runSlashCommand } =
+      await import('../src/slash-command-handlers.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest
+            .fn()
+            .mockResolvedValue({ data: { permission: 'write', role_name: 'write' } })
+        },
+        reactions: {
+          createForIssueComment: jest.fn().mockResolvedValue({ data: {} })
+        },
+        issues: {
+          createComment: jest.fn().mockResolvedValue({ data: {} }),
+          addLabels: jest.fn().mockResolvedValue({ data: {} })
+        }
+      }
+    };
+  });
+
+  describe('authorizeSlashCommand', () => {
+    it('should allow a commenter with the required permission', async () => {
+      const authorized = await authorizeSlashCommand(mockOctokit, context, pullRequest, { name: 'link' }, settings);
+
+      expect(authorized).toBe(true);
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should let the pull request author recheck without checking the permission', async () => {
+      const authorContext = { ...context, payload: { comment: { id: 5, user: { login: 'author' } } } };
+
+      const authorized = await authorizeSlashCommand(
+        mockOctokit,
+        authorContext,
+        pullRequest,
+        { name: 'recheck' },
+        settings
+      );
+
+      expect(authorized).toBe(true);
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).not.toHaveBeenCalled();
+    });
+
+    it('should reject a commenter without the required permission', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: 'read', role_name: 'triage' }
+      });
+
+      const authorized = await authorizeSlashCommand(mockOctokit, context, pullRequest, { name: 'exempt' }, settings);
+
+      expect(authorized).toBe(false);
+      expect(getReactions()).toEqual(['-1']);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        issue_number: 42,
+        body: '@commenter You need write permission on this repository to run `/azdo exempt`.'
+      });
+    });
+
+    it('should reply with the error of a command that cannot be parsed', async () => {
+      const authorized = await authorizeSlashCommand(
+        mockOctokit,
+        context,
+        pullRequest,
+        { name: 'link', error: '`/azdo link` needs a work item ID.' },
+        settings
+      );
+
+      expect(authorized).toBe(false);
+      expect(getReactions()).toEqual(['confused']);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ body: '@commenter `/azdo link` needs a work item ID.' })
+      );
+    });
+  });
+
+  describe('exemptPullRequestByCommand', () => {
+    it('should add the first exempt label and return the reason', async () => {
+      const reason = await exemptPullRequestByCommand(mockOctokit, context, 42, { name: 'exempt', reason: 'hotfix' }, [
+        'no-work-item',
+        'hotfix'
+      ]);
+
+      expect(reason).toBe('@commenter exempted it with `/azdo exempt`: hotfix');
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        issue_number: 42,
+        labels: ['no-work-item']
+      });
+      expect(getReactions()).toEqual(['+1']);
+    });
+
+    it('should not exempt the pull request when no exempt labels are configured', async () => {
+      const reason = await exemptPullRequestByCommand(mockOctokit, context, 42, { name: 'exempt', reason: 'x' }, []);
+
+      expect(reason).toBeNull();
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(getReactions()).toEqual(['-1']);
+    });
+  });
+
+  describe('runSlashCommand', () => {
+    it('should react to a recheck and validate the pull request again', async () => {
+      const validate = await runSlashCommand(mockOctokit, context, { name: 'recheck' }, settings, azureDevops, options);
+
+      expect(validate).toBe(true);
+      expect(getReactions()).toEqual(['+1']);
+    });
+
+    it('should link a valid work item', async () => {
+      mockGetInvalidWorkItems.mockResolvedValue([]);
+      mockLinkPullRequestToWorkItem.mockResolvedValue('linked');
+
+      const validate = await runSlashCommand(
+        mockOctokit,
+        context,
+        { name: 'link', workItemId: '123' },
+        settings,
+        azureDevops,
+        options
+      );
+
+      expect(validate).toBe(true);
+      expect(mockLinkPullRequestToWorkItem).toHaveBeenCalledWith(context, settings, azureDevops, {
+        pullNumber: 42,
+        workItemId: '123',
+        githubToken: 'github-token',
+        commitShas: [],
+        workItemComment: '',
+        workItemUpdates: options.workItemUpdates
+      });
+      expect(getReactions()).toEqual(['+1']);
+    });
+
+    it('should not link a work item that fails validation', async () => {
+      mockGetInvalidWorkItems.mockResolvedValue(['123']);
+      mockGetWorkItemViolations.mockReturnValue(['is in state `Closed` (allowed: `Active`)']);
+
+      const validate = await runSlashCommand(
+        mockOctokit,
+        context,
+        { name: 'link', workItemId: '123' },
+        settings,
+        azureDevops,
+        options
+      );
+
+      expect(validate).toBe(false);
+      expect(mockLinkPullRequestToWorkItem).not.toHaveBeenCalled();
+      expect(mockSetFailed).toHaveBeenCalledWith(
+        'Unable to link work item 123: it is in state `Closed` (allowed: `Active`)'
+      );
+      expect(getReactions()).toEqual(['-1']);
+    });
+
+    it('should unlink a work item', async () => {
+      mockRemovePullRequestLink.mockResolvedValue(true);
+
+      const validate = await runSlashCommand(
+        mockOctokit,
+        context,
+        { name: 'unlink', workItemId: '123' },
+        settings,
+        azureDevops,
+        options
+      );
+
+      expect(validate).toBe(true);
+      expect(mockRemovePullRequestLink).toHaveBeenCalledWith(
+        'my-org',
+        'azdo-token',
+        'https://github.com/owner/repo/pull/42',
+        42,
+        '123',
+        '',
+        'pat',
+        false
+      );
+      expect(getReactions()).toEqual(['+1']);
+    });
+
+    it('should fail without Azure DevOps credentials', async () => {
+      const validate = await runSlashCommand(
+        mockOctokit,
+        context,
+        { name: 'unlink', workItemId: '123' },
+        settings,
+        { ...azureDevops, azureDevopsToken: '' },
+        options
+      );
+
+      expect(validate).toBe(false);
+      expect(mockRemovePullRequestLink).not.toHaveBeenCalled();
+      expect(mockSetFailed).toHaveBeenCalledWith('/azdo unlink needs azure-devops-organization and azure-devops-token');
+      expect(getReactions()).toEqual(['-1']);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for slash-commands.js pull request comment commands
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core
+const mockWarning = jest.fn();
+
+jest.unstable_mockModule('@actions/core', () => ({
+  warning: mockWarning
+}));
+
+describe('Slash commands', () => {
+  let parseSlashCommand;
+  let hasPermission;
+  let getPermissionLevel;
+  let reactToCommand;
+  let mockOctokit;
+
+  const context = { repo: { owner: 'owner', repo: 'repo' }, payload: { comment: { id: 5 } } };
+
+  beforeAll(async () => {
+    ({ parseSlashCommand, hasPermission, getPermissionLevel, reactToCommand } =
+      await import('../src/slash-commands.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        repos: {
+          getCollaboratorPermissionLevel: jest
+            .fn()
+            .mockResolvedValue({ data: { permission: 'write', role_name: 'maintain' } })
+        },
+        reactions: {
+          createForIssueComment: jest.fn().mockResolvedValue({ data: {} })
+        }
+      }
+    };
+  });
+
+  describe('parseSlashCommand', () => {
+    it('should parse each command', () => {
+      expect(parseSlashCommand('/azdo recheck')).toEqual({ name: 'recheck' });
+      expect(parseSlashCommand('/azdo link AB#123')).toEqual({ name: 'link', workItemId: '123' });
+      expect(parseSlashCommand('/azdo unlink 456')).toEqual({ name: 'unlink', workItemId: '456' });
+      expect(parseSlashCommand('/azdo exempt hotfix for the outage')).toEqual({
+        name: 'exempt',
+        reason: 'hotfix for the outage'
+      });
+    });
+
+    it('should find the command on any line of the comment', () => {
+      expect(parseSlashCommand('Fixed the commit messages.\r\n  /azdo RECHECK  \r\nThanks')).toEqual({
+        name: 'recheck'
+      });
+    });
+
+    it('should return null when the comment has no command', () => {
+      expect(parseSlashCommand('Looks good to me')).toBeNull();
+      expect(parseSlashCommand('/azdoo recheck')).toBeNull();
+      expect(parseSlashCommand('Run `/azdo recheck` after fixing it')).toBeNull();
+      expect(parseSlashCommand(undefined)).toBeNull();
+    });
+
+    it('should report unknown and malformed commands', () => {
+      expect(parseSlashCommand('/azdo close').error).toContain('Unknown command `/azdo close`');
+      expect(parseSlashCommand('/azdo').error).toContain('Unknown command');
+      expect(parseSlashCommand('/azdo link ABC').error).toBe('Usage: `/azdo link AB#123`');
+      expect(parseSlashCommand('/azdo exempt').error).toBe('Usage: `/azdo exempt <reason>`');
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should compare permission levels', () => {
+      expect(hasPermission('admin', 'write')).toBe(true);
+      expect(hasPermission('write', 'write')).toBe(true);
+      expect(hasPermission('triage', 'write')).toBe(false);
+      expect(hasPermission('triage', 'triage')).toBe(true);
+      expect(hasPermission('none', 'read')).toBe(false);
+    });
+  });
+
+  describe('getPermissionLevel', () => {
+    it('should prefer the role name over the legacy permission', async () => {
+      await expect(getPermissionLevel(mockOctokit, context, 'octocat')).resolves.toBe('maintain');
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        username: 'octocat'
+      });
+    });
+
+    it('should fall back to the permission', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({ data: { permission: 'read' } });
+
+      await expect(getPermissionLevel(mockOctokit, context, 'octocat')).resolves.toBe('read');
+    });
+
+    it('should use the base permission of a custom repository role', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: 'admin', role_name: 'security-write' }
+      });
+
+      await expect(getPermissionLevel(mockOctokit, context, 'octocat')).resolves.toBe('admin');
+    });
+  });
+
+  describe('reactToCommand', () => {
+    it('should react to the command comment', async () => {
+      await reactToCommand(mockOctokit, context, '+1');
+
+      expect(mockOctokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 5,
+        content: '+1'
+      });
+    });
+
+    it('should warn instead of failing when the reaction cannot be added', async () => {
+      mockOctokit.rest.reactions.createForIssueComment.mockRejectedValue(new Error('Forbidden'));
+
+      await reactToCommand(mockOctokit, context, '+1');
+
+      expect(mockWarning).toHaveBeenCalledWith('Unable to react to comment 5: Forbidden');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for status-comment.js consolidated status comment
+ */
+
+import { buildStatusComment } from '../src/status-comment.js';
+
+describe('Consolidated status comment', () => {
+  const marker = '<!-- STATUS -->';
+
+  it('should list the failed checks with their details', () => {
+    const body = buildStatusComment(marker, [
+      { title: 'Commits', passed: false, failureTitle: 'Commits not linked (1)', details: '- abc1234' },
+      { title: 'Work items', passed: true, failureTitle: 'Invalid work items (0)', details: '' },
+      { title: 'Pull request', passed: false, failureTitle: 'Pull request not linked', details: 'Add AB#xxx.' }
+    ]);
+
+    expect(body).toBe(
+      [
+        marker,
+        '### :x: 2 of 3 work item checks failed',
+        '',
+        '- [ ] Commits',
+        '- [x] Work items',
+        '- [ ] Pull request',
+        '',
+        '#### Commits not linked (1)',
+        '',
+        '- abc1234',
+        '',
+        '#### Pull request not linked',
+        '',
+        'Add AB#xxx.'
+      ].join('\n')
+    );
+  });
+
+  it('should show a passing status without details', () => {
+    expect(
+      buildStatusComment(marker, [{ title: 'Commits', passed: true, failureTitle: 'Commits not linked', details: '' }])
+    ).toBe(`${marker}\n### :white_check_mark: All work item checks passed\n\n- [x] Commits`);
+  });
+
+  it('should use the singular for a single failed check', () => {
+    expect(
+      buildStatusComment(marker, [
+        { title: 'Commits', passed: false, failureTitle: 'Commits not linked', details: '-' }
+      ])
+    ).toContain('### :x: 1 of 1 work item check failed');
+  });
+
+  it('should show a check that did not run unchecked without counting it as failed', () => {
+    const body = buildStatusComment(marker, [
+      { title: 'Commits', passed: false, failureTitle: 'Commits not linked (1)', details: '- abc1234' },
+      {
+        title: 'Work items',
+        passed: false,
+        skipped: 'every commit must reference a work item first',
+        failureTitle: 'Invalid work items (0)',
+        details: ''
+      }
+    ]);
+
+    expect(body).toBe(
+      [
+        marker,
+        '### :x: 1 of 2 work item checks failed',
+        '',
+        '- [ ] Commits',
+        '- [ ] Work items _(not run: every commit must reference a work item first)_',
+        '',
+        '#### Commits not linked (1)',
+        '',
+        '- abc1234'
+      ].join('\n')
+    );
+  });
+
+  it('should show a not run status when no check failed', () => {
+    expect(
+      buildStatusComment(marker, [
+        { title: 'Commits', passed: true, failureTitle: 'Commits not linked', details: '' },
+        { title: 'Work items', passed: false, skipped: 'no token', failureTitle: 'Invalid work items', details: '' }
+      ])
+    ).toContain('### :heavy_minus_sign: 1 of 2 work item checks not run');
+  });
+});
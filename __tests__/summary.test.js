@@ -0,0 +1,196 @@
+/**
+ * Tests for summary.js job summary report
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock @actions/core summary, recording what was added
+const mockWarning = jest.fn();
+const mockSummary = {
+  addHeading: jest.fn(),
+  addRaw: jest.fn(),
+  addList: jest.fn(),
+  addTable: jest.fn(),
+  write: jest.fn()
+};
+
+jest.unstable_mockModule('@actions/core', () => ({
+  summary: mockSummary,
+  warning: mockWarning
+}));
+
+describe('Job summary', () => {
+  let writeJobSummary;
+
+  const report = {
+    pullNumber: 42,
+    commits: [
+      {
+        sha: 'abc123def456',
+        shortSha: 'abc123d',
+        url: 'https://github.com/owner/repo/commit/abc123def456',
+        message: 'feat: add <feature> AB#1\n\nMore details',
+        workItemIds: ['1']
+      },
+      {
+        sha: 'def456abc123',
+        shortSha: 'def456a',
+        url: 'https://github.com/owner/repo/commit/def456abc123',
+        message: 'chore: no work item',
+        workItemIds: []
+      }
+    ],
+    workItems: [
+      {
+        id: '1',
+        url: 'https://dev.azure.com/org/_workitems/edit/1',
+        title: 'Login page',
+        state: 'Active',
+        type: 'User Story',
+        commit: { shortSha: 'abc123d', url: 'https://github.com/owner/repo/commit/abc123def456' },
+        linkStatus: 'linked',
+        validated: true,
+        problems: []
+      },
+      {
+        id: '2',
+        url: null,
+        commit: null,
+        linkStatus: 'not linked',
+        validated: true,
+        problems: ['does not exist in Azure DevOps']
+      }
+    ],
+    failures: []
+  };
+
+  beforeAll(async () => {
+    ({ writeJobSummary } = await import('../src/summary.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSummary.write.mockResolvedValue(undefined);
+  });
+
+  it('should report a passing run', async () => {
+    await writeJobSummary(report);
+
+    expect(mockSummary.addHeading).toHaveBeenCalledWith('Azure DevOps work item validation for pull request #42', 2);
+    expect(mockSummary.addRaw).toHaveBeenCalledWith(expect.stringContaining('Passed'), true);
+    expect(mockSummary.addList).not.toHaveBeenCalled();
+    expect(mockSummary.write).toHaveBeenCalled();
+  });
+
+  it('should report a skipped run for an exempt pull request', async () => {
+    await writeJobSummary({ ...report, commits: [], workItems: [], exemption: 'it has the no-workitem label' });
+
+    expect(mockSummary.addRaw).toHaveBeenCalledWith(
+      '<p><strong>Result:</strong> :heavy_minus_sign: Skipped because it has the no-workitem label</p>',
+      true
+    );
+    expect(mockSummary.addTable).not.toHaveBeenCalled();
+  });
+
+  it('should list the failure reasons for a failing run', async () => {
+    await writeJobSummary({ ...report, failures: ['There is 1 commit in pull request #42 not linked to work items'] });
+
+    expect(mockSummary.addRaw).toHaveBeenCalledWith(expect.stringContaining('Failed'), true);
+    expect(mockSummary.addList).toHaveBeenCalledWith([
+      'There is 1 commit in pull request #42 not linked to work items'
+    ]);
+  });
+
+  it('should list each commit with a link, the first message line and its work items', async () => {
+    await writeJobSummary(report);
+
+    const commitTable = mockSummary.addTable.mock.calls[0][0];
+    expect(commitTable).toHaveLength(3);
+    expect(commitTable[1]).toEqual([
+      '<a href="https://github.com/owner/repo/commit/abc123def456"><code>abc123d</code></a>',
+      'feat: add &lt;feature&gt; AB#1',
+      'AB#1'
+    ]);
+    expect(commitTable[2][2]).toBe(':x: None');
+  });
+
+  it('should show the reason a commit was skipped', async () => {
+    await writeJobSummary({
+      ...report,
+      commits: [{ ...report.commits[1], ignoreReason: 'merge commit' }]
+    });
+
+    const commitTable = mockSummary.addTable.mock.calls[0][0];
+    expect(commitTable[1][2]).toBe(':fast_forward: Skipped (merge commit)');
+  });
+
+  it('should list each work item with its details, link status and validation result', async () => {
+    await writeJobSummary(report);
+
+    const workItemTable = mockSummary.addTable.mock.calls[1][0];
+    expect(workItemTable).toHaveLength(3);
+    expect(workItemTable[1]).toEqual([
+      '<a href="https://dev.azure.com/org/_workitems/edit/1">AB#1</a>',
+      'Login page',
+      'Active',
+      'User Story',
+      '<a href="https://github.com/owner/repo/commit/abc123def456"><code>abc123d</code></a>',
+      'Newly linked',
+      ':white_check_mark: Valid'
+    ]);
+    expect(workItemTable[2]).toEqual([
+      'AB#2',
+      '-',
+      '-',
+      '-',
+      'PR title/body',
+      'Not linked',
+      ':x: does not exist in Azure DevOps'
+    ]);
+  });
+
+  it('should note a dry run and show the work items that would be linked', async () => {
+    await writeJobSummary({
+      ...report,
+      workItems: [{ ...report.workItems[0], linkStatus: 'dry run' }],
+      dryRun: true
+    });
+
+    expect(mockSummary.addRaw).toHaveBeenCalledWith(expect.stringContaining('Dry run'), true);
+    const workItemTable = mockSummary.addTable.mock.calls[1][0];
+    expect(workItemTable[1][5]).toBe('Would be linked (dry run)');
+  });
+
+  it('should show work items referenced in the branch name', async () => {
+    await writeJobSummary({ ...report, workItems: [{ ...report.workItems[1], branch: true }] });
+
+    const workItemTable = mockSummary.addTable.mock.calls[1][0];
+    expect(workItemTable[1][4]).toBe('Branch name');
+  });
+
+  it('should not note a dry run by default', async () => {
+    await writeJobSummary(report);
+
+    expect(mockSummary.addRaw).not.toHaveBeenCalledWith(expect.stringContaining('Dry run'), true);
+  });
+
+  it('should list the work items stale pull request links were removed from', async () => {
+    await writeJobSummary({
+      ...report,
+      removedLinks: [{ id: '3', url: 'https://dev.azure.com/org/_workitems/edit/3' }]
+    });
+
+    expect(mockSummary.addHeading).toHaveBeenCalledWith('Removed stale pull request links (1)', 3);
+    expect(mockSummary.addList).toHaveBeenCalledWith([
+      '<a href="https://dev.azure.com/org/_workitems/edit/3">AB#3</a>'
+    ]);
+  });
+
+  it('should warn instead of failing when the summary cannot be written', async () => {
+    mockSummary.write.mockRejectedValue(new Error('Unable to find environment variable for $GITHUB_STEP_SUMMARY'));
+
+    await writeJobSummary(report);
+
+    expect(mockWarning).toHaveBeenCalledWith(expect.stringContaining('Unable to write job summary'));
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for work-item-comment.js work item discussion comment
+ */
+
+import { WORK_ITEM_COMMENT_SIGNATURE, buildWorkItemComment, findWorkItemComment } from '../src/work-item-comment.js';
+
+describe('Work item comment', () => {
+  const pullRequestUrl = 'https://github.com/owner/repo/pull/42';
+  const pullRequest = {
+    number: 42,
+    title: 'Add <login> page',
+    user: { login: 'octocat', html_url: 'https://github.com/octocat' }
+  };
+  const commits = [
+    {
+      sha: 'abc123def456',
+      shortSha: 'abc123d',
+      url: 'https://github.com/owner/repo/commit/abc123def456',
+      message: 'feat: add login AB#1\n\nLong description'
+    },
+    { sha: 'def456abc123', shortSha: 'def456a', message: 'fix: typo AB#1' }
+  ];
+
+  describe('buildWorkItemComment', () => {
+    it('should describe the pull request, its author and the commits referencing the work item', () => {
+      expect(buildWorkItemComment(pullRequestUrl, 'owner/repo', pullRequest, commits)).toBe(
+        [
+          '<p>Linked to GitHub pull request <a href="https://github.com/owner/repo/pull/42">owner/repo#42</a>: Add &lt;login&gt; page</p>',
+          '<p>Opened by <a href="https://github.com/octocat">@octocat</a></p>',
+          '<p>Commits referencing this work item:</p><ul>' +
+            '<li><a href="https://github.com/owner/repo/commit/abc123def456"><code>abc123d</code></a> feat: add login AB#1</li>' +
+            '<li><code>def456a</code> fix: typo AB#1</li></ul>',
+          `<p><em>${WORK_ITEM_COMMENT_SIGNATURE}</em></p>`
+        ].join('\n')
+      );
+    });
+
+    it('should say when no commits reference the work item', () => {
+      const comment = buildWorkItemComment(pullRequestUrl, 'owner/repo', { number: 42, title: 'Fix' }, []);
+
+      expect(comment).toContain('<p>No commits in the pull request reference this work item.</p>');
+      expect(comment).not.toContain('Opened by');
+    });
+  });
+
+  describe('findWorkItemComment', () => {
+    const comment = { id: 7, text: buildWorkItemComment(pullRequestUrl, 'owner/repo', pullRequest, commits) };
+
+    it('should find the comment posted for the pull request', () => {
+      expect(findWorkItemComment([{ id: 1, text: 'Looks good' }, comment], pullRequestUrl)).toBe(comment);
+    });
+
+    it('should not match the comment of another pull request with the same number prefix', () => {
+      expect(findWorkItemComment([comment], 'https://github.com/owner/repo/pull/4')).toBeUndefined();
+    });
+
+    it('should not match a comment that only mentions the pull request', () => {
+      const mention = { id: 2, text: `See <a href="${pullRequestUrl}">the pull request</a>` };
+
+      expect(findWorkItemComment([mention], pullRequestUrl)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for work-item-parser.js work item reference extraction
+ */
+
+import {
+  buildWorkItemPatterns,
+  describeWorkItemReference,
+  extractWorkItemIds,
+  extractWorkItemReferences,
+  DEFAULT_WORK_ITEM_PATTERN
+} from '../src/work-item-parser.js';
+
+describe('Work item parser', () => {
+  describe('buildWorkItemPatterns', () => {
+    it('should default to the AB# pattern when no patterns are supplied', () => {
+      expect(buildWorkItemPatterns([]).map(pattern => pattern.source)).toEqual([DEFAULT_WORK_ITEM_PATTERN]);
+      expect(buildWorkItemPatterns(undefined).map(pattern => pattern.source)).toEqual([DEFAULT_WORK_ITEM_PATTERN]);
+    });
+
+    it('should ignore blank lines', () => {
+      const patterns = buildWorkItemPatterns(['', '  #(?<id>[0-9]+)  ', '']);
+      expect(patterns).toHaveLength(1);
+      expect(patterns[0].source).toBe('#(?<id>[0-9]+)');
+    });
+
+    it('should throw when a pattern is not a valid regular expression', () => {
+      expect(() => buildWorkItemPatterns(['AB#(?<id>[0-9]+'])).toThrow('Invalid work-item-pattern');
+    });
+
+    it('should throw when a pattern lacks a named id capture group', () => {
+      expect(() => buildWorkItemPatterns(['AB#([0-9]+)'])).toThrow('named capture group');
+      expect(() => buildWorkItemPatterns(['AB\\(?<id>[0-9]+'])).toThrow('named capture group');
+    });
+
+    it('should name the input the patterns come from in errors', () => {
+      expect(() => buildWorkItemPatterns(['[0-9]+'], 'branch-work-item-pattern')).toThrow(
+        'Invalid branch-work-item-pattern `[0-9]+`'
+      );
+    });
+  });
+
+  describe('extractWorkItemIds', () => {
+    it('should extract AB# references case-insensitively', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemIds('feat: AB#123 and ab#456', patterns)).toEqual(['123', '456']);
+    });
+
+    it('should deduplicate work items in order of first appearance', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemIds('AB#2 AB#1 AB#2', patterns)).toEqual(['2', '1']);
+    });
+
+    it('should return an empty array when nothing matches', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemIds('fix: no work item', patterns)).toEqual([]);
+      expect(extractWorkItemIds(null, patterns)).toEqual([]);
+      expect(extractWorkItemIds('AB# 123', patterns)).toEqual([]);
+    });
+
+    it('should be safe to call repeatedly with the same global patterns', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemIds('AB#1', patterns)).toEqual(['1']);
+      expect(extractWorkItemIds('AB#1', patterns)).toEqual(['1']);
+    });
+
+    it('should combine matches from multiple custom patterns', () => {
+      const patterns = buildWorkItemPatterns([
+        'AB#(?<id>[0-9]+)',
+        '\\[AB-(?<id>[0-9]+)\\]',
+        'dev\\.azure\\.com/[^/\\s]+/[^/\\s]+/_workitems/edit/(?<id>[0-9]+)'
+      ]);
+      const text = 'Fixes AB#12, [AB-1234] and https://dev.azure.com/org/project/_workitems/edit/5678';
+      expect(extractWorkItemIds(text, patterns)).toEqual(['12', '1234', '5678']);
+    });
+
+    it('should ignore captured ids that are not numeric', () => {
+      const patterns = buildWorkItemPatterns(['WI-(?<id>\\w+)']);
+      expect(extractWorkItemIds('WI-abc WI-42', patterns)).toEqual(['42']);
+    });
+  });
+
+  describe('describeWorkItemReference', () => {
+    it('should show the AB#xxx format for the default pattern', () => {
+      expect(describeWorkItemReference(buildWorkItemPatterns([]))).toBe('a work item reference (`AB#xxx`)');
+    });
+
+    it('should show the configured patterns', () => {
+      expect(describeWorkItemReference(buildWorkItemPatterns(['\\[AB-(?<id>[0-9]+)\\]', 'WI-(?<id>[0-9]+)']))).toBe(
+        'a work item reference matching `work-item-pattern` (`\\[AB-(?<id>[0-9]+)\\]`, `WI-(?<id>[0-9]+)`)'
+      );
+    });
+  });
+
+  describe('extractWorkItemReferences', () => {
+    it('should capture the keyword in front of each reference', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemReferences('Fixes AB#1, relates to AB#2 and AB#3', patterns)).toEqual([
+        { id: '1', keyword: 'fixes' },
+        { id: '2', keyword: 'relates' },
+        { id: '3', keyword: null }
+      ]);
+    });
+
+    it('should normalize the keyword forms', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(
+        extractWorkItemReferences('fix AB#1 fixed: AB#2 Closed AB#3 resolve AB#4 Related to AB#5', patterns)
+      ).toEqual([
+        { id: '1', keyword: 'fixes' },
+        { id: '2', keyword: 'fixes' },
+        { id: '3', keyword: 'closes' },
+        { id: '4', keyword: 'resolves' },
+        { id: '5', keyword: 'relates' }
+      ]);
+    });
+
+    it('should keep the closing keyword of a work item referenced more than once', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemReferences('Relates to AB#1. Closes AB#1, see AB#1', patterns)).toEqual([
+        { id: '1', keyword: 'closes' }
+      ]);
+    });
+
+    it('should not treat words ending in a keyword as keywords', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(extractWorkItemReferences('Prefix AB#1 and encloses AB#2', patterns)).toEqual([
+        { id: '1', keyword: null },
+        { id: '2', keyword: null }
+      ]);
+    });
+
+    it('should capture the keyword with custom patterns', () => {
+      const patterns = buildWorkItemPatterns(['\\[AB-(?<id>[0-9]+)\\]']);
+      expect(extractWorkItemReferences('Resolves [AB-42]', patterns)).toEqual([{ id: '42', keyword: 'resolves' }]);
+    });
+  });
+});
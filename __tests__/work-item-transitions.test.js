@@ -0,0 +1,54 @@
+/**
+ * Tests for work-item-transitions.js closing work items on merge
+ */
+
+import { buildWorkItemPatterns } from '../src/work-item-parser.js';
+import { getClosedState, getClosingWorkItemIds, parseClosedWorkItemStates } from '../src/work-item-transitions.js';
+
+describe('Work item transitions', () => {
+  describe('parseClosedWorkItemStates', () => {
+    it('should map each work item type to its state', () => {
+      expect(parseClosedWorkItemStates(['Bug=Resolved', ' User Story = Closed ', '*=Done'])).toEqual(
+        new Map([
+          ['bug', 'Resolved'],
+          ['user story', 'Closed'],
+          ['*', 'Done']
+        ])
+      );
+    });
+
+    it('should throw for entries that are not Work item type=State', () => {
+      expect(() => parseClosedWorkItemStates(['Bug'])).toThrow(
+        'Invalid closed-work-item-states entry `Bug`: expected `Work item type=State`'
+      );
+      expect(() => parseClosedWorkItemStates(['Bug='])).toThrow('Invalid closed-work-item-states entry');
+      expect(() => parseClosedWorkItemStates(['Bug=Resolved=Closed'])).toThrow('Invalid closed-work-item-states entry');
+    });
+  });
+
+  describe('getClosedState', () => {
+    const closedStates = parseClosedWorkItemStates(['Bug=Resolved', 'User Story=Closed']);
+
+    it('should return the state for the work item type, case-insensitively', () => {
+      expect(getClosedState(closedStates, 'bug')).toBe('Resolved');
+      expect(getClosedState(closedStates, 'User Story')).toBe('Closed');
+    });
+
+    it('should fall back to the * state for other types', () => {
+      expect(getClosedState(closedStates, 'Task')).toBeUndefined();
+      expect(getClosedState(parseClosedWorkItemStates(['*=Done']), 'Task')).toBe('Done');
+    });
+  });
+
+  describe('getClosingWorkItemIds', () => {
+    it('should only return work items referenced with a closing keyword', () => {
+      const patterns = buildWorkItemPatterns([]);
+      expect(
+        getClosingWorkItemIds(
+          ['Login page (Fixes AB#1)', 'Relates to AB#2', null, 'fix: handle errors\n\nResolves AB#3, closes AB#1'],
+          patterns
+        )
+      ).toEqual(['1', '3']);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for work-item-updates.js work item field updates
+ */
+
+import { renderWorkItemFieldUpdates, validateWorkItemFieldUpdates } from '../src/work-item-updates.js';
+
+describe('Work item field updates', () => {
+  describe('validateWorkItemFieldUpdates', () => {
+    it('should accept field reference names with string, number and boolean values', () => {
+      expect(
+        validateWorkItemFieldUpdates({
+          'Custom.Repository': '{{ repo }}',
+          'Microsoft.VSTS.Common.Priority': 2,
+          'Custom.HasPullRequest': true
+        })
+      ).toEqual([]);
+    });
+
+    it('should list every problem', () => {
+      expect(
+        validateWorkItemFieldUpdates({
+          '/fields/Custom.Repository': '{{repo}}',
+          'System.Tags': 'has-pr',
+          'Custom.Reviewers': ['octocat'],
+          'Custom.Branch': '{{branch}}'
+        })
+      ).toEqual([
+        '`/fields/Custom.Repository` in `work-item-field-updates` is not a field reference name (e.g. Custom.Repository)',
+        "`System.Tags` can't be set in `work-item-field-updates`, use `work-item-tags-to-add`",
+        '`work-item-field-updates.Custom.Reviewers` must be a string, number or boolean',
+        'unknown placeholder `{{branch}}` in `work-item-field-updates.Custom.Branch` (expected one of repo, prNumber, prTitle, prUrl, prAuthor)'
+      ]);
+    });
+
+    it('should require a mapping', () => {
+      expect(validateWorkItemFieldUpdates('Custom.Repository')).toEqual([
+        '`work-item-field-updates` must be a mapping of field reference names to values'
+      ]);
+    });
+  });
+
+  describe('renderWorkItemFieldUpdates', () => {
+    it('should replace the placeholders with the pull request values', () => {
+      expect(
+        renderWorkItemFieldUpdates(
+          { 'Custom.Repository': '{{repo}}', 'Custom.PullRequest': '{{ repo }}#{{prNumber}}', 'Custom.Count': 1 },
+          { repo: 'owner/repo', prNumber: 42 }
+        )
+      ).toEqual({ 'Custom.Repository': 'owner/repo', 'Custom.PullRequest': 'owner/repo#42', 'Custom.Count': '1' });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for work-items.js work item validation and linking
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock link-work-item.js
+const mockLinkWorkItem = jest.fn();
+const mockGetWorkItems = jest.fn();
+
+jest.unstable_mockModule('../src/link-work-item.js', () => ({
+  run: mockLinkWorkItem,
+  getWorkItems: mockGetWorkItems
+}));
+
+describe('Work items', () => {
+  let getInvalidWorkItems;
+  let getWorkItemViolations;
+  let linkPullRequestToWorkItem;
+  let originalEnv;
+
+  const azureDevops = {
+    azureDevopsOrganization: 'my-org',
+    azureDevopsUrl: '',
+    azureDevopsToken: 'azdo-token',
+    azureDevopsTokenType: 'pat'
+  };
+
+  const createWorkItemValidation = (overrides = {}) => ({
+    workItems: new Map(),
+    allowedStates: [],
+    allowedTypes: [],
+    allowedProjects: [],
+    ...overrides
+  });
+
+  const workItem = (id, state = 'Active', type = 'User Story', project = 'Web') => ({
+    id,
+    title: `Work item ${id}`,
+    state,
+    type,
+    project
+  });
+
+  beforeAll(async () => {
+    ({ getInvalidWorkItems, getWorkItemViolations, linkPullRequestToWorkItem } = await import('../src/work-items.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getInvalidWorkItems', () => {
+    it('should return the work items that do not exist', async () => {
+      mockGetWorkItems.mockResolvedValue(
+        new Map([
+          ['1', workItem('1')],
+          ['2', null]
+        ])
+      );
+
+      const invalidWorkItems = await getInvalidWorkItems(['1', '2'], createWorkItemValidation(), azureDevops);
+
+      expect(invalidWorkItems).toEqual(['2']);
+      expect(mockGetWorkItems).toHaveBeenCalledWith('my-org', 'azdo-token', ['1', '2'], '', 'pat');
+    });
+
+    it('should only retrieve work items that are not cached', async () => {
+      const workItemValidation = createWorkItemValidation({ workItems: new Map([['1', workItem('1')]]) });
+      mockGetWorkItems.mockResolvedValue(new Map([['2', workItem('2')]]));
+
+      await getInvalidWorkItems(['1', '2'], workItemValidation, azureDevops);
+      await getInvalidWorkItems(['1', '2'], workItemValidation, azureDevops);
+
+      expect(mockGetWorkItems).toHaveBeenCalledTimes(1);
+      expect(mockGetWorkItems).toHaveBeenCalledWith('my-org', 'azdo-token', ['2'], '', 'pat');
+      expect(workItemValidation.workItems.get('2')).toEqual(workItem('2'));
+    });
+
+    it('should return the work items that violate the allowed states', async () => {
+      mockGetWorkItems.mockResolvedValue(
+        new Map([
+          ['1', workItem('1', 'Active')],
+          ['2', workItem('2', 'Closed')]
+        ])
+      );
+
+      const invalidWorkItems = await getInvalidWorkItems(
+        ['1', '2'],
+        createWorkItemValidation({ allowedStates: ['active'] }),
+        azureDevops
+      );
+
+      expect(invalidWorkItems).toEqual(['2']);
+    });
+  });
+
+  describe('getWorkItemViolations', () => {
+    it('should describe a work item that does not exist', () => {
+      const workItemValidation = createWorkItemValidation({ workItems: new Map([['1', null]]) });
+
+      expect(getWorkItemViolations('1', workItemValidation)).toEqual(['does not exist in Azure DevOps']);
+    });
+
+    it('should return no violations when nothing is restricted', () => {
+      const workItemValidation = createWorkItemValidation({ workItems: new Map([['1', workItem('1')]]) });
+
+      expect(getWorkItemViolations('1', workItemValidation)).toEqual([]);
+    });
+
+    it('should describe every violated restriction', () => {
+      const workItemValidation = createWorkItemValidation({
+        workItems: new Map([['1', workItem('1', 'Closed', 'Epic', 'Infra')]]),
+        allowedStates: ['Active', 'New'],
+        allowedTypes: ['User Story'],
+        allowedProjects: ['Web']
+      });
+
+      expect(getWorkItemViolations('1', workItemValidation)).toEqual([
+        'is in state `Closed` (allowed: `Active`, `New`)',
+        'is of type `Epic` (allowed: `User Story`)',
+        'belongs to project `Infra` (allowed: `Web`)'
+      ]);
+    });
+
+    it('should compare the allowed values case-insensitively', () => {
+      const workItemValidation = createWorkItemValidation({
+        workItems: new Map([['1', workItem('1', 'Active', 'User Story', 'Web')]]),
+        allowedStates: ['ACTIVE'],
+        allowedTypes: ['user story'],
+        allowedProjects: ['web']
+      });
+
+      expect(getWorkItemViolations('1', workItemValidation)).toEqual([]);
+    });
+  });
+
+  describe('linkPullRequestToWorkItem', () => {
+    const context = { repo: { owner: 'owner', repo: 'repo' } };
+    const settings = { getBoolean: name => name === 'dry-run' };
+
+    it('should pass the link to the linker and return its status', async () => {
+      mockLinkWorkItem.mockResolvedValue('linked');
+
+      const linkStatus = await linkPullRequestToWorkItem(context, settings, azureDevops, {
+        pullNumber: 42,
+        workItemId: '123',
+        githubToken: 'github-token',
+        commitShas: ['abc', 'def'],
+        workItemComment: '<p>Linked</p>',
+        workItemUpdates: { tags: ['linked', 'github'], fields: { 'Custom.Field': 'value' } }
+      });
+
+      expect(linkStatus).toBe('linked');
+      expect(mockLinkWorkItem).toHaveBeenCalledTimes(1);
+      expect(process.env).toMatchObject({
+        REPO_TOKEN: 'github-token',
+        AZURE_DEVOPS_ORG: 'my-org',
+        AZURE_DEVOPS_PAT: 'azdo-token',
+        AZURE_DEVOPS_TOKEN_TYPE: 'pat',
+        WORKITEMID: '123',
+        PULLREQUESTID: '42',
+        REPO: 'owner/repo',
+        DRY_RUN: 'true',
+        COMMITSHAS: 'abc,def',
+        WORK_ITEM_COMMENT: '<p>Linked</p>',
+        WORK_ITEM_TAGS: 'linked;github',
+        WORK_ITEM_FIELDS: '{"Custom.Field":"value"}'
+      });
+    });
+  });
+});
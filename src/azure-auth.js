@@ -0,0 +1,70 @@
+/**
+ * Microsoft Entra ID Authentication
+ *
+ * Acquires Microsoft Entra ID access tokens for Azure DevOps using a service
+ * principal, either with a client secret or through GitHub OIDC workload
+ * identity federation, so a long-lived PAT is not required.
+ *
+ * @module azure-auth
+ */
+
+import * as core from '@actions/core';
+
+/** Scope of the Azure DevOps resource for Microsoft Entra ID tokens */
+const azureDevOpsScope = '499b84ac-1321-427f-aa17-267ca6975798/.default';
+/** Audience Microsoft Entra ID expects on federated GitHub OIDC tokens */
+const oidcAudience = 'api://AzureADTokenExchange';
+const clientAssertionType = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const tokenUrlBase = 'https://login.microsoftonline.com/%TENANT_ID%/oauth2/v2.0/token';
+
+/**
+ * Acquire a Microsoft Entra ID access token for Azure DevOps with the client credentials flow
+ * Uses the client secret when provided, otherwise federates the workflow's GitHub OIDC token
+ * (requires the `id-token: write` permission)
+ *
+ * @param {string} tenantId - Microsoft Entra ID tenant ID
+ * @param {string} clientId - Application (client) ID of the service principal or managed identity
+ * @param {string} [clientSecret] - Client secret of the service principal
+ * @returns {Promise<string>} - Access token to use as a bearer token against Azure DevOps
+ */
+export async function getEntraAccessToken(tenantId, clientId, clientSecret) {
+  if (!tenantId || !clientId) {
+    throw new Error('azure-tenant-id and azure-client-id are required for service principal authentication');
+  }
+
+  const body = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: clientId,
+    scope: azureDevOpsScope
+  });
+
+  if (clientSecret) {
+    core.info('Requesting Microsoft Entra ID access token using client secret ...');
+    body.set('client_secret', clientSecret);
+  } else {
+    core.info('Requesting Microsoft Entra ID access token using GitHub OIDC federation ...');
+    const idToken = await core.getIDToken(oidcAudience);
+    body.set('client_assertion_type', clientAssertionType);
+    body.set('client_assertion', idToken);
+  }
+
+  const response = await fetch(tokenUrlBase.replace('%TENANT_ID%', encodeURIComponent(tenantId)), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: body.toString()
+  });
+
+  const responseData = await response.json();
+  if (!response.ok || !responseData.access_token) {
+    throw new Error(
+      `Failed to acquire a Microsoft Entra ID access token: ${responseData.error_description || responseData.error || response.status}`
+    );
+  }
+
+  core.setSecret(responseData.access_token);
+  core.info('... success!');
+  return responseData.access_token;
+}
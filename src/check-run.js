@@ -0,0 +1,112 @@
+/**
+ * GitHub Check Run Report
+ *
+ * Creates a dedicated check run with one annotation per invalid commit and
+ * per invalid work item, so the Checks tab shows exactly what needs fixing.
+ *
+ * @module check-run
+ */
+
+import * as core from '@actions/core';
+
+/** Name of the check run shown in the Checks tab */
+export const CHECK_RUN_NAME = 'Azure DevOps work item validation';
+
+/** Maximum number of annotations the checks API accepts per request */
+const annotationsBatchSize = 50;
+
+/**
+ * Build an annotation that is not attached to a file
+ * The checks API requires a path and line, so the annotations point at the repository root
+ *
+ * @param {string} level - `failure` or `warning`
+ * @param {string} title - Annotation title
+ * @param {string} message - Annotation message
+ * @returns {Object} Check run annotation
+ */
+function annotation(level, title, message) {
+  return {
+    path: '.github',
+    start_line: 1,
+    end_line: 1,
+    annotation_level: level,
+    title,
+    message
+  };
+}
+
+/**
+ * Create a check run for a validation run
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} headSha - Commit the check run is attached to
+ * @param {Object} report - Results of the run
+ * @param {string} report.target - What was validated (e.g. `pull request #42`)
+ * @param {Array} report.invalidCommits - Commits without a work item as {sha, shortSha, message}
+ * @param {boolean} report.commitsRequireWorkItems - Whether commits without a work item fail the run (otherwise they are warnings)
+ * @param {string} report.workItemReference - Expected work item reference format, see describeWorkItemReference()
+ * @param {Array} report.invalidWorkItems - Invalid work items as {id, commit, branch, problems}, commit is {shortSha} or null for the PR title/body or branch name
+ * @param {string[]} report.failures - Reasons the run failed (empty if it passed)
+ * @returns {Promise<void>}
+ */
+export async function createCheckRun(octokit, context, headSha, report) {
+  const { target, invalidCommits, commitsRequireWorkItems, workItemReference, invalidWorkItems, failures } = report;
+  const { owner, repo } = context.repo;
+
+  const annotations = [
+    ...invalidCommits.map(commit =>
+      annotation(
+        commitsRequireWorkItems ? 'failure' : 'warning',
+        `${commit.shortSha} - commit is not linked to a work item`,
+        `${commit.message.split('\n')[0]}\n\nReword the commit message to include ${workItemReference}.`
+      )
+    ),
+    ...invalidWorkItems.map(workItem =>
+      annotation(
+        'failure',
+        `AB#${workItem.id} - ${workItem.problems.join('; ')}`,
+        workItem.commit
+          ? `Referenced in commit ${workItem.commit.shortSha}.`
+          : workItem.branch
+            ? 'Referenced in the branch name.'
+            : 'Referenced in the pull request title/body.'
+      )
+    )
+  ];
+
+  const output = {
+    title: failures.length === 0 ? 'All commits and work items are valid' : `${failures.length} problem(s) found`,
+    summary:
+      failures.length === 0
+        ? `All commits and work items in ${target} are linked and valid.`
+        : failures.map(failure => `- ${failure}`).join('\n')
+  };
+
+  try {
+    core.info('Creating check run ...');
+    const { data: checkRun } = await octokit.rest.checks.create({
+      owner,
+      repo,
+      name: CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion: failures.length === 0 ? 'success' : 'failure',
+      output: { ...output, annotations: annotations.slice(0, annotationsBatchSize) }
+    });
+
+    // Annotations added by later updates are appended to the check run
+    for (let i = annotationsBatchSize; i < annotations.length; i += annotationsBatchSize) {
+      await octokit.rest.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRun.id,
+        output: { ...output, annotations: annotations.slice(i, i + annotationsBatchSize) }
+      });
+    }
+    core.info('... success!');
+  } catch (error) {
+    // The workflow may not grant checks: write
+    core.warning(`Unable to create check run: ${error.message}`);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Pull Request Comment Templates
+ *
+ * Lets the failure, success and exemption comments be replaced with custom
+ * templates containing `{{placeholder}}` values. The hidden comment marker is
+ * always kept in front of the rendered template so existing comments can still
+ * be found and updated.
+ *
+ * @module comment-templates
+ */
+
+/** Placeholders available in every template */
+const COMMON_PLACEHOLDERS = ['pullNumber', 'runUrl'];
+
+/**
+ * Comment templates that can be customized, with the placeholders each one supports
+ * - commits-not-linked / commits-linked: commits without a work item reference, and the update once they are fixed
+ * - invalid-work-items / work-items-valid: work items that don't exist or break the rules, and the update once they are fixed
+ * - pull-request-not-linked / pull-request-linked: pull request title/body without a work item, and the update once it is fixed
+ * - exempt: the update to existing comments when the pull request is exempt from validation
+ */
+export const COMMENT_TEMPLATES = {
+  'commits-not-linked': [...COMMON_PLACEHOLDERS, 'count', 'invalidCommits'],
+  'commits-linked': COMMON_PLACEHOLDERS,
+  'invalid-work-items': [...COMMON_PLACEHOLDERS, 'count', 'workItems'],
+  'work-items-valid': COMMON_PLACEHOLDERS,
+  'pull-request-not-linked': COMMON_PLACEHOLDERS,
+  'pull-request-linked': COMMON_PLACEHOLDERS,
+  exempt: [...COMMON_PLACEHOLDERS, 'reason']
+};
+
+/** Matches a `{{placeholder}}`, allowing spaces inside the braces */
+export const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Check comment templates from the configuration file or the comment-templates input
+ *
+ * @param {*} templates - Mapping of template name to template text or {file}
+ * @returns {string[]} Problems found (empty if the templates are valid)
+ */
+export function validateCommentTemplates(templates) {
+  if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) {
+    return ['`comment-templates` must be a mapping of template names to templates'];
+  }
+
+  const errors = [];
+  for (const [name, template] of Object.entries(templates)) {
+    const placeholders = COMMENT_TEMPLATES[name];
+    if (!placeholders) {
+      errors.push(
+        `unknown comment template \`${name}\` (expected one of ${Object.keys(COMMENT_TEMPLATES).join(', ')})`
+      );
+      continue;
+    }
+
+    if (typeof template === 'object' && template !== null && !Array.isArray(template)) {
+      if (typeof template.file !== 'string' || template.file.length === 0 || Object.keys(template).length !== 1) {
+        errors.push(`\`comment-templates.${name}\` must be a template or {file: path}`);
+      }
+      continue;
+    }
+    if (typeof template !== 'string') {
+      errors.push(`\`comment-templates.${name}\` must be a template or {file: path}`);
+      continue;
+    }
+
+    for (const [, placeholder] of template.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!placeholders.includes(placeholder)) {
+        errors.push(
+          `unknown placeholder \`{{${placeholder}}}\` in \`comment-templates.${name}\` (expected one of ${placeholders.join(', ')})`
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Resolve the templates that are kept in template files, reading them from the repository
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} templates - Mapping of template name to template text or {file}
+ * @param {string} [ref] - Branch to read the template files from (the repository's default branch if omitted)
+ * @returns {Promise<Object>} Mapping of template name to template text
+ * @throws {Error} If a template file can't be read or contains an unknown placeholder
+ */
+export async function loadCommentTemplates(octokit, context, templates, ref) {
+  const { owner, repo } = context.repo;
+
+  const resolved = {};
+  for (const [name, template] of Object.entries(templates)) {
+    if (typeof template === 'string') {
+      resolved[name] = template;
+      continue;
+    }
+
+    let data;
+    try {
+      ({ data } = await octokit.rest.repos.getContent({ owner, repo, path: template.file, ...(ref ? { ref } : {}) }));
+    } catch (error) {
+      throw new Error(`Unable to load comment template file ${template.file}: ${error.message}`);
+    }
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error(`Unable to load comment template file ${template.file}: path is not a file`);
+    }
+    resolved[name] = Buffer.from(data.content, 'base64').toString('utf8');
+  }
+
+  const errors = validateCommentTemplates(resolved);
+  if (errors.length > 0) {
+    throw new Error(`Invalid comment templates:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Replace the `{{placeholder}}` values in a template, leaving unknown placeholders as they are
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+export function renderPlaceholders(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) =>
+    key in values ? String(values[key]) : placeholder
+  );
+}
+
+/**
+ * Render a custom comment template
+ *
+ * @param {Object} templates - Mapping of template name to template text, see loadCommentTemplates()
+ * @param {string} name - Template name, see COMMENT_TEMPLATES
+ * @param {string} marker - Hidden comment marker used to find the comment again
+ * @param {Object} values - Placeholder values
+ * @returns {string|null} Comment body starting with the marker, or null if the template isn't customized
+ */
+export function renderCommentTemplate(templates, name, marker, values) {
+  const template = templates?.[name];
+  if (template === undefined) {
+    return null;
+  }
+  return `${marker}\n${renderPlaceholders(template, values).trim()}`;
+}
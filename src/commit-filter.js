@@ -0,0 +1,94 @@
+/**
+ * Commit Exemptions
+ *
+ * Decides which commits are exempt from needing a work item reference, based
+ * on their author, message, or whether they are merge or revert commits.
+ *
+ * @module commit-filter
+ */
+
+/** Message prefix git uses for `git revert` commits */
+const REVERT_COMMIT_PATTERN = /^Revert "/;
+
+/**
+ * Convert an author glob to a regular expression
+ * Only `*` and `?` are wildcards, so bot logins such as `dependabot[bot]` match literally
+ *
+ * @param {string} glob - Author glob (e.g. `*[bot]`)
+ * @returns {RegExp} Case-insensitive regular expression matching the whole value
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(character => {
+      if (character === '*') return '.*';
+      if (character === '?') return '.';
+      return character.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build the commit filter from the ignore-* inputs
+ *
+ * @param {Object} options - Exemption inputs
+ * @param {string[]} options.ignoreAuthors - Author globs matched against the GitHub login, name and email
+ * @param {string[]} options.ignoreCommitPatterns - Regular expression sources matched against the commit message
+ * @param {boolean} options.ignoreMergeCommits - Whether commits with more than one parent are exempt
+ * @param {boolean} options.ignoreRevertCommits - Whether `Revert "..."` commits are exempt
+ * @returns {Object} Commit filter for getCommitIgnoreReason
+ * @throws {Error} If a commit pattern is not a valid regular expression
+ */
+export function buildCommitFilter({ ignoreAuthors, ignoreCommitPatterns, ignoreMergeCommits, ignoreRevertCommits }) {
+  return {
+    authors: (ignoreAuthors || []).map(glob => ({ glob, pattern: globToRegExp(glob) })),
+    commitPatterns: (ignoreCommitPatterns || [])
+      .map(source => source.trim())
+      .filter(source => source.length > 0)
+      .map(source => {
+        try {
+          return { source, pattern: new RegExp(source, 'i') };
+        } catch (error) {
+          throw new Error(`Invalid ignore-commit-patterns \`${source}\`: ${error.message}`);
+        }
+      }),
+    ignoreMergeCommits,
+    ignoreRevertCommits
+  };
+}
+
+/**
+ * Get the reason a commit is exempt from needing a work item reference
+ *
+ * @param {Object} commit - Commit as returned by the pull request commits API
+ * @param {Object} commitFilter - Filter returned by buildCommitFilter
+ * @returns {string|null} Reason the commit is exempt, or null if it must reference a work item
+ */
+export function getCommitIgnoreReason(commit, commitFilter) {
+  const message = commit.commit?.message || '';
+
+  const authors = [commit.author?.login, commit.commit?.author?.name, commit.commit?.author?.email].filter(Boolean);
+  for (const { glob, pattern } of commitFilter.authors) {
+    const author = authors.find(value => pattern.test(value));
+    if (author) {
+      return `author \`${author}\` matches \`${glob}\``;
+    }
+  }
+
+  for (const { source, pattern } of commitFilter.commitPatterns) {
+    if (pattern.test(message)) {
+      return `message matches \`${source}\``;
+    }
+  }
+
+  if (commitFilter.ignoreMergeCommits && commit.parents?.length > 1) {
+    return 'merge commit';
+  }
+
+  if (commitFilter.ignoreRevertCommits && REVERT_COMMIT_PATTERN.test(message)) {
+    return 'revert commit';
+  }
+
+  return null;
+}
@@ -0,0 +1,383 @@
+/**
+ * Repository Configuration File
+ *
+ * Loads validator settings from a YAML file in the repository (by default
+ * `.github/azdo-validator.yml`) so the same settings don't have to be repeated
+ * in every workflow. Organization-wide defaults can be kept in the organization's
+ * `.github` repository and are inherited by every repository. Workflow inputs
+ * override the files, and `branches` rules override the top-level settings for
+ * matching base branches.
+ *
+ * @module config
+ */
+
+import * as core from '@actions/core';
+import { load as loadYaml } from 'js-yaml';
+import { validateCommentTemplates } from './comment-templates.js';
+import { branchGlobToRegExp } from './exemptions.js';
+import { PERMISSION_LEVELS } from './slash-commands.js';
+import { validateWorkItemFieldUpdates } from './work-item-updates.js';
+
+/** Default path of the configuration file */
+export const DEFAULT_CONFIG_PATH = '.github/azdo-validator.yml';
+
+/** Repository in the organization (or user account) that holds the shared configuration file */
+export const ORGANIZATION_CONFIG_REPO = '.github';
+
+/** Path of the shared configuration file in the organization's `.github` repository */
+export const ORGANIZATION_CONFIG_PATH = 'azdo-validator.yml';
+
+/**
+ * Settings that can be set in the configuration file, with their type and default
+ * Credentials (tokens and secrets) can only be set as workflow inputs
+ * - boolean: `true` or `false`
+ * - string: a single value, one of `values` if the setting has them
+ * - list: a YAML list or a comma- and/or newline-separated string
+ * - lines: a YAML list or a newline-separated string (for regular expressions, which may contain commas)
+ * - templates: a mapping of comment template name to template text or {file}, see comment-templates.js
+ * - fields: a mapping of work item field reference name to value, see work-item-updates.js
+ */
+const SETTINGS = {
+  'check-pull-request': { type: 'boolean', default: false },
+  'check-commits': { type: 'boolean', default: true },
+  'fail-if-missing-workitem-commit-link': { type: 'boolean', default: true },
+  'link-commits-to-pull-request': { type: 'boolean', default: true },
+  'link-commits-to-work-items': { type: 'boolean', default: false },
+  'work-item-comment': { type: 'boolean', default: false },
+  'remove-stale-links': { type: 'boolean', default: false },
+  'append-work-items-to-pull-request-body': { type: 'boolean', default: false },
+  'validate-work-item-exists': { type: 'boolean', default: true },
+  'comment-on-failure': { type: 'boolean', default: true },
+  'create-check-run': { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  'ignore-merge-commits': { type: 'boolean', default: false },
+  'ignore-revert-commits': { type: 'boolean', default: false },
+  'inherit-branch-work-items': { type: 'boolean', default: false },
+  'azure-devops-organization': { type: 'string', default: '' },
+  'azure-devops-url': { type: 'string', default: '' },
+  'azure-devops-auth-type': { type: 'string', default: 'pat', values: ['pat', 'access-token', 'service-principal'] },
+  'azure-tenant-id': { type: 'string', default: '' },
+  'azure-client-id': { type: 'string', default: '' },
+  'work-item-pattern': { type: 'lines', default: [] },
+  'branch-work-item-pattern': { type: 'lines', default: [] },
+  'ignore-commit-patterns': { type: 'lines', default: [] },
+  'allowed-work-item-states': { type: 'list', default: [] },
+  'allowed-work-item-types': { type: 'list', default: [] },
+  'allowed-projects': { type: 'list', default: [] },
+  'ignore-authors': { type: 'list', default: [] },
+  'exempt-labels': { type: 'list', default: [] },
+  'exempt-base-branches': { type: 'list', default: [] },
+  'enforce-base-branches': { type: 'list', default: [] },
+  'exempt-authors': { type: 'list', default: [] },
+  'closed-work-item-states': { type: 'list', default: [] },
+  'work-item-tags-to-add': { type: 'list', default: [] },
+  'work-item-field-updates': { type: 'fields', default: {} },
+  'comment-mode': { type: 'string', default: 'separate', values: ['separate', 'consolidated'] },
+  'slash-command-permission': { type: 'string', default: 'write', values: PERMISSION_LEVELS },
+  'resolved-comment-behavior': { type: 'string', default: 'update', values: ['update', 'delete', 'minimize'] },
+  'comment-templates': { type: 'templates', default: {} }
+};
+
+/**
+ * Check one setting value against its type
+ *
+ * @param {string} name - Setting name
+ * @param {*} value - Value from the configuration file or a workflow input
+ * @returns {string[]} Error messages (empty if the value is valid)
+ */
+function validateSetting(name, value) {
+  const setting = SETTINGS[name];
+  if (!setting) {
+    return [`unknown setting \`${name}\``];
+  }
+
+  if (setting.type === 'boolean' && typeof value !== 'boolean') {
+    return [`\`${name}\` must be true or false`];
+  }
+  if (setting.type === 'string' && typeof value !== 'string') {
+    return [`\`${name}\` must be a string`];
+  }
+  if (setting.values && !setting.values.includes(value)) {
+    return [`\`${name}\` must be one of ${setting.values.map(allowed => `\`${allowed}\``).join(', ')}`];
+  }
+  if (
+    (setting.type === 'list' || setting.type === 'lines') &&
+    typeof value !== 'string' &&
+    !(Array.isArray(value) && value.every(item => typeof item === 'string'))
+  ) {
+    return [`\`${name}\` must be a string or a list of strings`];
+  }
+  if (setting.type === 'templates') {
+    return validateCommentTemplates(value);
+  }
+  if (setting.type === 'fields') {
+    return validateWorkItemFieldUpdates(value);
+  }
+  return [];
+}
+
+/**
+ * Validate a parsed configuration file against the settings schema
+ *
+ * @param {*} config - Parsed configuration file
+ * @param {string} path - Configuration file path, for error messages
+ * @returns {Object} The configuration
+ * @throws {Error} Listing every problem found if the configuration is malformed
+ */
+export function validateConfig(config, path) {
+  if (config === null || config === undefined) {
+    return {};
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid configuration file ${path}: the file must contain a mapping of settings`);
+  }
+
+  const errors = [];
+  for (const [name, value] of Object.entries(config)) {
+    if (name !== 'branches') {
+      errors.push(...validateSetting(name, value));
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      errors.push('`branches` must be a list of branch rules');
+      continue;
+    }
+    for (const [index, rule] of value.entries()) {
+      if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+        errors.push(`\`branches[${index}]\` must be a mapping of settings`);
+        continue;
+      }
+      if (typeof rule.base !== 'string' || rule.base.length === 0) {
+        errors.push(`\`branches[${index}].base\` must be a branch glob (e.g. release/*)`);
+      }
+      for (const [ruleName, ruleValue] of Object.entries(rule)) {
+        if (ruleName === 'base') continue;
+        errors.push(...validateSetting(ruleName, ruleValue).map(error => `\`branches[${index}]\`: ${error}`));
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration file ${path}:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * Read and validate a configuration file with the contents API
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - Path of the configuration file in the repository
+ * @param {string} [ref] - Branch to read the file from (the repository's default branch if omitted)
+ * @param {string} name - Name of the file in log and error messages
+ * @returns {Promise<Object>} Validated configuration, or an empty configuration if the file doesn't exist
+ */
+async function readConfigFile(octokit, owner, repo, path, ref, name) {
+  let content;
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path, ...(ref ? { ref } : {}) });
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error('path is not a file');
+    }
+    content = Buffer.from(data.content, 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) {
+      core.info(`No configuration file found at ${name}${ref ? ` on ${ref}` : ''}`);
+      return {};
+    }
+    throw new Error(`Unable to load configuration file ${name}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = loadYaml(content);
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${name}: ${error.message}`);
+  }
+
+  core.info(`Loaded configuration file ${name}${ref ? ` from ${ref}` : ''}`);
+  return validateConfig(config, name);
+}
+
+/**
+ * Load the configuration file from the repository with the contents API
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} path - Path of the configuration file in the repository
+ * @param {string} [ref] - Branch to read the file from (the repository's default branch if omitted)
+ * @returns {Promise<Object>} Validated configuration, or an empty configuration if the file doesn't exist
+ * @throws {Error} If the file can't be read, isn't valid YAML or doesn't match the settings schema
+ */
+export async function loadConfigFile(octokit, context, path, ref) {
+  const { owner, repo } = context.repo;
+  return readConfigFile(octokit, owner, repo, path, ref, path);
+}
+
+/**
+ * Load the shared configuration file from the default branch of the owner's `.github` repository
+ * The github-token must be able to read that repository, otherwise it is treated as missing
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @returns {Promise<Object>} Validated configuration, or an empty configuration if the file doesn't exist
+ * @throws {Error} If the file can't be read, isn't valid YAML or doesn't match the settings schema
+ */
+export async function loadOrganizationConfig(octokit, context) {
+  const { owner, repo } = context.repo;
+  if (repo === ORGANIZATION_CONFIG_REPO) {
+    // The `.github` repository's own configuration file is loaded by loadConfigFile
+    return {};
+  }
+  const name = `${owner}/${ORGANIZATION_CONFIG_REPO}/${ORGANIZATION_CONFIG_PATH}`;
+  return readConfigFile(octokit, owner, ORGANIZATION_CONFIG_REPO, ORGANIZATION_CONFIG_PATH, undefined, name);
+}
+
+/**
+ * Check whether a value is a YAML mapping
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isMapping(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge a configuration on top of a base configuration
+ * Mappings are merged key by key, lists and other values are replaced, and the override's
+ * `branches` rules are appended after the base rules so they win when both match
+ *
+ * @param {Object} base - Base configuration (e.g. the organization's shared configuration)
+ * @param {Object} override - Configuration to apply on top (e.g. the repository's configuration)
+ * @returns {Object} Merged configuration
+ */
+export function mergeConfigs(base, override) {
+  const merged = { ...base };
+  for (const [name, value] of Object.entries(override)) {
+    if (name === 'branches') {
+      merged.branches = [...(base.branches || []), ...value];
+    } else if (isMapping(value) && isMapping(base[name])) {
+      merged[name] = mergeConfigs(base[name], value);
+    } else {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Split a list setting into trimmed, non-empty values
+ *
+ * @param {string|string[]} value - YAML list or string
+ * @param {RegExp} separator - Separator for string values
+ * @returns {string[]} Values
+ */
+function splitList(value, separator) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => item.split(separator))
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Create the settings reader for a run
+ * Each setting comes from the workflow input if it is set, otherwise from the last matching
+ * `branches` rule, otherwise from the top level of the configuration file, otherwise its default
+ *
+ * @param {Object} config - Configuration returned by loadConfigFile
+ * @param {string} [baseBranch] - Base branch the `branches` rules are matched against
+ * @returns {Object} Settings reader with getBoolean, getString, getList, getLines, getTemplates, getFields and getAll
+ */
+export function createSettings(config, baseBranch) {
+  const branchRules = baseBranch
+    ? (config.branches || []).filter(rule => branchGlobToRegExp(rule.base).test(baseBranch))
+    : [];
+  const fileSettings = branchRules.reduce((merged, rule) => mergeConfigs(merged, rule), config);
+
+  const getFileSetting = name => (name in fileSettings && name !== 'branches' ? fileSettings[name] : undefined);
+
+  const settings = {
+    getBoolean(name) {
+      const input = core.getInput(name);
+      if (input !== '') {
+        return input === 'true';
+      }
+      return getFileSetting(name) ?? SETTINGS[name].default;
+    },
+    getString(name) {
+      const input = core.getInput(name);
+      if (input !== '') {
+        const errors = validateSetting(name, input);
+        if (errors.length > 0) {
+          throw new Error(`Invalid ${name} input:\n${errors.map(error => `- ${error}`).join('\n')}`);
+        }
+        return input;
+      }
+      return getFileSetting(name) ?? SETTINGS[name].default;
+    },
+    getList(name) {
+      const input = splitList(core.getMultilineInput(name), /,/);
+      if (input.length > 0) {
+        return input;
+      }
+      return splitList(getFileSetting(name) ?? SETTINGS[name].default, /[,\n]/);
+    },
+    getLines(name) {
+      const input = splitList(core.getMultilineInput(name), /\n/);
+      if (input.length > 0) {
+        return input;
+      }
+      return splitList(getFileSetting(name) ?? SETTINGS[name].default, /\n/);
+    },
+    getTemplates(name) {
+      // Templates set as an input are a YAML mapping and override the configuration file template by template
+      const input = core.getInput(name);
+      let inputTemplates = {};
+      if (input !== '') {
+        try {
+          inputTemplates = loadYaml(input);
+        } catch (error) {
+          throw new Error(`Invalid ${name} input: ${error.message}`);
+        }
+        const errors = validateCommentTemplates(inputTemplates);
+        if (errors.length > 0) {
+          throw new Error(`Invalid ${name} input:\n${errors.map(error => `- ${error}`).join('\n')}`);
+        }
+      }
+      return { ...(getFileSetting(name) ?? SETTINGS[name].default), ...inputTemplates };
+    },
+    getFields(name) {
+      // Fields set as an input are a JSON object and override the configuration file field by field
+      const input = core.getInput(name);
+      let inputFields = {};
+      if (input !== '') {
+        try {
+          inputFields = JSON.parse(input);
+        } catch (error) {
+          throw new Error(`Invalid ${name} input: ${error.message}`);
+        }
+        const errors = validateWorkItemFieldUpdates(inputFields);
+        if (errors.length > 0) {
+          throw new Error(`Invalid ${name} input:\n${errors.map(error => `- ${error}`).join('\n')}`);
+        }
+      }
+      return { ...(getFileSetting(name) ?? SETTINGS[name].default), ...inputFields };
+    },
+    getAll() {
+      const getters = {
+        boolean: settings.getBoolean,
+        string: settings.getString,
+        list: settings.getList,
+        lines: settings.getLines,
+        templates: settings.getTemplates,
+        fields: settings.getFields
+      };
+      return Object.fromEntries(Object.entries(SETTINGS).map(([name, { type }]) => [name, getters[type](name)]));
+    }
+  };
+  return settings;
+}
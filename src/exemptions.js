@@ -0,0 +1,94 @@
+/**
+ * Pull Request Exemptions
+ *
+ * Decides whether a pull request is exempt from work item validation, based
+ * on its labels, base branch or author.
+ *
+ * @module exemptions
+ */
+
+import { globToRegExp } from './commit-filter.js';
+
+/**
+ * Convert a branch glob to a regular expression
+ * `*` matches within one path segment and `**` matches across segments (e.g. `release/**`)
+ *
+ * @param {string} glob - Branch glob
+ * @returns {RegExp} Regular expression matching the whole branch name
+ */
+export function branchGlobToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a branch matches any of the globs
+ *
+ * @param {string} branch - Branch name (without refs/heads/)
+ * @param {string[]} globs - Branch globs
+ * @returns {string|undefined} The first matching glob
+ */
+function findMatchingBranchGlob(branch, globs) {
+  return globs.find(glob => branchGlobToRegExp(glob).test(branch));
+}
+
+/**
+ * Get the reason a pull request is exempt from work item validation
+ *
+ * @param {Object} pullRequest - Pull request as returned by the pulls API (or the event payload)
+ * @param {Object} exemptions - Exemption inputs
+ * @param {string[]} exemptions.exemptLabels - Labels that exempt the pull request (case-insensitive)
+ * @param {string[]} exemptions.exemptBaseBranches - Base branch globs that are exempt
+ * @param {string[]} exemptions.enforceBaseBranches - Base branch globs that are validated, all other base branches are exempt
+ * @param {string[]} exemptions.exemptAuthors - Pull request author login globs that are exempt
+ * @returns {string|null} Reason the pull request is exempt, or null if it must be validated
+ */
+export function getPullRequestExemption(pullRequest, exemptions) {
+  const { exemptLabels, exemptBaseBranches, enforceBaseBranches, exemptAuthors } = exemptions;
+
+  const labels = (pullRequest.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+  const exemptLabel = labels.find(label =>
+    exemptLabels.some(exemptLabelName => exemptLabelName.toLowerCase() === label?.toLowerCase())
+  );
+  if (exemptLabel) {
+    return `it has the \`${exemptLabel}\` label`;
+  }
+
+  const baseBranch = pullRequest.base?.ref;
+  if (baseBranch) {
+    const exemptBaseBranch = findMatchingBranchGlob(baseBranch, exemptBaseBranches);
+    if (exemptBaseBranch) {
+      return `its base branch \`${baseBranch}\` matches \`${exemptBaseBranch}\``;
+    }
+
+    if (enforceBaseBranches.length > 0 && !findMatchingBranchGlob(baseBranch, enforceBaseBranches)) {
+      return `its base branch \`${baseBranch}\` is not one of the enforced base branches`;
+    }
+  }
+
+  const author = pullRequest.user?.login;
+  const exemptAuthor = author && exemptAuthors.find(glob => globToRegExp(glob).test(author));
+  if (exemptAuthor) {
+    return `its author \`${author}\` matches \`${exemptAuthor}\``;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether any pull request exemption is configured
+ *
+ * @param {Object} exemptions - Exemption inputs, see getPullRequestExemption()
+ * @returns {boolean} True if at least one exemption input is set
+ */
+export function hasPullRequestExemptions(exemptions) {
+  return Object.values(exemptions).some(values => values.length > 0);
+}
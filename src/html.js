@@ -0,0 +1,21 @@
+/**
+ * HTML Helpers
+ *
+ * Helpers for the HTML the action writes to the job summary and to work item comments.
+ *
+ * @module html
+ */
+
+/**
+ * Escape text for use in HTML content and attribute values
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
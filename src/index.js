@@ -10,97 +10,377 @@
 
 import * as core from '@actions/core';
 import * as github from '@actions/github';
-import { run as linkWorkItem, validateWorkItemExists } from './link-work-item.js';
-
-/** Regex pattern to match Azure DevOps work item references (AB#123) */
-const AB_PATTERN = /AB#[0-9]+/gi;
+import {
+  getWorkItems,
+  getOrganizationUrl,
+  removeStalePullRequestLinks,
+  updateWorkItemStates
+} from './link-work-item.js';
+import { getEntraAccessToken } from './azure-auth.js';
+import { writeJobSummary } from './summary.js';
+import { createCheckRun } from './check-run.js';
+import { buildWorkItemPatterns, describeWorkItemReference, extractWorkItemIds } from './work-item-parser.js';
+import { buildCommitFilter, getCommitIgnoreReason } from './commit-filter.js';
+import { getPullRequestExemption, hasPullRequestExemptions } from './exemptions.js';
+import { loadCommentTemplates, renderCommentTemplate } from './comment-templates.js';
+import { buildStatusComment } from './status-comment.js';
+import { removeWorkItemsBlock, updateWorkItemsBlock } from './pull-request-body.js';
+import { buildWorkItemComment } from './work-item-comment.js';
+import { renderWorkItemFieldUpdates } from './work-item-updates.js';
+import { getClosedState, getClosingWorkItemIds, parseClosedWorkItemStates } from './work-item-transitions.js';
+import { parseSlashCommand } from './slash-commands.js';
+import { authorizeSlashCommand, exemptPullRequestByCommand, runSlashCommand } from './slash-command-handlers.js';
+import { getInvalidWorkItems, getWorkItemViolations, linkPullRequestToWorkItem } from './work-items.js';
+import { DEFAULT_CONFIG_PATH, createSettings, loadConfigFile, loadOrganizationConfig, mergeConfigs } from './config.js';
 
 /** HTML comment markers for identifying different validation scenarios */
 export const COMMENT_MARKERS = {
   COMMITS_NOT_LINKED: '<!-- AZDO-VALIDATOR: COMMITS-NOT-LINKED -->',
   INVALID_WORK_ITEMS: '<!-- AZDO-VALIDATOR: INVALID-WORK-ITEMS -->',
-  PR_NOT_LINKED: '<!-- AZDO-VALIDATOR: PR-NOT-LINKED -->'
+  PR_NOT_LINKED: '<!-- AZDO-VALIDATOR: PR-NOT-LINKED -->',
+  STATUS: '<!-- AZDO-VALIDATOR: STATUS -->'
 };
 
+/** Markers of the per-scenario comments that the consolidated status comment replaces */
+const SCENARIO_COMMENT_MARKERS = [
+  COMMENT_MARKERS.COMMITS_NOT_LINKED,
+  COMMENT_MARKERS.INVALID_WORK_ITEMS,
+  COMMENT_MARKERS.PR_NOT_LINKED
+];
+
+/** Matches the hidden markers of the action's comments */
+const COMMENT_MARKER_PATTERN = /<!-- AZDO-VALIDATOR: [A-Z-]+ -->\n?/g;
+
+/** GraphQL mutation that collapses a comment in the pull request timeline as resolved */
+const MINIMIZE_COMMENT_MUTATION = `
+  mutation ($id: ID!) {
+    minimizeComment(input: { subjectId: $id, classifier: RESOLVED }) {
+      minimizedComment {
+        isMinimized
+      }
+    }
+  }
+`;
+
+/** Text that identified the pull request comment before it had a hidden marker */
+const LEGACY_PR_NOT_LINKED_TEXT = ':x: This pull request is not linked to a work item.';
+
+/** Events that have no pull request, so only the commits are validated */
+const COMMIT_ONLY_EVENTS = ['merge_group', 'push'];
+
 /**
  * Main action entry point
  * Validates commits and pull requests for Azure DevOps work item links
  */
 export async function run() {
   try {
-    // Get inputs
-    const checkPullRequest = core.getInput('check-pull-request') === 'true';
-    const checkCommits = core.getInput('check-commits') === 'true';
-    const failIfMissingWorkitemCommitLink = core.getInput('fail-if-missing-workitem-commit-link') === 'true';
-    const linkCommitsToPullRequest = core.getInput('link-commits-to-pull-request') === 'true';
-    const azureDevopsToken = core.getInput('azure-devops-token');
-    const azureDevopsOrganization = core.getInput('azure-devops-organization');
     const githubToken = core.getInput('github-token');
-    const commentOnFailure = core.getInput('comment-on-failure') === 'true';
-    const validateWorkItemExistsFlag = core.getInput('validate-work-item-exists') === 'true';
 
     // Get context
     const context = github.context;
-    const pullNumber = context.payload.pull_request?.number;
 
+    // Comments on pull requests (issue_comment events) only run the /azdo slash commands
+    const slashCommand =
+      context.eventName === 'issue_comment' ? parseSlashCommand(context.payload.comment?.body) : null;
+    if (context.eventName === 'issue_comment' && (!context.payload.issue?.pull_request || !slashCommand)) {
+      core.info('The comment is not an /azdo command on a pull request, nothing to do');
+      return;
+    }
+
+    // workflow_dispatch (or any other event) can validate an arbitrary pull request via pull-request-number
+    const pullRequestNumberInput = parseInt(core.getInput('pull-request-number'), 10);
+    const pullNumber =
+      context.payload.pull_request?.number ??
+      (slashCommand ? context.payload.issue.number : undefined) ??
+      (pullRequestNumberInput > 0 ? pullRequestNumberInput : undefined);
+
+    if (!pullNumber && !COMMIT_ONLY_EVENTS.includes(context.eventName)) {
+      core.setFailed(
+        'This action can only be run on pull requests, merge groups and pushes, or with the pull-request-number input'
+      );
+      return;
+    }
+    const validationTarget = getValidationTarget(context, pullNumber);
     if (!pullNumber) {
-      core.setFailed('This action can only be run on pull requests');
+      core.info(`Validating the commits in the ${validationTarget}`);
+    }
+
+    const githubClient = github.getOctokit(githubToken);
+    // The event payload has no pull request for workflow_dispatch with pull-request-number
+    const pullRequest = !pullNumber
+      ? null
+      : context.payload.pull_request?.number === pullNumber
+        ? context.payload.pull_request
+        : (
+            await githubClient.rest.pulls.get({
+              owner: context.repo.owner,
+              repo: context.repo.repo,
+              pull_number: pullNumber
+            })
+          ).data;
+    const baseBranch = pullRequest ? pullRequest.base?.ref : getBranch(context);
+
+    // Load the organization's shared configuration and the repository's configuration file from the
+    // base branch (so a pull request can't change its own rules), workflow inputs override both
+    const organizationConfig = await loadOrganizationConfig(githubClient, context);
+    const repositoryConfig = await loadConfigFile(
+      githubClient,
+      context,
+      core.getInput('config-file') || DEFAULT_CONFIG_PATH,
+      pullRequest?.base?.ref
+    );
+    const settings = createSettings(mergeConfigs(organizationConfig, repositoryConfig), baseBranch);
+    core.info(`Effective configuration: ${JSON.stringify(settings.getAll(), null, 2)}`);
+
+    // Get settings
+    const checkPullRequest = settings.getBoolean('check-pull-request');
+    const checkCommits = settings.getBoolean('check-commits');
+    const failIfMissingWorkitemCommitLink = settings.getBoolean('fail-if-missing-workitem-commit-link');
+    const linkCommitsToPullRequest = settings.getBoolean('link-commits-to-pull-request');
+    const removeStaleLinks = settings.getBoolean('remove-stale-links');
+    const appendWorkItemsToBody = settings.getBoolean('append-work-items-to-pull-request-body');
+    const createCheckRunFlag = settings.getBoolean('create-check-run');
+    const azureDevopsOrganization = settings.getString('azure-devops-organization');
+    const azureDevopsUrl = settings.getString('azure-devops-url');
+    const commentOnFailure = settings.getBoolean('comment-on-failure');
+    // `consolidated` posts one status comment for all checks instead of a comment per failed check
+    const consolidatedComment = settings.getString('comment-mode') === 'consolidated';
+    const commentPerScenario = isCommentPerScenario(settings);
+    // What happens to a failure comment once its problem is fixed: `update` to success, `delete` or `minimize`
+    const resolvedCommentBehavior = settings.getString('resolved-comment-behavior');
+    const validateWorkItemExistsFlag = settings.getBoolean('validate-work-item-exists');
+    const dryRun = settings.getBoolean('dry-run');
+    const workItemPatterns = buildWorkItemPatterns(settings.getLines('work-item-pattern'));
+    const branchWorkItemPatternSources = settings.getLines('branch-work-item-pattern');
+    const branchWorkItemPatterns =
+      branchWorkItemPatternSources.length > 0
+        ? buildWorkItemPatterns(branchWorkItemPatternSources, 'branch-work-item-pattern')
+        : [];
+    // Work item type to the state work items referenced with a closing keyword move to when the pull request is merged
+    const closedWorkItemStates = parseClosedWorkItemStates(settings.getList('closed-work-item-states'));
+    const allowedWorkItemStates = settings.getList('allowed-work-item-states');
+    const allowedWorkItemTypes = settings.getList('allowed-work-item-types');
+    const allowedProjects = settings.getList('allowed-projects');
+    const commitFilter = buildCommitFilter({
+      ignoreAuthors: settings.getList('ignore-authors'),
+      ignoreCommitPatterns: settings.getLines('ignore-commit-patterns'),
+      ignoreMergeCommits: settings.getBoolean('ignore-merge-commits'),
+      ignoreRevertCommits: settings.getBoolean('ignore-revert-commits')
+    });
+    const pullRequestExemptions = {
+      exemptLabels: settings.getList('exempt-labels'),
+      exemptBaseBranches: settings.getList('exempt-base-branches'),
+      enforceBaseBranches: settings.getList('enforce-base-branches'),
+      exemptAuthors: settings.getList('exempt-authors')
+    };
+    // Tags and fields set on each linked work item, in the same update that adds the pull request link
+    const workItemUpdates = {
+      tags: settings.getList('work-item-tags-to-add'),
+      fields: pullRequest
+        ? renderWorkItemFieldUpdates(settings.getFields('work-item-field-updates'), {
+            repo: `${context.repo.owner}/${context.repo.repo}`,
+            prNumber: pullNumber,
+            prTitle: pullRequest.title ?? '',
+            prUrl: `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/pull/${pullNumber}`,
+            prAuthor: pullRequest.user?.login ?? ''
+          })
+        : {}
+    };
+    // Custom comment templates, template files are read from the base branch like the configuration file
+    const commentTemplates = await loadCommentTemplates(
+      githubClient,
+      context,
+      settings.getTemplates('comment-templates'),
+      pullRequest?.base?.ref
+    );
+
+    if (dryRun) {
+      core.info('[dry-run] Dry run enabled - comments and work item links will be logged but not written');
+    }
+    const octokit = dryRun ? createDryRunOctokit(githubClient) : githubClient;
+
+    // Closing a pull request with closed-work-item-states set closes its work items instead of validating it again
+    if (closedWorkItemStates.size > 0 && context.payload.action === 'closed' && context.payload.pull_request) {
+      if (!pullRequest.merged) {
+        core.info(`Pull request #${pullNumber} was closed without merging, not closing any work items`);
+        return;
+      }
+      const { azureDevopsToken, azureDevopsTokenType } = await getAzureDevopsCredentials(settings);
+      await closeMergedWorkItems(
+        octokit,
+        context,
+        pullRequest,
+        workItemPatterns,
+        closedWorkItemStates,
+        azureDevopsOrganization,
+        azureDevopsUrl,
+        azureDevopsToken,
+        azureDevopsTokenType,
+        dryRun
+      );
       return;
     }
 
-    const octokit = github.getOctokit(githubToken);
+    // Check the slash command can be run by the commenter, /azdo exempt is applied before the exemptions are checked
+    let commandExemption = null;
+    if (slashCommand) {
+      if (!(await authorizeSlashCommand(octokit, context, pullRequest, slashCommand, settings))) {
+        return;
+      }
+      if (slashCommand.name === 'exempt') {
+        commandExemption = await exemptPullRequestByCommand(
+          octokit,
+          context,
+          pullNumber,
+          slashCommand,
+          pullRequestExemptions.exemptLabels
+        );
+        if (!commandExemption) {
+          return;
+        }
+      }
+    }
+
+    // Skip validation for pull requests exempted by label, base branch or author
+    if (pullNumber && (commandExemption || hasPullRequestExemptions(pullRequestExemptions))) {
+      const exemption = commandExemption ?? getPullRequestExemption(pullRequest, pullRequestExemptions);
+      if (exemption) {
+        core.info(`Skipping work item validation for pull request #${pullNumber}: ${exemption}`);
+        if (commentOnFailure) {
+          await markCommentsExempt(octokit, context, pullNumber, exemption, commentTemplates);
+        }
+        core.setOutput('work-items', '[]');
+        core.setOutput('work-item-commit-map', '{}');
+        core.setOutput('invalid-commits', '[]');
+        core.setOutput('invalid-work-items', '[]');
+        core.setOutput('linked-work-items', '[]');
+        await writeJobSummary({
+          pullNumber,
+          target: validationTarget,
+          commits: [],
+          workItems: [],
+          failures: [],
+          exemption,
+          dryRun
+        });
+        return;
+      }
+    }
+
+    const azureDevops = await getAzureDevopsCredentials(settings);
+    const { azureDevopsToken, azureDevopsTokenType } = azureDevops;
+
+    // Work items retrieved from Azure DevOps (shared by /azdo link and the commit and PR checks) and the rules they must satisfy
+    const workItemValidation = {
+      workItems: new Map(),
+      allowedStates: allowedWorkItemStates,
+      allowedTypes: allowedWorkItemTypes,
+      allowedProjects: allowedProjects
+    };
+
+    // /azdo link and /azdo unlink change the pull request link before the pull request is validated again
+    if (
+      slashCommand &&
+      !(await runSlashCommand(octokit, context, slashCommand, settings, azureDevops, {
+        pullNumber,
+        githubToken,
+        workItemUpdates,
+        workItemValidation
+      }))
+    ) {
+      return;
+    }
+
+    // Work items in the pull request's branch name (e.g. feature/AB#123-login) count as referenced by the pull request
+    const branchWorkItems = extractWorkItemIds(pullRequest?.head?.ref, branchWorkItemPatterns);
+    if (branchWorkItems.length > 0) {
+      core.info(`Branch ${pullRequest.head.ref} references work item(s): ${branchWorkItems.join(', ')}`);
+    }
 
     // Store work item to commit mapping and validation results
     let workItemToCommitMap = new Map();
     let invalidWorkItemsFromCommits = [];
+    let commits = [];
+    let invalidCommits = [];
+    let linkedWorkItems = new Map();
+    let commitsFailed = false;
+    let pullRequestFailed = false;
+    const failures = [];
+    // Values resolved for this run that the commit and PR checks share, they read their own settings
+    const checkOptions = {
+      pullNumber,
+      pullRequest,
+      githubToken,
+      commentTemplates,
+      workItemPatterns,
+      branchWorkItems,
+      commitFilter,
+      workItemUpdates,
+      workItemValidation
+    };
 
     // Check commits
     if (checkCommits) {
-      const commitResults = await checkCommitsForWorkItems(
-        octokit,
-        context,
-        pullNumber,
-        failIfMissingWorkitemCommitLink,
-        linkCommitsToPullRequest,
-        commentOnFailure,
-        validateWorkItemExistsFlag,
-        azureDevopsOrganization,
-        azureDevopsToken,
-        githubToken
-      );
+      const commitResults = await checkCommitsForWorkItems(octokit, context, settings, azureDevops, checkOptions);
       workItemToCommitMap = commitResults.workItemToCommitMap;
       invalidWorkItemsFromCommits = commitResults.invalidWorkItems;
+      commits = commitResults.commits;
+      invalidCommits = commitResults.invalidCommits;
+      linkedWorkItems = commitResults.linkedWorkItems;
+      commitsFailed = commitResults.hasCommitFailures;
+      if (commitResults.failureMessage) {
+        failures.push(commitResults.failureMessage);
+      }
+    }
+
+    // List the work items referenced by commits in the pull request body, so Azure DevOps links them from the description
+    if (appendWorkItemsToBody && checkCommits && pullNumber) {
+      const commitWorkItems = [...workItemToCommitMap].filter(([, commitInfo]) => commitInfo).map(([id]) => id);
+      await syncPullRequestBodyWorkItems(octokit, context, pullNumber, commitWorkItems, workItemPatterns);
     }
 
     // Check pull request
     let invalidWorkItemsFromPR = [];
-    if (checkPullRequest) {
-      invalidWorkItemsFromPR = await checkPullRequestForWorkItems(
+    let pullRequestWorkItems = [];
+    if (checkPullRequest && !pullNumber) {
+      core.info(
+        `Skipping the pull request title/body check, there is no pull request for the ${context.eventName} event`
+      );
+    } else if (checkPullRequest) {
+      const pullRequestResults = await checkPullRequestForWorkItems(
         octokit,
         context,
-        pullNumber,
-        commentOnFailure,
-        validateWorkItemExistsFlag,
-        azureDevopsOrganization,
-        azureDevopsToken,
+        settings,
+        azureDevops,
+        checkOptions,
         workItemToCommitMap
       );
+      invalidWorkItemsFromPR = pullRequestResults.invalidWorkItems;
+      pullRequestWorkItems = pullRequestResults.workItems;
+      pullRequestFailed = Boolean(pullRequestResults.failureMessage);
+      if (pullRequestResults.failureMessage) {
+        failures.push(pullRequestResults.failureMessage);
+      }
     }
 
     // Combine all invalid work items and create ONE comment
     const allInvalidWorkItems = [...new Set([...invalidWorkItemsFromCommits, ...invalidWorkItemsFromPR])];
 
-    if (allInvalidWorkItems.length > 0 && commentOnFailure) {
+    // Only mention existence when that is the sole problem, otherwise list the reason for each work item
+    const allInvalidWorkItemsMissing = allInvalidWorkItems.every(id => !workItemValidation.workItems.get(id));
+    const invalidWorkItemsText = allInvalidWorkItemsMissing
+      ? `${allInvalidWorkItems.length === 1 ? 'does' : 'do'} not exist in Azure DevOps`
+      : `${allInvalidWorkItems.length === 1 ? 'is' : 'are'} not valid in Azure DevOps`;
+
+    if (allInvalidWorkItems.length > 0 && commentPerScenario && pullNumber) {
       // Build the work item list with commit info
-      const workItemListItems = allInvalidWorkItems
-        .map(id => {
-          const commitInfo = workItemToCommitMap.get(id);
-          if (commitInfo) {
-            return `- \`AB#${id}\` (commit [\`${commitInfo.shortSha}\`](${context.payload.repository?.html_url}/commit/${commitInfo.sha}))`;
-          }
-          return `- \`AB#${id}\` (in PR title/body)`;
-        })
-        .join('\n');
+      const workItemListItems = formatWorkItemList(
+        context,
+        allInvalidWorkItems,
+        workItemToCommitMap,
+        branchWorkItems,
+        workItemValidation
+      );
 
       const workItemList =
         allInvalidWorkItems.length > 1
@@ -109,25 +389,31 @@ export async function run() {
 
       // For single work item, include it inline; for multiple, use dropdown only
       const workItemReference = allInvalidWorkItems.length === 1 ? ` (\`AB#${allInvalidWorkItems[0]}\`)` : '';
+      const workItemReason =
+        allInvalidWorkItems.length === 1 && !allInvalidWorkItemsMissing
+          ? `\n\n\`AB#${allInvalidWorkItems[0]}\` ${getWorkItemViolations(allInvalidWorkItems[0], workItemValidation).join('; ')}.`
+          : '';
 
-      await addOrUpdateComment(
-        octokit,
-        context,
-        pullNumber,
-        `${COMMENT_MARKERS.INVALID_WORK_ITEMS}\n:x: There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'}${workItemReference} in pull request #${pullNumber} that ${allInvalidWorkItems.length === 1 ? 'does' : 'do'} not exist in Azure DevOps. Please verify the work item${allInvalidWorkItems.length === 1 ? '' : 's'} and update the commit message${allInvalidWorkItems.length === 1 ? '' : 's'} or PR title/body.${workItemList}`,
-        COMMENT_MARKERS.INVALID_WORK_ITEMS
-      );
+      const commentBody =
+        renderCommentTemplate(commentTemplates, 'invalid-work-items', COMMENT_MARKERS.INVALID_WORK_ITEMS, {
+          pullNumber,
+          runUrl: getRunUrl(context),
+          count: allInvalidWorkItems.length,
+          workItems: workItemListItems
+        }) ??
+        `${COMMENT_MARKERS.INVALID_WORK_ITEMS}\n:x: There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'}${workItemReference} in pull request #${pullNumber} that ${invalidWorkItemsText}. Please verify the work item${allInvalidWorkItems.length === 1 ? '' : 's'} and update the commit message${allInvalidWorkItems.length === 1 ? '' : 's'} or PR title/body.${workItemReason}${workItemList}`;
+      await addOrUpdateComment(octokit, context, pullNumber, commentBody, COMMENT_MARKERS.INVALID_WORK_ITEMS);
     }
 
     // Fail if there were any invalid work items
     if (allInvalidWorkItems.length > 0) {
       core.error(
-        `Invalid work item(s): There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'} that ${allInvalidWorkItems.length === 1 ? 'does' : 'do'} not exist in Azure DevOps`
+        `Invalid work item(s): There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'} that ${invalidWorkItemsText}`
       );
-      core.setFailed(
-        `There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'} that ${allInvalidWorkItems.length === 1 ? 'does' : 'do'} not exist in Azure DevOps`
-      );
-    } else if (commentOnFailure && validateWorkItemExistsFlag) {
+      const failureMessage = `There ${allInvalidWorkItems.length === 1 ? 'is' : 'are'} ${allInvalidWorkItems.length} work item${allInvalidWorkItems.length === 1 ? '' : 's'} that ${invalidWorkItemsText}`;
+      core.setFailed(failureMessage);
+      failures.push(failureMessage);
+    } else if (commentPerScenario && validateWorkItemExistsFlag && pullNumber) {
       // All work items are valid - check if there's an existing invalid work item comment to update to success
       const { owner, repo } = context.repo;
       const comments = await octokit.paginate(octokit.rest.issues.listComments, {
@@ -136,120 +422,433 @@ export async function run() {
         issue_number: pullNumber
       });
 
-      const existingInvalidWorkItemComment = comments.find(comment =>
-        comment.body?.includes(COMMENT_MARKERS.INVALID_WORK_ITEMS)
-      );
+      const existingInvalidWorkItemComment = findComment(comments, COMMENT_MARKERS.INVALID_WORK_ITEMS);
 
       if (existingInvalidWorkItemComment) {
         core.info(`Found existing invalid work item comment: ${existingInvalidWorkItemComment.id}`);
-        const currentDateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
-        const commentExtra = `\n<details>\n<summary>Workflow run details</summary>\n\n[View workflow run](${context.payload.repository?.html_url}/actions/runs/${context.runId}) - _Last ran: ${currentDateTime} UTC_\n</details>`;
-        const successCommentCombined = `${COMMENT_MARKERS.INVALID_WORK_ITEMS}\n:white_check_mark: All work items referenced in this pull request now exist in Azure DevOps.${commentExtra}`;
-
-        core.info('... attempting to update the invalid work item comment to success');
-        await octokit.rest.issues.updateComment({
-          owner,
-          repo,
-          comment_id: existingInvalidWorkItemComment.id,
-          body: successCommentCombined
+        const commentExtra = formatRunDetails(context);
+        const hasWorkItemRules =
+          allowedWorkItemStates.length > 0 || allowedWorkItemTypes.length > 0 || allowedProjects.length > 0;
+        const successComment =
+          renderCommentTemplate(commentTemplates, 'work-items-valid', COMMENT_MARKERS.INVALID_WORK_ITEMS, {
+            pullNumber,
+            runUrl: getRunUrl(context)
+          }) ??
+          `${COMMENT_MARKERS.INVALID_WORK_ITEMS}\n:white_check_mark: All work items referenced in this pull request ${hasWorkItemRules ? 'are now valid' : 'now exist'} in Azure DevOps.`;
+        const successCommentCombined = successComment + commentExtra;
+
+        await resolveComment(
+          octokit,
+          context,
+          existingInvalidWorkItemComment,
+          successCommentCombined,
+          resolvedCommentBehavior
+        );
+      }
+    }
+
+    // Post one sticky comment with a checklist of every check, replacing any per-scenario comments
+    if (consolidatedComment && commentOnFailure && pullNumber) {
+      const sections = [];
+      if (checkCommits) {
+        sections.push({
+          title: 'Every commit references a work item',
+          passed: !commitsFailed,
+          failureTitle: `Commits not linked to work items (${invalidCommits.length})`,
+          details: `${formatCommitList(context, invalidCommits)}\n\nReword the commit messages to include ${describeWorkItemReference(workItemPatterns)}.`
         });
-        core.info('... invalid work item comment updated to success');
       }
+      if (validateWorkItemExistsFlag && (azureDevopsOrganization || azureDevopsUrl) && azureDevopsToken) {
+        sections.push({
+          title: 'Every work item is valid in Azure DevOps',
+          passed: allInvalidWorkItems.length === 0 && !commitsFailed,
+          // A failed commit check returns before the commit work items are validated
+          skipped:
+            commitsFailed && allInvalidWorkItems.length === 0
+              ? 'every commit must reference a work item first'
+              : undefined,
+          failureTitle: `Invalid work items (${allInvalidWorkItems.length})`,
+          details: formatWorkItemList(
+            context,
+            allInvalidWorkItems,
+            workItemToCommitMap,
+            branchWorkItems,
+            workItemValidation
+          )
+        });
+      }
+      if (checkPullRequest) {
+        sections.push({
+          title: 'The pull request title or body references a work item',
+          passed: !pullRequestFailed,
+          failureTitle: 'Pull request not linked to a work item',
+          details: `Update the title or body to include ${describeWorkItemReference(workItemPatterns)}.`
+        });
+      }
+
+      const statusComment = buildStatusComment(COMMENT_MARKERS.STATUS, sections);
+      const hasFailedSections = sections.some(section => !section.passed);
+      if (sections.length > 0 && (hasFailedSections || !['delete', 'minimize'].includes(resolvedCommentBehavior))) {
+        // A passing status is only posted to update an earlier failure
+        await addOrUpdateComment(
+          octokit,
+          context,
+          pullNumber,
+          statusComment,
+          COMMENT_MARKERS.STATUS,
+          SCENARIO_COMMENT_MARKERS,
+          hasFailedSections
+        );
+      } else if (sections.length > 0) {
+        await resolveExistingComments(
+          octokit,
+          context,
+          pullNumber,
+          [COMMENT_MARKERS.STATUS, ...SCENARIO_COMMENT_MARKERS],
+          statusComment,
+          resolvedCommentBehavior
+        );
+      }
+    }
+
+    const allWorkItems = [...new Set([...workItemToCommitMap.keys(), ...pullRequestWorkItems])];
+
+    // Remove the pull request link from work items that are no longer referenced (e.g. after a history rewrite)
+    let removedLinks = [];
+    if (
+      removeStaleLinks &&
+      pullNumber &&
+      checkCommits &&
+      linkCommitsToPullRequest &&
+      (azureDevopsOrganization || azureDevopsUrl) &&
+      azureDevopsToken
+    ) {
+      const { owner, repo } = context.repo;
+      // The Azure Boards app links the work items in the title/body itself, so they stay linked even without check-pull-request
+      const titleAndBodyWorkItems = await getTitleAndBodyWorkItemIds(octokit, context, pullNumber, workItemPatterns);
+      // A work item linked with /azdo link in this run isn't referenced anywhere, so it is kept until the next run
+      if (slashCommand?.name === 'link') {
+        titleAndBodyWorkItems.push(slashCommand.workItemId);
+      }
+      removedLinks = await removeStalePullRequestLinks(
+        azureDevopsOrganization,
+        azureDevopsToken,
+        `${context.serverUrl}/${owner}/${repo}/pull/${pullNumber}`,
+        pullNumber,
+        [...new Set([...allWorkItems, ...titleAndBodyWorkItems])],
+        azureDevopsUrl,
+        azureDevopsTokenType,
+        dryRun
+      );
+    }
+
+    // Set outputs for downstream steps
+    core.setOutput('work-items', JSON.stringify(allWorkItems.map(Number)));
+    core.setOutput('work-item-commit-map', JSON.stringify(Object.fromEntries(workItemToCommitMap)));
+    core.setOutput('invalid-commits', JSON.stringify(invalidCommits));
+    core.setOutput('invalid-work-items', JSON.stringify(allInvalidWorkItems.map(Number)));
+    core.setOutput(
+      'linked-work-items',
+      JSON.stringify(
+        [...linkedWorkItems]
+          .filter(([, linkStatus]) => linkStatus === 'linked' || linkStatus === 'already linked')
+          .map(([id]) => Number(id))
+      )
+    );
+
+    // Create a check run with an annotation for each invalid commit and work item
+    if (createCheckRunFlag) {
+      await createCheckRun(
+        octokit,
+        context,
+        // The pull request head, otherwise the last commit validated (the head of the merge group or push)
+        pullRequest?.head?.sha ?? commits.at(-1)?.sha ?? context.sha,
+        {
+          target: validationTarget,
+          invalidCommits,
+          commitsRequireWorkItems: failIfMissingWorkitemCommitLink,
+          workItemReference: describeWorkItemReference(workItemPatterns),
+          invalidWorkItems: allInvalidWorkItems.map(id => ({
+            id,
+            commit: workItemToCommitMap.get(id) ?? null,
+            branch: branchWorkItems.includes(id),
+            problems: getWorkItemViolations(id, workItemValidation)
+          })),
+          failures
+        }
+      );
     }
+
+    // Write the job summary
+    const workItemBaseUrl =
+      azureDevopsOrganization || azureDevopsUrl ? getOrganizationUrl(azureDevopsOrganization, azureDevopsUrl) : null;
+    await writeJobSummary({
+      pullNumber,
+      target: validationTarget,
+      commits,
+      workItems: getSummaryWorkItems(
+        allWorkItems,
+        workItemToCommitMap,
+        branchWorkItems,
+        linkedWorkItems,
+        workItemValidation,
+        workItemBaseUrl,
+        context.payload.repository?.html_url
+      ),
+      removedLinks: removedLinks.map(id => ({
+        id,
+        url: workItemBaseUrl ? `${workItemBaseUrl}/_workitems/edit/${id}` : null
+      })),
+      failures,
+      dryRun
+    });
   } catch (error) {
     core.setFailed(`Action failed with error: ${error}`);
   }
 }
 
 /**
- * Check all commits in the pull request for Azure DevOps work item links
+ * Resolve the Azure DevOps organization and credentials - a PAT by default, or a Microsoft Entra ID access token used as a bearer token
+ *
+ * @param {Object} settings - Settings returned by createSettings
+ * @returns {Promise<Object>} {azureDevopsOrganization, azureDevopsUrl, azureDevopsToken, azureDevopsTokenType}, the token type is `bearer` or `pat`
+ */
+async function getAzureDevopsCredentials(settings) {
+  const azureDevopsOrganization = settings.getString('azure-devops-organization');
+  const azureDevopsUrl = settings.getString('azure-devops-url');
+  const azureDevopsAuthType = settings.getString('azure-devops-auth-type');
+  if (azureDevopsAuthType === 'service-principal') {
+    const azureDevopsToken = await getEntraAccessToken(
+      settings.getString('azure-tenant-id'),
+      settings.getString('azure-client-id'),
+      core.getInput('azure-client-secret')
+    );
+    return { azureDevopsOrganization, azureDevopsUrl, azureDevopsToken, azureDevopsTokenType: 'bearer' };
+  }
+  return {
+    azureDevopsOrganization,
+    azureDevopsUrl,
+    azureDevopsToken: core.getInput('azure-devops-token'),
+    azureDevopsTokenType: azureDevopsAuthType === 'access-token' ? 'bearer' : 'pat'
+  };
+}
+
+/**
+ * Whether each failed check posts its own comment, rather than one consolidated status comment for all checks
+ *
+ * @param {Object} settings - Settings returned by createSettings
+ * @returns {boolean} True if comment-on-failure is on and comment-mode isn't `consolidated`
+ */
+function isCommentPerScenario(settings) {
+  return settings.getBoolean('comment-on-failure') && settings.getString('comment-mode') !== 'consolidated';
+}
+
+/**
+ * Move the work items a merged pull request closes to their closed state
+ * Work items referenced with a closing keyword (e.g. `Fixes AB#123`) in the title, body or commit messages are closed
  *
  * @param {Object} octokit - GitHub API client
  * @param {Object} context - GitHub Actions context
- * @param {number} pullNumber - Pull request number
- * @param {boolean} failIfMissingWorkitemCommitLink - Whether to fail if commit lacks work item
- * @param {boolean} linkCommitsToPullRequest - Whether to link work items to PR
- * @param {boolean} commentOnFailure - Whether to comment on PR if validation fails
- * @param {boolean} validateWorkItemExistsFlag - Whether to validate work items exist in Azure DevOps
+ * @param {Object} pullRequest - The merged pull request
+ * @param {RegExp[]} workItemPatterns - Patterns used to extract work item IDs
+ * @param {Map<string, string>} closedWorkItemStates - Work item type to closed state, see parseClosedWorkItemStates()
  * @param {string} azureDevopsOrganization - Azure DevOps organization name
- * @param {string} azureDevopsToken - Azure DevOps PAT token
- * @param {string} githubToken - GitHub token
- * @returns {Object} Returns {workItemToCommitMap: Map, invalidWorkItems: Array, hasCommitFailures: boolean}
+ * @param {string} azureDevopsUrl - Azure DevOps Server or custom collection URL (overrides the organization URL)
+ * @param {string} azureDevopsToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} azureDevopsTokenType - `bearer` for Microsoft Entra ID access tokens, `pat` otherwise
+ * @param {boolean} dryRun - Whether to only log the state changes instead of sending them
  */
-async function checkCommitsForWorkItems(
+async function closeMergedWorkItems(
   octokit,
   context,
-  pullNumber,
-  failIfMissingWorkitemCommitLink,
-  linkCommitsToPullRequest,
-  commentOnFailure,
-  validateWorkItemExistsFlag,
+  pullRequest,
+  workItemPatterns,
+  closedWorkItemStates,
   azureDevopsOrganization,
+  azureDevopsUrl,
   azureDevopsToken,
-  githubToken
+  azureDevopsTokenType,
+  dryRun
 ) {
+  if (!(azureDevopsOrganization || azureDevopsUrl) || !azureDevopsToken) {
+    core.setFailed('closed-work-item-states needs azure-devops-organization and azure-devops-token');
+    return;
+  }
+
+  const commits = await getCommits(octokit, context, pullRequest.number);
+  const workItemIds = getClosingWorkItemIds(
+    [pullRequest.title, pullRequest.body, ...commits.map(commit => commit.commit.message)],
+    workItemPatterns
+  );
+  if (workItemIds.length === 0) {
+    core.info(`Pull request #${pullRequest.number} was merged without closing any work items`);
+    core.setOutput('closed-work-items', '[]');
+    return;
+  }
+
+  const workItems = await getWorkItems(
+    azureDevopsOrganization,
+    azureDevopsToken,
+    workItemIds,
+    azureDevopsUrl,
+    azureDevopsTokenType
+  );
+  const workItemStates = new Map();
+  for (const workItemId of workItemIds) {
+    const workItem = workItems.get(workItemId);
+    if (!workItem) {
+      continue;
+    }
+
+    const closedState = getClosedState(closedWorkItemStates, workItem.type);
+    if (!closedState) {
+      core.info(`Not closing work item ${workItemId}: closed-work-item-states has no state for ${workItem.type}`);
+    } else if (workItem.state.toLowerCase() === closedState.toLowerCase()) {
+      core.info(`Work item ${workItemId} is already ${workItem.state}`);
+    } else {
+      workItemStates.set(workItemId, closedState);
+    }
+  }
+
+  const closedWorkItems = await updateWorkItemStates(
+    azureDevopsOrganization,
+    azureDevopsToken,
+    workItemStates,
+    azureDevopsUrl,
+    azureDevopsTokenType,
+    dryRun
+  );
+  core.setOutput('closed-work-items', JSON.stringify(closedWorkItems.map(Number)));
+}
+
+/**
+ * Check all commits in the pull request, merge group or push for Azure DevOps work item links
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} settings - Settings returned by createSettings
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials()
+ * @param {Object} options - Values resolved for this run
+ * @param {number|undefined} options.pullNumber - Pull request number (undefined for merge_group and push events)
+ * @param {Object|null} options.pullRequest - Pull request being validated (null for merge_group and push events)
+ * @param {string} options.githubToken - GitHub token
+ * @param {Object} options.commentTemplates - Custom comment templates, see loadCommentTemplates()
+ * @param {RegExp[]} options.workItemPatterns - Patterns used to extract work item IDs
+ * @param {string[]} options.branchWorkItems - Work item IDs in the pull request's branch name, validated and linked like commit work items
+ * @param {Object} options.commitFilter - Commits exempt from needing a work item, see buildCommitFilter()
+ * @param {Object} options.workItemUpdates - Tags and fields to set on each linked work item, see linkPullRequestToWorkItem()
+ * @param {Object} options.workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @returns {Object} Returns {workItemToCommitMap: Map, invalidWorkItems: Array, hasCommitFailures: boolean, commits: Array, invalidCommits: Array, linkedWorkItems: Map, failureMessage: string}
+ */
+async function checkCommitsForWorkItems(octokit, context, settings, azureDevops, options) {
+  const {
+    pullNumber,
+    pullRequest,
+    githubToken,
+    commentTemplates,
+    workItemPatterns,
+    branchWorkItems,
+    commitFilter,
+    workItemUpdates,
+    workItemValidation
+  } = options;
+  const { azureDevopsOrganization, azureDevopsUrl, azureDevopsToken } = azureDevops;
+  const failIfMissingWorkitemCommitLink = settings.getBoolean('fail-if-missing-workitem-commit-link');
+  const linkCommitsToPullRequest = settings.getBoolean('link-commits-to-pull-request');
+  const linkCommitsToWorkItems = settings.getBoolean('link-commits-to-work-items');
+  // Whether to comment on each linked work item with the pull request and its commits
+  const workItemComment = settings.getBoolean('work-item-comment');
+  const commentOnFailure = isCommentPerScenario(settings);
+  const resolvedCommentBehavior = settings.getString('resolved-comment-behavior');
+  const validateWorkItemExistsFlag = settings.getBoolean('validate-work-item-exists');
+  // Every commit also references the branch work items, so commits don't need their own
+  const inheritBranchWorkItems = settings.getBoolean('inherit-branch-work-items');
   const { owner, repo } = context.repo;
+  const validationTarget = getValidationTarget(context, pullNumber);
 
-  // Get all commits in the pull request
-  const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
-    owner,
-    repo,
-    pull_number: pullNumber
-  });
+  // Get all commits in the pull request, merge group or push
+  const commits = await getCommits(octokit, context, pullNumber);
 
   // Collect all work items from commits for deduplication
   const allWorkItems = [];
   const workItemToCommitMap = new Map(); // Track which commit each work item comes from
   const invalidCommits = [];
+  const validatedCommits = []; // Every commit with the work items it references, for the job summary
+  const linkedWorkItems = new Map(); // Work item ID -> link status returned by the linker
 
   for (const commit of commits) {
     const commitSha = commit.sha;
     const shortCommitSha = commitSha.substring(0, 7);
     const commitMessage = commit.commit.message;
 
+    const ignoreReason = getCommitIgnoreReason(commit, commitFilter);
+    if (ignoreReason) {
+      core.info(`Skipping commit: ${commitSha} - ${ignoreReason}`);
+      validatedCommits.push({
+        sha: commitSha,
+        shortSha: shortCommitSha,
+        url: commit.html_url,
+        message: commitMessage,
+        workItemIds: [],
+        ignoreReason
+      });
+      continue;
+    }
+
     core.info(`Validating new commit: ${commitSha} - ${commitMessage}`);
 
-    if (!AB_PATTERN.test(commitMessage)) {
+    // Extract work item number(s), adding the branch work items when commits inherit them
+    const workItemIds = extractWorkItemIds(commitMessage, workItemPatterns);
+    if (inheritBranchWorkItems) {
+      workItemIds.push(...branchWorkItems.filter(workItemId => !workItemIds.includes(workItemId)));
+    }
+    validatedCommits.push({
+      sha: commitSha,
+      shortSha: shortCommitSha,
+      url: commit.html_url,
+      message: commitMessage,
+      workItemIds
+    });
+
+    if (workItemIds.length === 0) {
       // Collect invalid commits
       invalidCommits.push({ sha: commitSha, shortSha: shortCommitSha, message: commitMessage });
     } else {
       core.info('valid commit');
-      // Extract work item number(s)
-      const workItemMatches = commitMessage.match(AB_PATTERN);
-      if (workItemMatches) {
-        // Collect work items for later deduplication
-        allWorkItems.push(...workItemMatches);
-        // Track which commit each work item comes from (first occurrence)
-        for (const match of workItemMatches) {
-          const workItemId = match.substring(3);
-          if (!workItemToCommitMap.has(workItemId)) {
-            workItemToCommitMap.set(workItemId, { sha: commitSha, shortSha: shortCommitSha });
-          }
+      // Collect work items for later deduplication
+      allWorkItems.push(...workItemIds);
+      // Track which commit each work item comes from (first occurrence)
+      for (const workItemId of workItemIds) {
+        if (!workItemToCommitMap.has(workItemId)) {
+          workItemToCommitMap.set(workItemId, { sha: commitSha, shortSha: shortCommitSha });
         }
       }
     }
   }
 
+  // Branch work items not referenced by any commit are validated and linked like commit work items
+  for (const workItemId of branchWorkItems) {
+    if (!workItemToCommitMap.has(workItemId)) {
+      allWorkItems.push(workItemId);
+      workItemToCommitMap.set(workItemId, null); // null indicates it's not from a commit
+    }
+  }
+
   // Handle invalid commits if any were found
   if (invalidCommits.length > 0 && failIfMissingWorkitemCommitLink) {
     const firstInvalidCommit = invalidCommits[0];
-    const errorMessage = `Pull request contains invalid commit: ${firstInvalidCommit.sha}. This commit lacks an \`AB#xxx\` in the message, in the expected format: \`AB#xxx\` -- failing operation.`;
+    const errorMessage = `Pull request contains invalid commit: ${firstInvalidCommit.sha}. This commit lacks ${describeWorkItemReference(workItemPatterns)} in the message -- failing operation.`;
     core.info('');
     core.info('');
     core.info(errorMessage);
     core.error(
-      `Commit(s) not linked to work items: There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'} in pull request #${pullNumber} not linked to work items`
+      `Commit(s) not linked to work items: There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'} in ${validationTarget} not linked to work items`
     );
 
     // Add comment to PR if comment-on-failure is true
-    if (commentOnFailure) {
+    if (commentOnFailure && pullNumber) {
       // Build the commit list for the dropdown
-      const commitListItems = invalidCommits
-        .map(
-          c =>
-            `- [\`${c.shortSha}\`](${context.payload.repository?.html_url}/commit/${c.sha}) - ${c.message.split('\n')[0]}`
-        )
-        .join('\n');
+      const commitListItems = formatCommitList(context, invalidCommits);
 
       // For single commit, include it inline; for multiple, use dropdown
       const firstCommit = invalidCommits[0];
@@ -263,69 +862,79 @@ async function checkCommitsForWorkItems(
           ? `\n\n<details>\n<summary>View all ${invalidCommits.length} commits missing work items</summary>\n${commitListItems}</details>`
           : '';
 
-      await addOrUpdateComment(
-        octokit,
-        context,
-        pullNumber,
-        `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'}${commitReference} in pull request #${pullNumber} not linked to ${invalidCommits.length === 1 ? 'a work item' : 'work items'}. Please amend the commit message${invalidCommits.length === 1 ? '' : 's'} to include a work item reference (\`AB#xxx\`) and re-run the failed job to continue. Any new commits to the pull request will also re-run the job.${commitDetails}`,
-        COMMENT_MARKERS.COMMITS_NOT_LINKED
-      );
+      const commentBody =
+        renderCommentTemplate(commentTemplates, 'commits-not-linked', COMMENT_MARKERS.COMMITS_NOT_LINKED, {
+          pullNumber,
+          runUrl: getRunUrl(context),
+          count: invalidCommits.length,
+          invalidCommits: commitListItems
+        }) ??
+        `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:x: There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'}${commitReference} in pull request #${pullNumber} not linked to ${invalidCommits.length === 1 ? 'a work item' : 'work items'}. Please amend the commit message${invalidCommits.length === 1 ? '' : 's'} to include ${describeWorkItemReference(workItemPatterns)} and re-run the failed job to continue. Any new commits to the pull request will also re-run the job.${commitDetails}`;
+      await addOrUpdateComment(octokit, context, pullNumber, commentBody, COMMENT_MARKERS.COMMITS_NOT_LINKED);
     }
 
-    core.setFailed(
-      `There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'} in pull request #${pullNumber} not linked to work items`
-    );
-    return { workItemToCommitMap, invalidWorkItems: [], hasCommitFailures: true };
+    const failureMessage = `There ${invalidCommits.length === 1 ? 'is' : 'are'} ${invalidCommits.length} commit${invalidCommits.length === 1 ? '' : 's'} in ${validationTarget} not linked to work items`;
+    core.setFailed(failureMessage);
+    return {
+      workItemToCommitMap,
+      invalidWorkItems: [],
+      hasCommitFailures: true,
+      commits: validatedCommits,
+      invalidCommits,
+      linkedWorkItems,
+      failureMessage
+    };
   }
 
   // All commits are valid - check if there's an existing failure comment to update
-  if (commentOnFailure) {
+  if (commentOnFailure && pullNumber) {
     const comments = await octokit.paginate(octokit.rest.issues.listComments, {
       owner,
       repo,
       issue_number: pullNumber
     });
 
-    const existingFailureComment = comments.find(comment => comment.body?.includes(COMMENT_MARKERS.COMMITS_NOT_LINKED));
+    const existingFailureComment = findComment(comments, COMMENT_MARKERS.COMMITS_NOT_LINKED);
 
     if (existingFailureComment) {
       core.info(`Found existing commit failure comment: ${existingFailureComment.id}`);
-      const currentDateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
-      const commentExtra = `\n<details>\n<summary>Workflow run details</summary>\n\n[View workflow run](${context.payload.repository?.html_url}/actions/runs/${context.runId}) - _Last ran: ${currentDateTime} UTC_\n</details>`;
-      const successCommentCombined = `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:white_check_mark: All commits in this pull request are now linked to work items.${commentExtra}`;
-
-      core.info('... attempting to update the commit failure comment to success');
-      await octokit.rest.issues.updateComment({
-        owner,
-        repo,
-        comment_id: existingFailureComment.id,
-        body: successCommentCombined
-      });
-      core.info('... commit failure comment updated to success');
+      const commentExtra = formatRunDetails(context);
+      const successComment =
+        renderCommentTemplate(commentTemplates, 'commits-linked', COMMENT_MARKERS.COMMITS_NOT_LINKED, {
+          pullNumber,
+          runUrl: getRunUrl(context)
+        }) ??
+        `${COMMENT_MARKERS.COMMITS_NOT_LINKED}\n:white_check_mark: All commits in this pull request are now linked to work items.`;
+      const successCommentCombined = successComment + commentExtra;
+
+      await resolveComment(octokit, context, existingFailureComment, successCommentCombined, resolvedCommentBehavior);
     }
   }
 
   // Validate work items exist if enabled
-  if (validateWorkItemExistsFlag && azureDevopsOrganization && azureDevopsToken && allWorkItems.length > 0) {
+  if (
+    validateWorkItemExistsFlag &&
+    (azureDevopsOrganization || azureDevopsUrl) &&
+    azureDevopsToken &&
+    allWorkItems.length > 0
+  ) {
     const uniqueWorkItems = [...new Set(allWorkItems)];
-    const invalidWorkItems = [];
-
-    for (const match of uniqueWorkItems) {
-      const workItemId = match.substring(3); // Remove "AB#" prefix
-      const exists = await validateWorkItemExists(azureDevopsOrganization, azureDevopsToken, workItemId);
-
-      if (!exists) {
-        invalidWorkItems.push(workItemId);
-      }
-    }
+    const invalidWorkItems = await getInvalidWorkItems(uniqueWorkItems, workItemValidation, azureDevops);
 
     // If invalid work items found, return them (don't comment/fail here - let caller handle it)
     if (invalidWorkItems.length > 0) {
-      const errorMessage = `Pull request contains ${invalidWorkItems.length === 1 ? 'an' : ''} invalid work item${invalidWorkItems.length === 1 ? '' : 's'}: ${invalidWorkItems.join(', ')}. ${invalidWorkItems.length === 1 ? 'This work item does' : 'These work items do'} not exist in Azure DevOps -- failing operation.`;
+      const errorMessage = `Pull request contains ${invalidWorkItems.length === 1 ? 'an' : ''} invalid work item${invalidWorkItems.length === 1 ? '' : 's'}: ${invalidWorkItems.map(id => `${id} (${getWorkItemViolations(id, workItemValidation).join('; ')})`).join(', ')} -- failing operation.`;
       core.info('');
       core.info('');
       core.info(errorMessage);
-      return { workItemToCommitMap, invalidWorkItems, hasCommitFailures: false };
+      return {
+        workItemToCommitMap,
+        invalidWorkItems,
+        hasCommitFailures: false,
+        commits: validatedCommits,
+        invalidCommits,
+        linkedWorkItems
+      };
     }
 
     // All commit work items are valid - return empty array
@@ -333,71 +942,186 @@ async function checkCommitsForWorkItems(
   }
 
   // Link work items to PR if enabled (after deduplication)
-  if (linkCommitsToPullRequest && allWorkItems.length > 0) {
+  if (linkCommitsToPullRequest && pullNumber && allWorkItems.length > 0) {
     // Remove duplicates
     const uniqueWorkItems = [...new Set(allWorkItems)];
 
-    for (const match of uniqueWorkItems) {
-      const workItemId = match.substring(3); // Remove "AB#" prefix
+    for (const workItemId of uniqueWorkItems) {
       core.info(`Linking work item ${workItemId} to pull request ${pullNumber}...`);
 
-      // Set environment variables for main.js
-      process.env.REPO_TOKEN = githubToken;
-      process.env.AZURE_DEVOPS_ORG = azureDevopsOrganization;
-      process.env.AZURE_DEVOPS_PAT = azureDevopsToken;
-      process.env.WORKITEMID = workItemId;
-      process.env.PULLREQUESTID = pullNumber.toString();
-      process.env.REPO = `${context.repo.owner}/${context.repo.repo}`;
-      process.env.GITHUB_SERVER_URL = process.env.GITHUB_SERVER_URL || 'https://github.com';
-
-      await linkWorkItem();
+      // Every commit referencing the work item, not only the first one in workItemToCommitMap
+      const referencingCommits = validatedCommits.filter(commit => commit.workItemIds.includes(workItemId));
+      const commitShas = linkCommitsToWorkItems ? referencingCommits.map(commit => commit.sha) : [];
+      const workItemCommentText = workItemComment
+        ? buildWorkItemComment(
+            `${context.serverUrl}/${owner}/${repo}/pull/${pullNumber}`,
+            `${owner}/${repo}`,
+            pullRequest,
+            referencingCommits
+          )
+        : '';
+
+      linkedWorkItems.set(
+        workItemId,
+        await linkPullRequestToWorkItem(context, settings, azureDevops, {
+          pullNumber,
+          workItemId,
+          githubToken,
+          commitShas,
+          workItemComment: workItemCommentText,
+          workItemUpdates
+        })
+      );
     }
   }
 
   // Return the workItemToCommitMap and validation results for use in PR validation
-  return { workItemToCommitMap, invalidWorkItems: [], hasCommitFailures: false };
+  return {
+    workItemToCommitMap,
+    invalidWorkItems: [],
+    hasCommitFailures: false,
+    commits: validatedCommits,
+    invalidCommits,
+    linkedWorkItems
+  };
 }
 
 /**
- * Check pull request title and body for Azure DevOps work item links
+ * Get the commits to validate for the event that triggered the action
+ * - pull requests (and pull-request-number): the commits in the pull request
+ * - merge_group: the commits between the merge group's base and head
+ * - push: the commits between before and after, or the pushed commits for a new branch
  *
  * @param {Object} octokit - GitHub API client
  * @param {Object} context - GitHub Actions context
- * @param {number} pullNumber - Pull request number
- * @param {boolean} commentOnFailure - Whether to comment on PR if validation fails
- * @param {boolean} validateWorkItemExistsFlag - Whether to validate work items exist in Azure DevOps
- * @param {string} azureDevopsOrganization - Azure DevOps organization name
- * @param {string} azureDevopsToken - Azure DevOps PAT token
- * @param {Map} workItemToCommitMap - Map of work item IDs to commit info from checkCommitsForWorkItems
- * @returns {Array} Returns array of invalid work item IDs found in PR title/body
+ * @param {number|undefined} pullNumber - Pull request number
+ * @returns {Promise<Array>} Commits in the shape returned by the pull request commits API
  */
-async function checkPullRequestForWorkItems(
-  octokit,
-  context,
-  pullNumber,
-  commentOnFailure,
-  validateWorkItemExistsFlag,
-  azureDevopsOrganization,
-  azureDevopsToken,
-  workItemToCommitMap
-) {
+async function getCommits(octokit, context, pullNumber) {
   const { owner, repo } = context.repo;
 
-  // Get pull request details
-  const pullRequest = await octokit.rest.pulls.get({
-    owner,
-    repo,
-    pull_number: pullNumber
-  });
+  if (pullNumber) {
+    return await octokit.paginate(octokit.rest.pulls.listCommits, {
+      owner,
+      repo,
+      pull_number: pullNumber
+    });
+  }
+
+  if (context.eventName === 'merge_group') {
+    const { base_sha, head_sha } = context.payload.merge_group;
+    return await compareCommits(octokit, owner, repo, base_sha, head_sha);
+  }
+
+  // push
+  const { before, after } = context.payload;
+  if (before && !/^0+$/.test(before) && after && !/^0+$/.test(after)) {
+    return await compareCommits(octokit, owner, repo, before, after);
+  }
+
+  // A new branch has no previous commit to compare to - use the commits included in the push payload
+  return (context.payload.commits || []).map(commit => ({
+    sha: commit.id,
+    html_url: commit.url,
+    author: { login: commit.author?.username },
+    commit: { message: commit.message, author: { name: commit.author?.name, email: commit.author?.email } }
+  }));
+}
+
+/**
+ * List the commits between two commits with the compare API
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} base - Base commit SHA
+ * @param {string} head - Head commit SHA
+ * @returns {Promise<Array>} Commits reachable from head but not from base
+ */
+async function compareCommits(octokit, owner, repo, base, head) {
+  return await octokit.paginate(
+    octokit.rest.repos.compareCommitsWithBasehead,
+    { owner, repo, basehead: `${base}...${head}` },
+    response => response.data.commits
+  );
+}
+
+/**
+ * Get the branch a merge group targets or a push updates
+ *
+ * @param {Object} context - GitHub Actions context
+ * @returns {string|undefined} Branch name without refs/heads/
+ */
+function getBranch(context) {
+  const ref = context.eventName === 'merge_group' ? context.payload.merge_group?.base_ref : context.ref;
+  return ref?.replace(/^refs\/heads\//, '');
+}
+
+/**
+ * Describe what is being validated, for log and failure messages
+ *
+ * @param {Object} context - GitHub Actions context
+ * @param {number|undefined} pullNumber - Pull request number
+ * @returns {string} e.g. `pull request #42`, `merge group for main` or `push to release/1.0`
+ */
+function getValidationTarget(context, pullNumber) {
+  if (pullNumber) {
+    return `pull request #${pullNumber}`;
+  }
+  if (context.eventName === 'merge_group') {
+    return `merge group for ${context.payload.merge_group?.base_ref?.replace(/^refs\/heads\//, '')}`;
+  }
+  return `push to ${context.ref?.replace(/^refs\/(heads|tags)\//, '')}`;
+}
+
+/**
+ * Get the work items referenced in the pull request title and body
+ * Fetches the pull request so edits made after the triggering event are included
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {number} pullNumber - Pull request number
+ * @param {RegExp[]} workItemPatterns - Patterns used to extract work item IDs
+ * @returns {Promise<string[]>} Unique work item IDs
+ */
+async function getTitleAndBodyWorkItemIds(octokit, context, pullNumber, workItemPatterns) {
+  const { owner, repo } = context.repo;
+  const { data: pullRequest } = await octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber });
+  return extractWorkItemIds(`${pullRequest.body || ''} ${pullRequest.title || ''}`, workItemPatterns);
+}
 
-  const pullBody = pullRequest.data.body || '';
-  const pullTitle = pullRequest.data.title || '';
+/**
+ * Check pull request title and body for Azure DevOps work item links
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} settings - Settings returned by createSettings
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials()
+ * @param {Object} options - Values resolved for this run, see checkCommitsForWorkItems()
+ * @param {number} options.pullNumber - Pull request number
+ * @param {Object} options.commentTemplates - Custom comment templates, see loadCommentTemplates()
+ * @param {RegExp[]} options.workItemPatterns - Patterns used to extract work item IDs
+ * @param {string[]} options.branchWorkItems - Work item IDs in the pull request's branch name, which satisfy the check like the title/body
+ * @param {Object} options.workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @param {Map} workItemToCommitMap - Map of work item IDs to commit info from checkCommitsForWorkItems
+ * @returns {Object} Returns {invalidWorkItems: Array, workItems: Array, failureMessage: string} with the invalid and all work item IDs found in PR title/body and branch name
+ */
+async function checkPullRequestForWorkItems(octokit, context, settings, azureDevops, options, workItemToCommitMap) {
+  const { pullNumber, commentTemplates, workItemPatterns, branchWorkItems, workItemValidation } = options;
+  const { azureDevopsOrganization, azureDevopsUrl, azureDevopsToken } = azureDevops;
+  const commentOnFailure = isCommentPerScenario(settings);
+  const resolvedCommentBehavior = settings.getString('resolved-comment-behavior');
+  const validateWorkItemExistsFlag = settings.getBoolean('validate-work-item-exists');
+  const { owner, repo } = context.repo;
 
-  // Define common comment text patterns
-  const FAILURE_COMMENT_TEXT = ':x: This pull request is not linked to a work item.';
-  const SUCCESS_COMMENT_TEXT = ':white_check_mark: This pull request is now linked to a work item.';
+  const workItems = [
+    ...new Set([
+      ...(await getTitleAndBodyWorkItemIds(octokit, context, pullNumber, workItemPatterns)),
+      ...branchWorkItems
+    ])
+  ];
 
-  if (!AB_PATTERN.test(`${pullTitle} ${pullBody}`)) {
+  if (workItems.length === 0) {
     core.info('PR not linked to a work item');
     core.error(
       `Pull Request not linked to work item(s): The pull request #${pullNumber} is not linked to any work item(s)`
@@ -405,16 +1129,18 @@ async function checkPullRequestForWorkItems(
 
     // Add comment to PR if comment-on-failure is true
     if (commentOnFailure) {
-      await addOrUpdateComment(
-        octokit,
-        context,
-        pullNumber,
-        `${FAILURE_COMMENT_TEXT} Please update the title or body to include a work item and re-run the failed job to continue. Any new commits to the pull request will also re-run the job.`,
-        FAILURE_COMMENT_TEXT
-      );
+      const commentBody =
+        renderCommentTemplate(commentTemplates, 'pull-request-not-linked', COMMENT_MARKERS.PR_NOT_LINKED, {
+          pullNumber,
+          runUrl: getRunUrl(context)
+        }) ??
+        `${COMMENT_MARKERS.PR_NOT_LINKED}\n${LEGACY_PR_NOT_LINKED_TEXT} Please update the title or body to include a work item and re-run the failed job to continue. Any new commits to the pull request will also re-run the job.`;
+      await addOrUpdateComment(octokit, context, pullNumber, commentBody, COMMENT_MARKERS.PR_NOT_LINKED);
     }
 
-    core.setFailed(`The pull request #${pullNumber} is not linked to any work item(s)`);
+    const failureMessage = `The pull request #${pullNumber} is not linked to any work item(s)`;
+    core.setFailed(failureMessage);
+    return { invalidWorkItems: [], workItems, failureMessage };
   } else {
     core.info('PR linked to work item');
 
@@ -425,69 +1151,396 @@ async function checkPullRequestForWorkItems(
       issue_number: pullNumber
     });
 
-    const existingFailureComment = comments.find(comment => comment.body?.includes(FAILURE_COMMENT_TEXT));
+    const existingFailureComment = findComment(comments, COMMENT_MARKERS.PR_NOT_LINKED);
 
     if (existingFailureComment) {
       core.info(`Found existing failure comment: ${existingFailureComment.id}`);
-      const currentDateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
-      const commentExtra = `\n<details>\n<summary>Workflow run details</summary>\n\n[View workflow run](${context.payload.repository?.html_url}/actions/runs/${context.runId}) - _Last ran: ${currentDateTime} UTC_\n</details>`;
-      const successCommentCombined = SUCCESS_COMMENT_TEXT + commentExtra;
-
-      core.info('... attempting to update the PR comment to success');
-      await octokit.rest.issues.updateComment({
-        owner,
-        repo,
-        comment_id: existingFailureComment.id,
-        body: successCommentCombined
-      });
-      core.info('... PR comment updated to success');
+      const commentExtra = formatRunDetails(context);
+      const successComment =
+        renderCommentTemplate(commentTemplates, 'pull-request-linked', COMMENT_MARKERS.PR_NOT_LINKED, {
+          pullNumber,
+          runUrl: getRunUrl(context)
+        }) ?? `${COMMENT_MARKERS.PR_NOT_LINKED}\n:white_check_mark: This pull request is now linked to a work item.`;
+      const successCommentCombined = successComment + commentExtra;
+
+      await resolveComment(octokit, context, existingFailureComment, successCommentCombined, resolvedCommentBehavior);
     }
 
-    // Extract work items from PR body and title and validate they exist
-    const workItems = `${pullBody} ${pullTitle}`.match(AB_PATTERN);
-    if (workItems) {
-      const uniqueWorkItems = [...new Set(workItems)];
-
+    // Validate work items from PR body and title exist
+    if (workItems.length > 0) {
       // Validate work items exist if enabled
-      if (validateWorkItemExistsFlag && azureDevopsOrganization && azureDevopsToken) {
-        const invalidWorkItems = [];
-
-        for (const workItem of uniqueWorkItems) {
-          const workItemNumber = workItem.substring(3); // Remove "AB#" prefix
+      if (validateWorkItemExistsFlag && (azureDevopsOrganization || azureDevopsUrl) && azureDevopsToken) {
+        for (const workItemNumber of workItems) {
           core.info(`PR title/body contains work item: ${workItemNumber}`);
 
           // Add to the workItemToCommitMap to track that this came from PR title/body
           if (!workItemToCommitMap.has(workItemNumber)) {
             workItemToCommitMap.set(workItemNumber, null); // null indicates it's from PR title/body
           }
-
-          const exists = await validateWorkItemExists(azureDevopsOrganization, azureDevopsToken, workItemNumber);
-
-          if (!exists) {
-            invalidWorkItems.push(workItemNumber);
-          }
         }
 
+        const invalidWorkItems = await getInvalidWorkItems(workItems, workItemValidation, azureDevops);
+
         // Return invalid work items if any were found (don't comment/fail here - let caller handle it)
         if (invalidWorkItems.length > 0) {
-          const errorMessage = `Pull request contains ${invalidWorkItems.length === 1 ? 'an' : ''} invalid work item${invalidWorkItems.length === 1 ? '' : 's'}: ${invalidWorkItems.join(', ')}. ${invalidWorkItems.length === 1 ? 'This work item does' : 'These work items do'} not exist in Azure DevOps -- failing operation.`;
+          const errorMessage = `Pull request contains ${invalidWorkItems.length === 1 ? 'an' : ''} invalid work item${invalidWorkItems.length === 1 ? '' : 's'}: ${invalidWorkItems.map(id => `${id} (${getWorkItemViolations(id, workItemValidation).join('; ')})`).join(', ')} -- failing operation.`;
           core.info('');
           core.info('');
           core.info(errorMessage);
-          return invalidWorkItems;
+          return { invalidWorkItems, workItems };
         }
 
         // All work items valid - return empty array
-        return [];
+        return { invalidWorkItems: [], workItems };
       }
 
       // Validation disabled - return empty array
-      return [];
+      return { invalidWorkItems: [], workItems };
+    }
+  }
+
+  return { invalidWorkItems: [], workItems };
+}
+
+/**
+ * Collect the details of each work item for the job summary
+ *
+ * @param {string[]} workItemIds - Work item IDs referenced in commits and the PR title/body
+ * @param {Map} workItemToCommitMap - Map of work item IDs to the commit that first referenced them (null for PR title/body)
+ * @param {string[]} branchWorkItems - Work item IDs in the pull request's branch name
+ * @param {Map<string, string|undefined>} linkedWorkItems - Link status returned by the linker for each work item it attempted
+ * @param {Object} workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @param {string|null} workItemBaseUrl - Azure DevOps organization/collection URL used to link to work items
+ * @param {string} repositoryUrl - GitHub repository URL used to link to commits
+ * @returns {Array} Work items as {id, url, title, state, type, commit, branch, linkStatus, validated, problems}
+ */
+function getSummaryWorkItems(
+  workItemIds,
+  workItemToCommitMap,
+  branchWorkItems,
+  linkedWorkItems,
+  workItemValidation,
+  workItemBaseUrl,
+  repositoryUrl
+) {
+  return workItemIds.map(id => {
+    const commitInfo = workItemToCommitMap.get(id);
+    const workItem = workItemValidation.workItems.get(id);
+    const validated = workItemValidation.workItems.has(id);
+
+    return {
+      id,
+      url: workItemBaseUrl ? `${workItemBaseUrl}/_workitems/edit/${id}` : null,
+      title: workItem?.title,
+      state: workItem?.state,
+      type: workItem?.type,
+      commit: commitInfo ? { shortSha: commitInfo.shortSha, url: `${repositoryUrl}/commit/${commitInfo.sha}` } : null,
+      branch: branchWorkItems.includes(id),
+      // A missing status means the linker was called but failed
+      linkStatus: linkedWorkItems.has(id) ? (linkedWorkItems.get(id) ?? 'failed') : 'not linked',
+      validated,
+      problems: validated ? getWorkItemViolations(id, workItemValidation) : []
+    };
+  });
+}
+
+/**
+ * Wrap the GitHub API client for a dry run
+ * Write operations are logged instead of being sent, read operations are passed through
+ *
+ * @param {Object} octokit - GitHub API client
+ * @returns {Object} GitHub API client that does not write
+ */
+function createDryRunOctokit(octokit) {
+  return {
+    ...octokit,
+    graphql: async (query, variables) => {
+      if (!query.trim().startsWith('mutation')) {
+        return octokit.graphql(query, variables);
+      }
+      core.info(`[dry-run] Would run GraphQL mutation ${JSON.stringify(variables)}:\n${query.trim()}`);
+      return {};
+    },
+    rest: {
+      ...octokit.rest,
+      issues: {
+        ...octokit.rest.issues,
+        createComment: async ({ issue_number, body }) => {
+          core.info(`[dry-run] Would create comment on pull request #${issue_number}:\n${body}`);
+          return { data: {} };
+        },
+        updateComment: async ({ comment_id, body }) => {
+          core.info(`[dry-run] Would update comment ${comment_id}:\n${body}`);
+          return { data: {} };
+        },
+        deleteComment: async ({ comment_id }) => {
+          core.info(`[dry-run] Would delete comment ${comment_id}`);
+          return { data: {} };
+        },
+        addLabels: async ({ issue_number, labels }) => {
+          core.info(`[dry-run] Would add labels ${labels.join(', ')} to pull request #${issue_number}`);
+          return { data: {} };
+        }
+      },
+      reactions: {
+        ...octokit.rest.reactions,
+        createForIssueComment: async ({ comment_id, content }) => {
+          core.info(`[dry-run] Would react with ${content} to comment ${comment_id}`);
+          return { data: {} };
+        }
+      },
+      pulls: {
+        ...octokit.rest.pulls,
+        update: async ({ pull_number, body }) => {
+          core.info(`[dry-run] Would update the body of pull request #${pull_number}:\n${body}`);
+          return { data: {} };
+        }
+      },
+      checks: {
+        ...octokit.rest.checks,
+        create: async ({ name, head_sha, conclusion, output }) => {
+          core.info(
+            `[dry-run] Would create check run "${name}" on ${head_sha} (${conclusion}):\n${JSON.stringify(output)}`
+          );
+          return { data: {} };
+        },
+        update: async ({ output }) => {
+          core.info(`[dry-run] Would update check run:\n${JSON.stringify(output)}`);
+          return { data: {} };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Keep the managed work item block in the pull request body in sync with the work items referenced by commits
+ * Only work items the author hasn't referenced in the title or body are listed, and the block is removed once there are none
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {number} pullNumber - Pull request number
+ * @param {string[]} commitWorkItems - Work item IDs referenced by commits
+ * @param {RegExp[]} workItemPatterns - Patterns used to extract work item IDs
+ */
+async function syncPullRequestBodyWorkItems(octokit, context, pullNumber, commitWorkItems, workItemPatterns) {
+  const { owner, repo } = context.repo;
+
+  try {
+    // Read the current body rather than the event payload, so edits made since the event aren't lost
+    const { data: pullRequest } = await octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber });
+    const body = pullRequest.body || '';
+    const authorWorkItems = extractWorkItemIds(
+      `${pullRequest.title || ''} ${removeWorkItemsBlock(body)}`,
+      workItemPatterns
+    );
+    const updatedBody = updateWorkItemsBlock(
+      body,
+      commitWorkItems.filter(id => !authorWorkItems.includes(id))
+    );
+
+    if (updatedBody === body) {
+      core.info('Pull request body work items are up to date');
+      return;
     }
+
+    core.info('Updating the work items in the pull request body ...');
+    await octokit.rest.pulls.update({ owner, repo, pull_number: pullNumber, body: updatedBody });
+    core.info('... success!');
+  } catch (error) {
+    core.warning(`Unable to update the pull request body: ${error.message}`);
+  }
+}
+
+/**
+ * Update the existing failure comments on an exempt pull request so they no longer show a failure
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {number} pullNumber - Pull request number
+ * @param {string} exemption - Reason the pull request is exempt
+ * @param {Object} commentTemplates - Custom comment templates, see loadCommentTemplates()
+ */
+async function markCommentsExempt(octokit, context, pullNumber, exemption, commentTemplates) {
+  const { owner, repo } = context.repo;
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: pullNumber
+  });
+
+  for (const marker of Object.values(COMMENT_MARKERS)) {
+    const existingComment = findComment(comments, marker);
+    if (!existingComment) {
+      continue;
+    }
+
+    core.info(`Found existing comment: ${existingComment.id}`);
+    const commentExtra = formatRunDetails(context);
+
+    core.info('... attempting to update the comment to exempted');
+    await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existingComment.id,
+      body:
+        (renderCommentTemplate(commentTemplates, 'exempt', marker, {
+          pullNumber,
+          runUrl: getRunUrl(context),
+          reason: exemption
+        }) ??
+          `${marker}\n:heavy_minus_sign: Work item validation is skipped for this pull request because ${exemption}.`) +
+        commentExtra
+    });
+    core.info('... comment updated to exempted');
+  }
+}
+
+/**
+ * Resolve a failure comment once its problem is fixed
+ * - update: replace it with the success message (the default)
+ * - delete: delete it
+ * - minimize: replace it with the success message and collapse it in the timeline as resolved
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} comment - Existing failure comment
+ * @param {string} successBody - Success message, starting with the comment's marker
+ * @param {string} resolvedCommentBehavior - `update`, `delete` or `minimize`
+ */
+async function resolveComment(octokit, context, comment, successBody, resolvedCommentBehavior) {
+  const { owner, repo } = context.repo;
+
+  if (resolvedCommentBehavior === 'delete') {
+    core.info(`... attempting to delete the resolved comment ${comment.id}`);
+    await octokit.rest.issues.deleteComment({ owner, repo, comment_id: comment.id });
+    core.info('... resolved comment deleted');
+    return;
   }
 
-  // PR not linked to any work items - return empty array (this is handled separately)
-  return [];
+  if (resolvedCommentBehavior === 'minimize') {
+    core.info(`... attempting to minimize the resolved comment ${comment.id}`);
+    // The marker is removed so a later failure posts a new, visible comment instead of updating the hidden one
+    await octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: comment.id,
+      body: successBody.replace(COMMENT_MARKER_PATTERN, '')
+    });
+    try {
+      await octokit.graphql(MINIMIZE_COMMENT_MUTATION, { id: comment.node_id });
+      core.info('... resolved comment minimized');
+    } catch (error) {
+      // The success message is already in place, so a comment that can't be minimized is left expanded
+      core.warning(`Unable to minimize comment ${comment.id}: ${error.message}`);
+    }
+    return;
+  }
+
+  core.info(`... attempting to update the comment ${comment.id} to success`);
+  await octokit.rest.issues.updateComment({ owner, repo, comment_id: comment.id, body: successBody });
+  core.info('... comment updated to success');
+}
+
+/**
+ * Resolve every existing comment with one of the markers, see resolveComment()
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {number} pullNumber - Pull request number
+ * @param {string[]} markers - Markers of the comments to resolve, see COMMENT_MARKERS
+ * @param {string} successBody - Success message, starting with a marker
+ * @param {string} resolvedCommentBehavior - `delete` or `minimize`
+ */
+async function resolveExistingComments(octokit, context, pullNumber, markers, successBody, resolvedCommentBehavior) {
+  const { owner, repo } = context.repo;
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: pullNumber
+  });
+
+  const existingComments = [...new Set(markers.map(marker => findComment(comments, marker)).filter(Boolean))];
+  const commentExtra = formatRunDetails(context);
+  for (const comment of existingComments) {
+    core.info(`Found existing comment: ${comment.id}`);
+    await resolveComment(octokit, context, comment, successBody + commentExtra, resolvedCommentBehavior);
+  }
+}
+
+/**
+ * Find the comment the action posted for a validation scenario
+ *
+ * @param {Array} comments - Pull request comments
+ * @param {string} marker - Hidden marker identifying the comment, see COMMENT_MARKERS
+ * @returns {Object|undefined} The existing comment
+ */
+function findComment(comments, marker) {
+  return comments.find(
+    comment =>
+      comment.body?.includes(marker) ||
+      (marker === COMMENT_MARKERS.PR_NOT_LINKED && comment.body?.includes(LEGACY_PR_NOT_LINKED_TEXT))
+  );
+}
+
+/**
+ * Format commits without a work item as a Markdown list
+ *
+ * @param {Object} context - GitHub Actions context
+ * @param {Array} invalidCommits - Commits as {sha, shortSha, message}
+ * @returns {string} One list item per commit with its link and subject
+ */
+function formatCommitList(context, invalidCommits) {
+  return invalidCommits
+    .map(
+      c =>
+        `- [\`${c.shortSha}\`](${context.payload.repository?.html_url}/commit/${c.sha}) - ${c.message.split('\n')[0]}`
+    )
+    .join('\n');
+}
+
+/**
+ * Format invalid work items as a Markdown list
+ *
+ * @param {Object} context - GitHub Actions context
+ * @param {string[]} workItemIds - Invalid work item IDs
+ * @param {Map} workItemToCommitMap - Map of work item IDs to commit info, null for the PR title/body
+ * @param {string[]} branchWorkItems - Work item IDs in the pull request's branch name
+ * @param {Object} workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @returns {string} One list item per work item with where it is referenced and why it is invalid
+ */
+function formatWorkItemList(context, workItemIds, workItemToCommitMap, branchWorkItems, workItemValidation) {
+  return workItemIds
+    .map(id => {
+      const commitInfo = workItemToCommitMap.get(id);
+      const reason = getWorkItemViolations(id, workItemValidation).join('; ');
+      if (commitInfo) {
+        return `- \`AB#${id}\` (commit [\`${commitInfo.shortSha}\`](${context.payload.repository?.html_url}/commit/${commitInfo.sha})) - ${reason}`;
+      }
+      return `- \`AB#${id}\` (in ${branchWorkItems.includes(id) ? 'branch name' : 'PR title/body'}) - ${reason}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Get the URL of the current workflow run
+ *
+ * @param {Object} context - GitHub Actions context
+ * @returns {string} Workflow run URL
+ */
+function getRunUrl(context) {
+  return `${context.payload.repository?.html_url}/actions/runs/${context.runId}`;
+}
+
+/**
+ * Format the workflow run details appended to the comments
+ *
+ * @param {Object} context - GitHub Actions context
+ * @returns {string} Collapsed section with the workflow run link and the time it ran
+ */
+function formatRunDetails(context) {
+  const currentDateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
+  return `\n<details>\n<summary>Workflow run details</summary>\n\n[View workflow run](${getRunUrl(context)}) - _Last ran: ${currentDateTime} UTC_\n</details>`;
 }
 
 /**
@@ -497,12 +1550,21 @@ async function checkPullRequestForWorkItems(
  * @param {Object} context - GitHub Actions context
  * @param {number} pullNumber - Pull request number
  * @param {string} commentBody - Comment body text
- * @param {string} searchText - Text to search for in existing comments
+ * @param {string} marker - Hidden marker identifying the existing comment, see COMMENT_MARKERS
+ * @param {string[]} [mergeMarkers] - Markers of other comments to merge into this one; the first is updated if there is no comment with the marker yet, and the rest are deleted
+ * @param {boolean} [createIfMissing] - Whether to post a new comment if there is none to update
  */
-async function addOrUpdateComment(octokit, context, pullNumber, commentBody, searchText) {
+async function addOrUpdateComment(
+  octokit,
+  context,
+  pullNumber,
+  commentBody,
+  marker,
+  mergeMarkers = [],
+  createIfMissing = true
+) {
   const { owner, repo } = context.repo;
-  const currentDateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
-  const commentExtra = `\n<details>\n<summary>Workflow run details</summary>\n\n[View workflow run](${context.payload.repository?.html_url}/actions/runs/${context.runId}) - _Last ran: ${currentDateTime} UTC_\n</details>`;
+  const commentExtra = formatRunDetails(context);
   const commentCombined = commentBody + commentExtra;
 
   try {
@@ -513,8 +1575,11 @@ async function addOrUpdateComment(octokit, context, pullNumber, commentBody, sea
       issue_number: pullNumber
     });
 
-    // Find existing comment
-    const existingComment = comments.find(comment => comment.body?.includes(searchText));
+    // Find existing comment, or the first comment to merge into it
+    const mergeComments = [
+      ...new Set(mergeMarkers.map(mergeMarker => findComment(comments, mergeMarker)).filter(Boolean))
+    ];
+    const existingComment = findComment(comments, marker) ?? mergeComments.shift();
 
     if (existingComment) {
       core.info(`Comment already exists: ${existingComment.id}`);
@@ -526,7 +1591,7 @@ async function addOrUpdateComment(octokit, context, pullNumber, commentBody, sea
         body: commentCombined
       });
       core.info('... PR comment updated');
-    } else {
+    } else if (createIfMissing) {
       core.info('Comment does not exist. Posting a new comment.');
       await octokit.rest.issues.createComment({
         owner,
@@ -535,6 +1600,11 @@ async function addOrUpdateComment(octokit, context, pullNumber, commentBody, sea
         body: commentCombined
       });
     }
+
+    for (const mergeComment of mergeComments.filter(comment => comment.id !== existingComment.id)) {
+      core.info(`Deleting comment ${mergeComment.id}, it is merged into comment ${existingComment.id}`);
+      await octokit.rest.issues.deleteComment({ owner, repo, comment_id: mergeComment.id });
+    }
   } catch (error) {
     if (error.status === 403 && error.message.includes('Resource not accessible by integration')) {
       core.setFailed(
@@ -10,33 +10,149 @@
 
 import * as core from '@actions/core';
 import * as azdev from 'azure-devops-node-api';
-import { WorkItemExpand } from 'azure-devops-node-api/interfaces/WorkItemTrackingInterfaces.js';
+import { WorkItemErrorPolicy, WorkItemExpand } from 'azure-devops-node-api/interfaces/WorkItemTrackingInterfaces.js';
+import { findWorkItemComment } from './work-item-comment.js';
 
 const relArtifactLink = 'ArtifactLink';
 const relNameGitHubPr = 'GitHub Pull Request';
+const relNameGitHubCommit = 'GitHub Commit';
 const msGitHubLinkDataProviderLink = 'ms.vss-work-web.github-link-data-provider';
-const dataProviderUrlBase = `https://dev.azure.com/%DEVOPS_ORG%/_apis/Contribution/dataProviders/query?api-version=7.1-preview.1`;
+const dataProviderPath = '/_apis/Contribution/dataProviders/query?api-version=7.1-preview.1';
+
+/** Maximum number of work items the workitemsbatch API accepts per request */
+const workItemsBatchSize = 200;
+/** Work item fields retrieved when validating work items */
+const workItemFields = ['System.Id', 'System.Title', 'System.State', 'System.WorkItemType', 'System.TeamProject'];
+
+/**
+ * Get the base URL of the Azure DevOps organization or collection
+ *
+ * @param {string} devOpsOrg - Azure DevOps organization name
+ * @param {string} [collectionUrl] - Azure DevOps Server or custom collection URL (e.g. https://myserver/tfs/DefaultCollection)
+ * @returns {string} - Collection URL without a trailing slash, defaulting to https://dev.azure.com/{devOpsOrg}
+ */
+export function getOrganizationUrl(devOpsOrg, collectionUrl) {
+  if (collectionUrl) {
+    return collectionUrl.replace(/\/+$/, '');
+  }
+  return `https://dev.azure.com/${devOpsOrg}`;
+}
+
+/**
+ * Get the URL of the contribution data provider query API for an organization or collection
+ *
+ * @param {string} orgUrl - Organization or collection URL, see getOrganizationUrl()
+ * @returns {string} - Data provider query URL
+ */
+function getDataProviderUrl(orgUrl) {
+  return `${orgUrl}${dataProviderPath}`;
+}
+
+/**
+ * Create the Azure DevOps API authentication handler for the token
+ *
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @returns {Object} - Request handler for azure-devops-node-api
+ */
+function getAuthHandler(azToken, tokenType) {
+  if (tokenType === 'bearer') {
+    return azdev.getBearerHandler(azToken);
+  }
+  return azdev.getPersonalAccessTokenHandler(azToken);
+}
+
+/**
+ * Build the Authorization header value for direct Azure DevOps REST calls
+ *
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @returns {string} - Authorization header value
+ */
+function getAuthorizationHeader(azToken, tokenType) {
+  if (tokenType === 'bearer') {
+    return `Bearer ${azToken}`;
+  }
+  return `Basic ${Buffer.from(`:${azToken}`).toString('base64')}`;
+}
+
+/**
+ * Resolve the internal ID Azure DevOps uses for the GitHub repository of a pull request
+ * Uses the (undocumented) GitHub link contribution data provider
+ *
+ * @param {string} dataProviderUrl - Data provider query URL, see getDataProviderUrl()
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @param {string} [workItemId] - Work item the pull request is being linked to
+ * @param {string} pullRequestUrl - GitHub pull request URL
+ * @returns {Promise<string|null>} - Internal repo ID, or null if it couldn't be resolved
+ * @throws {Error} If the token is not authorized
+ */
+async function getInternalRepoId(dataProviderUrl, azToken, tokenType, workItemId, pullRequestUrl) {
+  const dataProviderResponse = await fetch(dataProviderUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: getAuthorizationHeader(azToken, tokenType),
+      Accept: 'application/json'
+    },
+    body: JSON.stringify({
+      context: {
+        properties: {
+          workItemId: workItemId,
+          urls: [pullRequestUrl]
+        }
+      },
+      contributionIds: [msGitHubLinkDataProviderLink]
+    })
+  });
+
+  if (dataProviderResponse.status === 401) {
+    throw new Error(
+      tokenType === 'bearer'
+        ? 'Missing authorization (Linking PRs to cards requires the identity to have access to the Azure DevOps organization and write access to work items).'
+        : 'Missing authorization (Linking PRs to cards requires full access for the PAT).'
+    );
+  }
+
+  const responseData = await dataProviderResponse.json();
+  return responseData.data[msGitHubLinkDataProviderLink]?.resolvedLinkItems?.[0]?.repoInternalId ?? null;
+}
 
 /**
  * Link a GitHub Pull Request to an Azure DevOps work item
  * Reads configuration from environment variables set by index.js
+ * If COMMITSHAS is set, each of those commits is also linked to the work item as a GitHub Commit
+ * If WORK_ITEM_COMMENT is set, it is posted in the work item discussion (or updates the comment posted by a previous run)
+ * WORK_ITEM_TAGS (`;`-separated) and WORK_ITEM_FIELDS (JSON) are set in the same update that adds the pull request link
+ *
+ * @returns {Promise<string|undefined>} - `linked` if the link was created, `already linked` if it already existed,
+ * `dry run` if DRY_RUN is set and the link was only logged, or undefined if linking failed
  */
 export async function run() {
   let hasError = false;
+  let linkStatus;
   try {
     const devOpsOrg = process.env.AZURE_DEVOPS_ORG;
+    const orgUrl = getOrganizationUrl(devOpsOrg, process.env.AZURE_DEVOPS_URL);
     const azToken = process.env.AZURE_DEVOPS_PAT;
+    const tokenType = process.env.AZURE_DEVOPS_TOKEN_TYPE;
     const workItemId = process.env.WORKITEMID;
     const githubHostname = process.env.GITHUB_SERVER_URL;
     const prRequestId = process.env.PULLREQUESTID;
-    const dataProviderUrl = dataProviderUrlBase.replace('%DEVOPS_ORG%', devOpsOrg);
+    const dataProviderUrl = getDataProviderUrl(orgUrl);
     const repo = process.env.REPO;
+    const dryRun = process.env.DRY_RUN === 'true';
+    const commitShas = (process.env.COMMITSHAS || '').split(',').filter(commitSha => commitSha.length > 0);
+    const workItemComment = process.env.WORK_ITEM_COMMENT || '';
+    const tagsToAdd = (process.env.WORK_ITEM_TAGS || '').split(';').filter(tag => tag.length > 0);
+    const fieldUpdates = JSON.parse(process.env.WORK_ITEM_FIELDS || '{}');
+    const pullRequestUrl = `${githubHostname}/${repo}/pull/${prRequestId}`;
 
     core.info('Initialize dev ops connection ...');
     let azWorkApi;
     try {
-      const orgUrl = `https://dev.azure.com/${devOpsOrg}`;
-      const authHandler = azdev.getPersonalAccessTokenHandler(azToken);
+      const authHandler = getAuthHandler(azToken, tokenType);
       const azWebApi = new azdev.WebApi(orgUrl, authHandler);
       azWorkApi = await azWebApi.getWorkItemTrackingApi();
     } catch (exception) {
@@ -49,31 +165,7 @@ export async function run() {
     hasError = false;
     core.info('Retrieving internalRepoId ...');
     try {
-      const dataProviderResponse = await fetch(dataProviderUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Basic ${Buffer.from(`:${azToken}`).toString('base64')}`,
-          Accept: 'application/json'
-        },
-        body: JSON.stringify({
-          context: {
-            properties: {
-              workItemId: workItemId,
-              urls: [`${githubHostname}/${repo}/pull/${prRequestId}`]
-            }
-          },
-          contributionIds: [msGitHubLinkDataProviderLink]
-        })
-      });
-
-      if (dataProviderResponse.status === 401) {
-        throw new Error('Missing authorization (Linking PRs to cards requires full access for the PAT).');
-      }
-
-      const responseData = await dataProviderResponse.json();
-      const internalRepoId =
-        responseData.data[msGitHubLinkDataProviderLink]?.resolvedLinkItems?.[0]?.repoInternalId ?? null;
+      const internalRepoId = await getInternalRepoId(dataProviderUrl, azToken, tokenType, workItemId, pullRequestUrl);
 
       core.info(internalRepoId);
       core.info('... success!');
@@ -82,40 +174,52 @@ export async function run() {
         throw new Error(`Internal repo url couldn't be resolved.`);
       }
 
-      const artifactUrl = `vstfs:///GitHub/PullRequest/${internalRepoId}%2F${prRequestId}`;
-      try {
-        core.info('trying to create the pull request link ...');
-        await azWorkApi.updateWorkItem(
-          {},
-          [
-            {
-              op: 'add',
-              path: '/relations/-',
-              value: {
-                rel: relArtifactLink,
-                url: artifactUrl,
-                attributes: {
-                  name: relNameGitHubPr,
-                  comment: `Pull Request ${prRequestId}`
-                }
-              }
-            }
-          ],
+      const addPullRequestLink = async () =>
+        addArtifactLink(
+          azWorkApi,
           workItemId,
-          undefined,
-          undefined,
-          undefined,
-          undefined,
-          WorkItemExpand.Relations
+          `vstfs:///GitHub/PullRequest/${internalRepoId}%2F${prRequestId}`,
+          relNameGitHubPr,
+          `Pull Request ${prRequestId}`,
+          dryRun,
+          await getFieldOperations(azWorkApi, workItemId, tagsToAdd, fieldUpdates)
         );
-        core.info('... success!');
+
+      core.info('trying to create the pull request link ...');
+      try {
+        linkStatus = await addPullRequestLink();
       } catch (exception) {
-        const errorMessage = exception.toString();
-        if (-1 !== errorMessage.indexOf('already exists')) {
-          core.info('... (already exists) ...');
-        } else {
+        if (!isRevisionConflict(exception)) {
           throw exception;
         }
+        // The work item changed after its tags and fields were read - read them again so the other change is kept
+        core.info(`... work item ${workItemId} was changed in the meantime, retrying ...`);
+        linkStatus = await addPullRequestLink();
+      }
+
+      for (const commitSha of commitShas) {
+        core.info(`trying to create the commit link for ${commitSha} ...`);
+        try {
+          await addArtifactLink(
+            azWorkApi,
+            workItemId,
+            `vstfs:///GitHub/Commit/${internalRepoId}%2F${commitSha}`,
+            relNameGitHubCommit,
+            `Commit ${commitSha.substring(0, 7)}`,
+            dryRun
+          );
+        } catch (error) {
+          // The pull request link is already in place, so it is still reported as linked
+          core.warning(`... failed to link commit ${commitSha} to work item ${workItemId}: ${error.message}`);
+        }
+      }
+
+      if (workItemComment) {
+        try {
+          await postWorkItemComment(azWorkApi, workItemId, pullRequestUrl, workItemComment, dryRun);
+        } catch (error) {
+          core.warning(`... failed to comment on work item ${workItemId}: ${error.message}`);
+        }
       }
     } catch (exception) {
       hasError = true;
@@ -127,6 +231,7 @@ export async function run() {
     if (!hasError) {
       core.info('... process complete!');
     }
+    return linkStatus;
   } catch (error) {
     core.error(error);
     core.setFailed(`Unknown error: ${error}`);
@@ -135,33 +240,465 @@ export async function run() {
 }
 
 /**
- * Validate that a work item exists in Azure DevOps
+ * Build the JSON patch operations that add tags and set fields on a work item
+ * Only values that differ from the work item's current values are included, and new tags are
+ * appended to the existing ones, since setting System.Tags replaces every tag. The operations
+ * start with a test of the revision that was read, so the update fails instead of overwriting
+ * a change made in the meantime
+ *
+ * @param {Object} azWorkApi - Azure DevOps work item tracking API
+ * @param {string} workItemId - Work item ID to update
+ * @param {string[]} tagsToAdd - Tags to add to the work item
+ * @param {Object} fieldUpdates - Mapping of field reference name to value
+ * @returns {Promise<Object[]>} - JSON patch operations (empty if there is nothing to change)
+ */
+async function getFieldOperations(azWorkApi, workItemId, tagsToAdd, fieldUpdates) {
+  const fieldNames = Object.keys(fieldUpdates);
+  if (tagsToAdd.length === 0 && fieldNames.length === 0) {
+    return [];
+  }
+
+  const workItem = await azWorkApi.getWorkItem(parseInt(workItemId), [
+    ...fieldNames,
+    ...(tagsToAdd.length > 0 ? ['System.Tags'] : [])
+  ]);
+  const fields = workItem?.fields ?? {};
+
+  const operations = fieldNames
+    .filter(fieldName => String(fields[fieldName] ?? '') !== fieldUpdates[fieldName])
+    .map(fieldName => ({ op: 'add', path: `/fields/${fieldName}`, value: fieldUpdates[fieldName] }));
+
+  const existingTags = String(fields['System.Tags'] ?? '')
+    .split(';')
+    .map(tag => tag.trim())
+    .filter(tag => tag.length > 0);
+  const newTags = tagsToAdd.filter(
+    tag => !existingTags.some(existingTag => existingTag.toLowerCase() === tag.toLowerCase())
+  );
+  if (newTags.length > 0) {
+    operations.push({ op: 'add', path: '/fields/System.Tags', value: [...existingTags, ...newTags].join('; ') });
+  }
+  return operations.length > 0 ? [{ op: 'test', path: '/rev', value: workItem?.rev }, ...operations] : [];
+}
+
+/**
+ * Check whether a work item update failed because the work item changed since it was read
+ *
+ * @param {Error} exception - Error thrown by the work item tracking API
+ * @returns {boolean} - Whether the revision test failed
+ */
+function isRevisionConflict(exception) {
+  return exception?.statusCode === 409 || exception?.statusCode === 412;
+}
+
+/**
+ * Add a GitHub artifact link (pull request or commit) to an Azure DevOps work item
+ *
+ * @param {Object} azWorkApi - Azure DevOps work item tracking API
+ * @param {string} workItemId - Work item ID to update
+ * @param {string} artifactUrl - vstfs:/// URL of the GitHub artifact
+ * @param {string} name - Relation name (`GitHub Pull Request` or `GitHub Commit`)
+ * @param {string} comment - Relation comment
+ * @param {boolean} dryRun - Whether to only log the update instead of sending it
+ * @param {Object[]} [fieldOperations] - Field operations sent in the same update, see getFieldOperations()
+ * @returns {Promise<string>} - `linked`, `already linked` or `dry run`
+ */
+async function addArtifactLink(azWorkApi, workItemId, artifactUrl, name, comment, dryRun, fieldOperations = []) {
+  // The field operations go first, as they start with the revision test
+  const patchDocument = [
+    ...fieldOperations,
+    {
+      op: 'add',
+      path: '/relations/-',
+      value: {
+        rel: relArtifactLink,
+        url: artifactUrl,
+        attributes: {
+          name,
+          comment
+        }
+      }
+    }
+  ];
+
+  if (dryRun) {
+    core.info(`[dry-run] Would update work item ${workItemId} with: ${JSON.stringify(patchDocument)}`);
+    return 'dry run';
+  }
+
+  try {
+    await azWorkApi.updateWorkItem(
+      {},
+      patchDocument,
+      workItemId,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      WorkItemExpand.Relations
+    );
+    core.info('... success!');
+    return 'linked';
+  } catch (exception) {
+    const errorMessage = exception.toString();
+    if (-1 !== errorMessage.indexOf('already exists')) {
+      core.info('... (already exists) ...');
+      // The failed update didn't apply the field operations either
+      if (fieldOperations.length > 0) {
+        core.info(`updating the fields of work item ${workItemId} ...`);
+        await azWorkApi.updateWorkItem({}, fieldOperations, workItemId);
+        core.info('... success!');
+      }
+      return 'already linked';
+    }
+    throw exception;
+  }
+}
+
+/**
+ * Post a comment in the discussion of a work item, or update the comment posted for the pull request by a previous run
+ *
+ * @param {Object} azWorkApi - Azure DevOps work item tracking API
+ * @param {string} workItemId - Work item ID to comment on
+ * @param {string} pullRequestUrl - GitHub pull request URL, see findWorkItemComment()
+ * @param {string} text - Comment HTML, see buildWorkItemComment()
+ * @param {boolean} dryRun - Whether to only log the comment instead of posting it
+ * @returns {Promise<void>}
+ */
+async function postWorkItemComment(azWorkApi, workItemId, pullRequestUrl, text, dryRun) {
+  const id = parseInt(workItemId);
+  // The comments API is scoped to the work item's project
+  const workItem = await azWorkApi.getWorkItem(id, ['System.TeamProject']);
+  const project = workItem?.fields?.['System.TeamProject'];
+
+  const comments = [];
+  let continuationToken;
+  do {
+    const commentList = await azWorkApi.getComments(project, id, undefined, continuationToken);
+    comments.push(...(commentList?.comments ?? []));
+    continuationToken = commentList?.continuationToken;
+  } while (continuationToken);
+
+  const existingComment = findWorkItemComment(comments, pullRequestUrl);
+  if (existingComment?.text === text) {
+    core.info(`... comment ${existingComment.id} on work item ${workItemId} is up to date`);
+    return;
+  }
+
+  if (dryRun) {
+    core.info(
+      existingComment
+        ? `[dry-run] Would update comment ${existingComment.id} on work item ${workItemId} with: ${text}`
+        : `[dry-run] Would comment on work item ${workItemId} with: ${text}`
+    );
+    return;
+  }
+
+  if (existingComment) {
+    core.info(`updating comment ${existingComment.id} on work item ${workItemId} ...`);
+    await azWorkApi.updateComment({ text }, project, id, existingComment.id);
+  } else {
+    core.info(`commenting on work item ${workItemId} ...`);
+    await azWorkApi.addComment({ text }, project, id);
+  }
+  core.info('... success!');
+}
+
+/**
+ * Retrieve multiple work items from Azure DevOps
+ * Uses a single connection and the workitemsbatch API, requesting up to 200 work items per call
  *
  * @param {string} devOpsOrg - Azure DevOps organization name
- * @param {string} azToken - Azure DevOps PAT token
- * @param {string} workItemId - Work item ID to validate
- * @returns {Promise<boolean>} - True if work item exists, false otherwise
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string[]} workItemIds - Work item IDs to retrieve (duplicates are ignored)
+ * @param {string} [collectionUrl] - Azure DevOps Server collection URL, overrides the dev.azure.com organization URL
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @returns {Promise<Map<string, Object|null>>} - Map of work item ID to {id, title, state, type, project}, or null if the work item does not exist
  */
-export async function validateWorkItemExists(devOpsOrg, azToken, workItemId) {
+export async function getWorkItems(devOpsOrg, azToken, workItemIds, collectionUrl, tokenType) {
+  const uniqueWorkItemIds = [...new Set(workItemIds.map(String))];
+  const results = new Map();
+
+  if (uniqueWorkItemIds.length === 0) {
+    return results;
+  }
+
+  core.info(`Retrieving ${uniqueWorkItemIds.length} work item(s)...`);
+
+  let azWorkApi;
   try {
-    core.info(`Validating work item ${workItemId} exists...`);
-    const orgUrl = `https://dev.azure.com/${devOpsOrg}`;
-    const authHandler = azdev.getPersonalAccessTokenHandler(azToken);
+    const orgUrl = getOrganizationUrl(devOpsOrg, collectionUrl);
+    const authHandler = getAuthHandler(azToken, tokenType);
     const azWebApi = new azdev.WebApi(orgUrl, authHandler);
-    const azWorkApi = await azWebApi.getWorkItemTrackingApi();
+    azWorkApi = await azWebApi.getWorkItemTrackingApi();
+  } catch (error) {
+    core.warning(`... failed to connect to Azure DevOps: ${error.message}`);
+    for (const workItemId of uniqueWorkItemIds) {
+      results.set(workItemId, null);
+    }
+    return results;
+  }
 
-    const workItem = await azWorkApi.getWorkItem(parseInt(workItemId));
+  for (let i = 0; i < uniqueWorkItemIds.length; i += workItemsBatchSize) {
+    const batch = uniqueWorkItemIds.slice(i, i + workItemsBatchSize);
+    const foundWorkItems = new Map();
 
-    if (workItem && workItem.id) {
-      core.info(`... work item ${workItemId} exists`);
-      return true;
+    try {
+      // Omit policy returns the work items that exist instead of failing the whole batch
+      const workItems = await azWorkApi.getWorkItemsBatch({
+        ids: batch.map(workItemId => parseInt(workItemId)),
+        fields: workItemFields,
+        errorPolicy: WorkItemErrorPolicy.Omit
+      });
+      for (const workItem of workItems || []) {
+        if (workItem?.id) {
+          foundWorkItems.set(workItem.id, workItem);
+        }
+      }
+    } catch (error) {
+      // Treat a failed batch the same as missing work items
+      core.warning(`... failed to retrieve work items ${batch.join(', ')}: ${error.message}`);
     }
 
-    core.warning(`... work item ${workItemId} not found`);
-    return false;
+    for (const workItemId of batch) {
+      const workItem = foundWorkItems.get(parseInt(workItemId));
+
+      if (workItem) {
+        core.info(`... work item ${workItemId} exists`);
+        results.set(workItemId, {
+          id: workItemId,
+          title: workItem.fields?.['System.Title'] ?? '',
+          state: workItem.fields?.['System.State'] ?? '',
+          type: workItem.fields?.['System.WorkItemType'] ?? '',
+          project: workItem.fields?.['System.TeamProject'] ?? ''
+        });
+      } else {
+        core.warning(`... work item ${workItemId} not found`);
+        results.set(workItemId, null);
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Move work items to new states
+ * A work item that can't be moved (e.g. the state isn't valid for its type) is logged as a warning and skipped
+ *
+ * @param {string} devOpsOrg - Azure DevOps organization name
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {Map<string, string>} workItemStates - Map of work item ID to the state to move it to
+ * @param {string} [collectionUrl] - Azure DevOps Server collection URL, overrides the dev.azure.com organization URL
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @param {boolean} [dryRun] - Whether to only log the updates instead of sending them
+ * @returns {Promise<string[]>} - IDs of the work items moved to their new state (or that would be, in a dry run)
+ */
+export async function updateWorkItemStates(devOpsOrg, azToken, workItemStates, collectionUrl, tokenType, dryRun) {
+  let azWorkApi;
+  try {
+    const orgUrl = getOrganizationUrl(devOpsOrg, collectionUrl);
+    const authHandler = getAuthHandler(azToken, tokenType);
+    const azWebApi = new azdev.WebApi(orgUrl, authHandler);
+    azWorkApi = await azWebApi.getWorkItemTrackingApi();
   } catch (error) {
-    // 404 or other errors mean work item doesn't exist
-    core.warning(`... work item ${workItemId} not found: ${error.message}`);
+    core.warning(`... failed to connect to Azure DevOps: ${error.message}`);
+    return [];
+  }
+
+  const updated = [];
+  for (const [workItemId, state] of workItemStates) {
+    const patchDocument = [{ op: 'add', path: '/fields/System.State', value: state }];
+
+    if (dryRun) {
+      core.info(`[dry-run] Would update work item ${workItemId} with: ${JSON.stringify(patchDocument)}`);
+      updated.push(workItemId);
+      continue;
+    }
+
+    try {
+      core.info(`moving work item ${workItemId} to ${state} ...`);
+      await azWorkApi.updateWorkItem({}, patchDocument, parseInt(workItemId));
+      core.info('... success!');
+      updated.push(workItemId);
+    } catch (error) {
+      core.warning(`... failed to move work item ${workItemId} to ${state}: ${error.message}`);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Connect to Azure DevOps and resolve the artifact URL Azure DevOps uses for a GitHub pull request
+ *
+ * @param {string} devOpsOrg - Azure DevOps organization name
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} pullRequestUrl - GitHub pull request URL
+ * @param {number} pullNumber - Pull request number
+ * @param {string} [collectionUrl] - Azure DevOps Server collection URL, overrides the dev.azure.com organization URL
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @returns {Promise<Object>} - {azWorkApi, artifactUrl}
+ * @throws {Error} If the connection fails or the internal repo ID can't be resolved
+ */
+async function getPullRequestArtifact(devOpsOrg, azToken, pullRequestUrl, pullNumber, collectionUrl, tokenType) {
+  const orgUrl = getOrganizationUrl(devOpsOrg, collectionUrl);
+  const authHandler = getAuthHandler(azToken, tokenType);
+  const azWebApi = new azdev.WebApi(orgUrl, authHandler);
+  const azWorkApi = await azWebApi.getWorkItemTrackingApi();
+
+  const internalRepoId = await getInternalRepoId(
+    getDataProviderUrl(orgUrl),
+    azToken,
+    tokenType,
+    undefined,
+    pullRequestUrl
+  );
+  if (!internalRepoId) {
+    throw new Error(`Internal repo url couldn't be resolved.`);
+  }
+  return { azWorkApi, artifactUrl: `vstfs:///GitHub/PullRequest/${internalRepoId}%2F${pullNumber}` };
+}
+
+/**
+ * Remove a GitHub artifact link from an Azure DevOps work item
+ *
+ * @param {Object} azWorkApi - Azure DevOps work item tracking API
+ * @param {string} workItemId - Work item ID to update
+ * @param {string} artifactUrl - vstfs:/// URL of the GitHub artifact
+ * @param {boolean} dryRun - Whether to only log the update instead of sending it
+ * @returns {Promise<boolean>} - Whether the work item had the link
+ */
+async function removeArtifactLink(azWorkApi, workItemId, artifactUrl, dryRun) {
+  const workItem = await azWorkApi.getWorkItem(parseInt(workItemId), undefined, undefined, WorkItemExpand.Relations);
+  // Azure DevOps may return the artifact URL with a lowercase %2f
+  const relationIndex = (workItem?.relations ?? []).findIndex(
+    relation => relation.url?.toLowerCase() === artifactUrl.toLowerCase()
+  );
+  if (relationIndex === -1) {
     return false;
   }
+
+  // Test the revision so a concurrent edit can't shift the relation index
+  const patchDocument = [
+    { op: 'test', path: '/rev', value: workItem.rev },
+    { op: 'remove', path: `/relations/${relationIndex}` }
+  ];
+
+  if (dryRun) {
+    core.info(`[dry-run] Would update work item ${workItemId} with: ${JSON.stringify(patchDocument)}`);
+  } else {
+    core.info(`removing the pull request link from work item ${workItemId} ...`);
+    await azWorkApi.updateWorkItem({}, patchDocument, parseInt(workItemId));
+    core.info('... success!');
+  }
+  return true;
+}
+
+/**
+ * Remove the pull request link from one work item
+ *
+ * @param {string} devOpsOrg - Azure DevOps organization name
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} pullRequestUrl - GitHub pull request URL
+ * @param {number} pullNumber - Pull request number
+ * @param {string} workItemId - Work item ID to remove the link from
+ * @param {string} [collectionUrl] - Azure DevOps Server collection URL, overrides the dev.azure.com organization URL
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @param {boolean} [dryRun] - Whether to only log the removal instead of sending it
+ * @returns {Promise<boolean>} - Whether the work item was linked to the pull request
+ * @throws {Error} If Azure DevOps can't be reached or the work item can't be updated
+ */
+export async function removePullRequestLink(
+  devOpsOrg,
+  azToken,
+  pullRequestUrl,
+  pullNumber,
+  workItemId,
+  collectionUrl,
+  tokenType,
+  dryRun
+) {
+  core.info(`Removing the link to pull request ${pullNumber} from work item ${workItemId}...`);
+  const { azWorkApi, artifactUrl } = await getPullRequestArtifact(
+    devOpsOrg,
+    azToken,
+    pullRequestUrl,
+    pullNumber,
+    collectionUrl,
+    tokenType
+  );
+  return removeArtifactLink(azWorkApi, workItemId, artifactUrl, dryRun);
+}
+
+/**
+ * Remove the pull request link from work items that are no longer referenced by the pull request
+ * Finds the work items carrying the pull request's artifact link with the artifact URI query API
+ *
+ * @param {string} devOpsOrg - Azure DevOps organization name
+ * @param {string} azToken - Azure DevOps PAT or Microsoft Entra ID access token
+ * @param {string} pullRequestUrl - GitHub pull request URL
+ * @param {number} pullNumber - Pull request number
+ * @param {string[]} referencedWorkItemIds - Work item IDs the pull request currently references
+ * @param {string} [collectionUrl] - Azure DevOps Server collection URL, overrides the dev.azure.com organization URL
+ * @param {string} [tokenType] - `bearer` for Microsoft Entra ID access tokens, otherwise the token is a PAT
+ * @param {boolean} [dryRun] - Whether to only log the removals instead of sending them
+ * @returns {Promise<string[]>} - IDs of the work items the link was removed from (or would be, in a dry run)
+ */
+export async function removeStalePullRequestLinks(
+  devOpsOrg,
+  azToken,
+  pullRequestUrl,
+  pullNumber,
+  referencedWorkItemIds,
+  collectionUrl,
+  tokenType,
+  dryRun
+) {
+  const removedWorkItemIds = [];
+  const referenced = new Set(referencedWorkItemIds.map(String));
+
+  core.info(`Looking for work items no longer referenced by pull request ${pullNumber}...`);
+
+  let azWorkApi;
+  let artifactUrl;
+  try {
+    ({ azWorkApi, artifactUrl } = await getPullRequestArtifact(
+      devOpsOrg,
+      azToken,
+      pullRequestUrl,
+      pullNumber,
+      collectionUrl,
+      tokenType
+    ));
+  } catch (error) {
+    core.warning(`... unable to look up the pull request links: ${error.message}`);
+    return removedWorkItemIds;
+  }
+
+  let linkedWorkItemIds;
+  try {
+    const queryResult = await azWorkApi.queryWorkItemsForArtifactUris({ artifactUris: [artifactUrl] });
+    linkedWorkItemIds = Object.values(queryResult?.artifactUrisQueryResult ?? {})
+      .flat()
+      .map(workItem => String(workItem.id));
+  } catch (error) {
+    core.warning(`... unable to find the work items linked to pull request ${pullNumber}: ${error.message}`);
+    return removedWorkItemIds;
+  }
+
+  for (const workItemId of new Set(linkedWorkItemIds)) {
+    if (referenced.has(workItemId)) {
+      continue;
+    }
+
+    try {
+      if (await removeArtifactLink(azWorkApi, workItemId, artifactUrl, dryRun)) {
+        removedWorkItemIds.push(workItemId);
+      }
+    } catch (error) {
+      core.warning(`... failed to remove the pull request link from work item ${workItemId}: ${error.message}`);
+    }
+  }
+
+  return removedWorkItemIds;
 }
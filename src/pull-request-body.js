@@ -0,0 +1,57 @@
+/**
+ * Pull Request Body Work Item Block
+ *
+ * Maintains a block between hidden markers at the end of the pull request body
+ * listing the work items referenced by commits, so Azure DevOps links them from
+ * the pull request description. The author's text outside the block is never changed.
+ *
+ * @module pull-request-body
+ */
+
+/** Hidden marker at the start of the managed block */
+export const WORK_ITEMS_BLOCK_START = '<!-- AZDO-VALIDATOR: WORK-ITEMS-START -->';
+
+/** Hidden marker at the end of the managed block */
+export const WORK_ITEMS_BLOCK_END = '<!-- AZDO-VALIDATOR: WORK-ITEMS-END -->';
+
+/** Matches the managed block, including the blank lines separating it from the author's text */
+const WORK_ITEMS_BLOCK_PATTERN = new RegExp(`\\s*${WORK_ITEMS_BLOCK_START}[\\s\\S]*?${WORK_ITEMS_BLOCK_END}`);
+
+/**
+ * Remove the managed block, leaving only the author's text
+ *
+ * @param {string} body - Pull request body
+ * @returns {string} Pull request body without the managed block
+ */
+export function removeWorkItemsBlock(body) {
+  return (body || '').replace(WORK_ITEMS_BLOCK_PATTERN, '');
+}
+
+/**
+ * Set the work items listed in the managed block
+ * The block is replaced where it is (or appended if there is none yet), and removed if there are no work items
+ *
+ * @param {string} body - Pull request body
+ * @param {string[]} workItemIds - Work item IDs to list
+ * @returns {string} Updated pull request body
+ */
+export function updateWorkItemsBlock(body, workItemIds) {
+  const authorText = removeWorkItemsBlock(body);
+  if (workItemIds.length === 0) {
+    return authorText;
+  }
+
+  const block = [
+    WORK_ITEMS_BLOCK_START,
+    '**Work items referenced in commits:**',
+    ...workItemIds.map(id => `- AB#${id}`),
+    WORK_ITEMS_BLOCK_END
+  ].join('\n');
+
+  const match = (body || '').match(WORK_ITEMS_BLOCK_PATTERN);
+  if (match) {
+    const before = body.slice(0, match.index);
+    return `${before}${before ? '\n\n' : ''}${block}${body.slice(match.index + match[0].length)}`;
+  }
+  return authorText ? `${authorText}\n\n${block}` : block;
+}
@@ -0,0 +1,187 @@
+/**
+ * Pull Request Slash Command Handlers
+ *
+ * Runs the `/azdo` commands parsed by slash-commands.js: checks the commenter may
+ * run them, applies `/azdo exempt`, `/azdo link` and `/azdo unlink`, and reacts to
+ * the comment with the outcome.
+ *
+ * @module slash-command-handlers
+ */
+
+import * as core from '@actions/core';
+import { removePullRequestLink } from './link-work-item.js';
+import { getPermissionLevel, hasPermission, reactToCommand } from './slash-commands.js';
+import { getInvalidWorkItems, getWorkItemViolations, linkPullRequestToWorkItem } from './work-items.js';
+
+/**
+ * Check that the commenter may run the slash command, replying on the pull request if not
+ * The pull request author can always run `/azdo recheck`, other commands need the slash-command-permission level
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} pullRequest - Pull request the command was posted on
+ * @param {Object} slashCommand - Command returned by parseSlashCommand
+ * @param {Object} settings - Settings returned by createSettings
+ * @returns {Promise<boolean>} True if the command can run
+ */
+export async function authorizeSlashCommand(octokit, context, pullRequest, slashCommand, settings) {
+  const { owner, repo } = context.repo;
+  const commenter = context.payload.comment.user?.login;
+
+  let rejection;
+  let reaction;
+  if (slashCommand.error) {
+    rejection = slashCommand.error;
+    reaction = 'confused';
+  } else if (!(slashCommand.name === 'recheck' && commenter === pullRequest.user?.login)) {
+    const requiredPermission = settings.getString('slash-command-permission');
+    const permission = await getPermissionLevel(octokit, context, commenter);
+    if (!hasPermission(permission, requiredPermission)) {
+      rejection = `You need ${requiredPermission} permission on this repository to run \`/azdo ${slashCommand.name}\`.`;
+      reaction = '-1';
+    }
+  }
+
+  if (!rejection) {
+    core.info(`Running /azdo ${slashCommand.name} for ${commenter}`);
+    return true;
+  }
+
+  core.info(`Not running the command from ${commenter}: ${rejection}`);
+  await reactToCommand(octokit, context, reaction);
+  await octokit.rest.issues.createComment({
+    owner,
+    repo,
+    issue_number: pullRequest.number,
+    body: `@${commenter} ${rejection}`
+  });
+  return false;
+}
+
+/**
+ * Exempt the pull request for `/azdo exempt` by adding the first exempt label, so later runs stay exempt
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {number} pullNumber - Pull request number
+ * @param {Object} slashCommand - Command returned by parseSlashCommand, with the reason
+ * @param {string[]} exemptLabels - Labels that exempt the pull request
+ * @returns {Promise<string|null>} Reason the pull request is exempt, or null if it can't be exempted
+ */
+export async function exemptPullRequestByCommand(octokit, context, pullNumber, slashCommand, exemptLabels) {
+  const { owner, repo } = context.repo;
+  const commenter = context.payload.comment.user?.login;
+
+  if (exemptLabels.length === 0) {
+    core.info('Not running /azdo exempt: no exempt-labels are configured');
+    await reactToCommand(octokit, context, '-1');
+    await octokit.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: pullNumber,
+      body: `@${commenter} \`/azdo exempt\` needs the \`exempt-labels\` setting, so the exemption is kept on later runs.`
+    });
+    return null;
+  }
+
+  core.info(`Adding the ${exemptLabels[0]} label to pull request #${pullNumber} ...`);
+  await octokit.rest.issues.addLabels({ owner, repo, issue_number: pullNumber, labels: [exemptLabels[0]] });
+  core.info('... success!');
+  await reactToCommand(octokit, context, '+1');
+  return `@${commenter} exempted it with \`/azdo exempt\`: ${slashCommand.reason}`;
+}
+
+/**
+ * Run the slash command once the exemptions are checked, reacting to the comment with the outcome
+ * `/azdo link` and `/azdo unlink` change the pull request link before the pull request is validated again
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} slashCommand - Command returned by parseSlashCommand
+ * @param {Object} settings - Settings returned by createSettings
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials() in index.js
+ * @param {Object} options - Values resolved for this run, see runWorkItemLinkCommand()
+ * @returns {Promise<boolean>} True if the pull request should be validated again
+ */
+export async function runSlashCommand(octokit, context, slashCommand, settings, azureDevops, options) {
+  if (slashCommand.name === 'link' || slashCommand.name === 'unlink') {
+    const succeeded = await runWorkItemLinkCommand(context, slashCommand, settings, azureDevops, options);
+    await reactToCommand(octokit, context, succeeded ? '+1' : '-1');
+    return succeeded;
+  }
+  if (slashCommand.name === 'recheck') {
+    await reactToCommand(octokit, context, '+1');
+  }
+  return true;
+}
+
+/**
+ * Run `/azdo link` or `/azdo unlink` for the work item in the command
+ *
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} slashCommand - Command returned by parseSlashCommand, with the work item ID
+ * @param {Object} settings - Settings returned by createSettings
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials() in index.js
+ * @param {Object} options - Values resolved for this run
+ * @param {number} options.pullNumber - Pull request number
+ * @param {string} options.githubToken - GitHub token
+ * @param {Object} options.workItemUpdates - Tags and fields to set on a linked work item, see linkPullRequestToWorkItem() in work-items.js
+ * @param {Object} options.workItemValidation - Retrieved work items cache and allowed states/types/projects, see run() in index.js
+ * @returns {Promise<boolean>} True if the link was changed (or would be, in a dry run)
+ */
+async function runWorkItemLinkCommand(context, slashCommand, settings, azureDevops, options) {
+  const { pullNumber, githubToken, workItemUpdates, workItemValidation } = options;
+  const { azureDevopsOrganization, azureDevopsUrl, azureDevopsToken, azureDevopsTokenType } = azureDevops;
+  const { workItemId } = slashCommand;
+  if (!(azureDevopsOrganization || azureDevopsUrl) || !azureDevopsToken) {
+    core.setFailed(`/azdo ${slashCommand.name} needs azure-devops-organization and azure-devops-token`);
+    return false;
+  }
+
+  if (slashCommand.name === 'link') {
+    // Only link work items that would pass validation if they were referenced in a commit
+    try {
+      const invalidWorkItems = await getInvalidWorkItems([workItemId], workItemValidation, azureDevops);
+      if (invalidWorkItems.length > 0) {
+        core.setFailed(
+          `Unable to link work item ${workItemId}: it ${getWorkItemViolations(workItemId, workItemValidation).join('; ')}`
+        );
+        return false;
+      }
+    } catch (error) {
+      core.setFailed(`Unable to link work item ${workItemId}: ${error.message}`);
+      return false;
+    }
+
+    const linkStatus = await linkPullRequestToWorkItem(context, settings, azureDevops, {
+      pullNumber,
+      workItemId,
+      githubToken,
+      commitShas: [],
+      workItemComment: '',
+      workItemUpdates
+    });
+    return linkStatus !== undefined;
+  }
+
+  const { owner, repo } = context.repo;
+  try {
+    const removed = await removePullRequestLink(
+      azureDevopsOrganization,
+      azureDevopsToken,
+      `${context.serverUrl}/${owner}/${repo}/pull/${pullNumber}`,
+      pullNumber,
+      workItemId,
+      azureDevopsUrl,
+      azureDevopsTokenType,
+      settings.getBoolean('dry-run')
+    );
+    if (!removed) {
+      core.info(`Work item ${workItemId} is not linked to pull request #${pullNumber}`);
+    }
+    return true;
+  } catch (error) {
+    core.setFailed(`Unable to unlink work item ${workItemId}: ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Pull Request Slash Commands
+ *
+ * Parses `/azdo` commands from pull request comments (`issue_comment` events) and
+ * checks that the commenter is allowed to run them.
+ *
+ * @module slash-commands
+ */
+
+import * as core from '@actions/core';
+
+/** Prefix of every slash command */
+export const SLASH_COMMAND_PREFIX = '/azdo';
+
+/** Usage of each command, shown when a command is malformed */
+const SLASH_COMMAND_USAGE = {
+  recheck: '`/azdo recheck`',
+  link: '`/azdo link AB#123`',
+  unlink: '`/azdo unlink AB#123`',
+  exempt: '`/azdo exempt <reason>`'
+};
+
+/** Repository permission levels, from least to most privileged */
+export const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+/**
+ * Parse the first `/azdo` command in a comment
+ *
+ * @param {string} body - Comment body
+ * @returns {Object|null} Command as {name, workItemId, reason} (with an `error` if it is malformed), or null if the comment has no command
+ */
+export function parseSlashCommand(body) {
+  const line = (body || '')
+    .split(/\r?\n/)
+    .map(commentLine => commentLine.trim())
+    .find(commentLine => commentLine === SLASH_COMMAND_PREFIX || commentLine.startsWith(`${SLASH_COMMAND_PREFIX} `));
+  if (!line) {
+    return null;
+  }
+
+  const [, name = '', argument = ''] = line.match(/^\S+\s*(\S*)\s*(.*)$/);
+  const command = { name: name.toLowerCase() };
+  const usage = SLASH_COMMAND_USAGE[command.name];
+  if (!usage) {
+    return {
+      ...command,
+      error: `Unknown command \`${line}\`. Use one of ${Object.values(SLASH_COMMAND_USAGE).join(', ')}.`
+    };
+  }
+
+  if (command.name === 'link' || command.name === 'unlink') {
+    const workItemId = argument.match(/^(?:AB#)?([0-9]+)$/i)?.[1];
+    return workItemId ? { ...command, workItemId } : { ...command, error: `Usage: ${usage}` };
+  }
+  if (command.name === 'exempt') {
+    return argument ? { ...command, reason: argument } : { ...command, error: `Usage: ${usage}` };
+  }
+  return command;
+}
+
+/**
+ * Check whether a permission level is at least the required level
+ *
+ * @param {string} permission - Commenter's permission level
+ * @param {string} requiredPermission - Required permission level, the slash-command-permission setting
+ * @returns {boolean} True if the commenter may run commands
+ */
+export function hasPermission(permission, requiredPermission) {
+  return PERMISSION_LEVELS.indexOf(permission) >= PERMISSION_LEVELS.indexOf(requiredPermission);
+}
+
+/**
+ * Get a user's permission level on the repository
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} username - GitHub login
+ * @returns {Promise<string>} Permission level, see PERMISSION_LEVELS
+ */
+export async function getPermissionLevel(octokit, context, username) {
+  const { owner, repo } = context.repo;
+  const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+  // role_name distinguishes triage and maintain, which permission reports as read and write,
+  // but is the role's own name for custom repository roles
+  return PERMISSION_LEVELS.includes(data.role_name) ? data.role_name : data.permission;
+}
+
+/**
+ * React to the comment containing the command
+ *
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub Actions context
+ * @param {string} content - Reaction (e.g. `+1`, `-1`, `confused`)
+ * @returns {Promise<void>}
+ */
+export async function reactToCommand(octokit, context, content) {
+  const { owner, repo } = context.repo;
+  try {
+    await octokit.rest.reactions.createForIssueComment({
+      owner,
+      repo,
+      comment_id: context.payload.comment.id,
+      content
+    });
+  } catch (error) {
+    core.warning(`Unable to react to comment ${context.payload.comment.id}: ${error.message}`);
+  }
+}
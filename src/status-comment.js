@@ -0,0 +1,39 @@
+/**
+ * Consolidated Status Comment
+ *
+ * Builds the single sticky pull request comment used with `comment-mode: consolidated`,
+ * with a checklist of every check and a section listing what needs fixing for each
+ * failed check.
+ *
+ * @module status-comment
+ */
+
+/**
+ * Build the body of the consolidated status comment
+ *
+ * @param {string} marker - Hidden comment marker used to find the comment again
+ * @param {Array} sections - Checks as {title, passed, skipped, failureTitle, details}, details is Markdown shown when the check failed
+ * and skipped is the reason a check didn't run (shown unchecked, but not counted as failed)
+ * @returns {string} Comment body starting with the marker
+ */
+export function buildStatusComment(marker, sections) {
+  const failedSections = sections.filter(section => !section.passed && !section.skipped);
+  const skippedSections = sections.filter(section => section.skipped);
+  const heading =
+    failedSections.length > 0
+      ? `:x: ${failedSections.length} of ${sections.length} work item check${sections.length === 1 ? '' : 's'} failed`
+      : skippedSections.length > 0
+        ? `:heavy_minus_sign: ${skippedSections.length} of ${sections.length} work item check${sections.length === 1 ? '' : 's'} not run`
+        : ':white_check_mark: All work item checks passed';
+
+  const checklist = sections
+    .map(section =>
+      section.skipped
+        ? `- [ ] ${section.title} _(not run: ${section.skipped})_`
+        : `- [${section.passed ? 'x' : ' '}] ${section.title}`
+    )
+    .join('\n');
+  const details = failedSections.map(section => `\n\n#### ${section.failureTitle}\n\n${section.details}`).join('');
+
+  return `${marker}\n### ${heading}\n\n${checklist}${details}`;
+}
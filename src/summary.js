@@ -0,0 +1,137 @@
+/**
+ * GitHub Job Summary Report
+ *
+ * Writes a job summary listing each commit and work item the action
+ * validated, so reviewers can audit a run without scrolling the logs.
+ *
+ * @module summary
+ */
+
+import * as core from '@actions/core';
+import { escapeHtml } from './html.js';
+
+/** Display text for each link status returned by the work item linker */
+const LINK_STATUS_TEXT = {
+  linked: 'Newly linked',
+  'already linked': 'Already linked',
+  'dry run': 'Would be linked (dry run)',
+  failed: 'Failed to link',
+  'not linked': 'Not linked'
+};
+
+/**
+ * Render a link, or plain text when there is no URL
+ *
+ * @param {string} text - Link text (already escaped)
+ * @param {string} [url] - Link target
+ * @returns {string} HTML link or the plain text
+ */
+function link(text, url) {
+  return url ? `<a href="${escapeHtml(url)}">${text}</a>` : text;
+}
+
+/**
+ * Write the job summary for a validation run
+ *
+ * @param {Object} report - Results of the run
+ * @param {number} [report.pullNumber] - Pull request number
+ * @param {string} [report.target] - What was validated (e.g. `push to main`), defaults to the pull request
+ * @param {Array} report.commits - Commits as {sha, shortSha, url, message, workItemIds, ignoreReason}
+ * @param {Array} report.workItems - Work items as {id, url, title, state, type, commit, linkStatus, validated, problems}
+ * @param {Array} [report.removedLinks] - Work items the pull request link was removed from, as {id, url}
+ * @param {string[]} report.failures - Reasons the run failed (empty if it passed)
+ * @param {string} [report.exemption] - Reason validation was skipped for an exempt pull request
+ * @param {boolean} [report.dryRun] - Whether the run was a dry run
+ * @returns {Promise<void>}
+ */
+export async function writeJobSummary(report) {
+  const { pullNumber, target, commits, workItems, removedLinks = [], failures, exemption, dryRun } = report;
+
+  core.summary.addHeading(`Azure DevOps work item validation for ${target ?? `pull request #${pullNumber}`}`, 2);
+
+  if (dryRun) {
+    core.summary.addRaw(
+      '<p>:test_tube: <strong>Dry run</strong> - no comments were posted and no work items were updated.</p>',
+      true
+    );
+  }
+
+  if (exemption) {
+    core.summary.addRaw(
+      `<p><strong>Result:</strong> :heavy_minus_sign: Skipped because ${escapeHtml(exemption)}</p>`,
+      true
+    );
+  } else if (failures.length === 0) {
+    core.summary.addRaw('<p><strong>Result:</strong> :white_check_mark: Passed</p>', true);
+  } else {
+    core.summary.addRaw('<p><strong>Result:</strong> :x: Failed</p>', true);
+    core.summary.addList(failures.map(escapeHtml));
+  }
+
+  if (commits.length > 0) {
+    core.summary.addHeading(`Commits (${commits.length})`, 3);
+    core.summary.addTable([
+      [
+        { data: 'Commit', header: true },
+        { data: 'Message', header: true },
+        { data: 'Work items', header: true }
+      ],
+      ...commits.map(commit => [
+        link(`<code>${escapeHtml(commit.shortSha)}</code>`, commit.url),
+        escapeHtml(commit.message.split('\n')[0]),
+        commit.ignoreReason
+          ? `:fast_forward: Skipped (${escapeHtml(commit.ignoreReason)})`
+          : commit.workItemIds.length > 0
+            ? commit.workItemIds.map(id => `AB#${id}`).join(', ')
+            : ':x: None'
+      ])
+    ]);
+  }
+
+  if (workItems.length > 0) {
+    core.summary.addHeading(`Work items (${workItems.length})`, 3);
+    core.summary.addTable([
+      [
+        { data: 'Work item', header: true },
+        { data: 'Title', header: true },
+        { data: 'State', header: true },
+        { data: 'Type', header: true },
+        { data: 'Referenced in', header: true },
+        { data: 'Pull request link', header: true },
+        { data: 'Validation', header: true }
+      ],
+      ...workItems.map(workItem => [
+        link(`AB#${escapeHtml(workItem.id)}`, workItem.url),
+        escapeHtml(workItem.title ?? '-'),
+        escapeHtml(workItem.state ?? '-'),
+        escapeHtml(workItem.type ?? '-'),
+        workItem.commit
+          ? link(`<code>${escapeHtml(workItem.commit.shortSha)}</code>`, workItem.commit.url)
+          : workItem.branch
+            ? 'Branch name'
+            : 'PR title/body',
+        LINK_STATUS_TEXT[workItem.linkStatus] ?? LINK_STATUS_TEXT['not linked'],
+        workItem.problems.length > 0
+          ? `:x: ${escapeHtml(workItem.problems.join('; '))}`
+          : workItem.validated
+            ? ':white_check_mark: Valid'
+            : '-'
+      ])
+    ]);
+  }
+
+  if (removedLinks.length > 0) {
+    core.summary.addHeading(
+      `${dryRun ? 'Stale pull request links to remove' : 'Removed stale pull request links'} (${removedLinks.length})`,
+      3
+    );
+    core.summary.addRaw('<p>These work items are no longer referenced by the pull request.</p>', true);
+    core.summary.addList(removedLinks.map(workItem => link(`AB#${escapeHtml(workItem.id)}`, workItem.url)));
+  }
+
+  try {
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Unable to write job summary: ${error.message}`);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Work Item Discussion Comment
+ *
+ * Builds the comment posted in the discussion of each work item linked to a pull
+ * request, so people following the work item in Azure Boards see which pull request
+ * it is linked to, who opened it and which commits reference it. The comment is
+ * found again on later runs and updated rather than posted twice.
+ *
+ * @module work-item-comment
+ */
+
+import { escapeHtml } from './html.js';
+
+/** Signature at the end of every work item comment, used with the pull request link to find the comment again */
+export const WORK_ITEM_COMMENT_SIGNATURE = 'Posted by the Azure DevOps Commit Validator, updated on every run.';
+
+/**
+ * Build the HTML of the comment posted on a work item linked to a pull request
+ *
+ * @param {string} pullRequestUrl - GitHub pull request URL, identifies the comment on later runs
+ * @param {string} repository - Repository as `owner/repo`
+ * @param {Object} pullRequest - Pull request ({number, title, user})
+ * @param {Array} commits - Commits that reference the work item ({sha, shortSha, url, message})
+ * @returns {string} Comment HTML
+ */
+export function buildWorkItemComment(pullRequestUrl, repository, pullRequest, commits) {
+  const author = pullRequest.user?.login;
+  const lines = [
+    `<p>Linked to GitHub pull request <a href="${escapeHtml(pullRequestUrl)}">${escapeHtml(repository)}#${pullRequest.number}</a>: ${escapeHtml(pullRequest.title)}</p>`
+  ];
+  if (author) {
+    lines.push(`<p>Opened by <a href="${escapeHtml(pullRequest.user.html_url)}">@${escapeHtml(author)}</a></p>`);
+  }
+
+  if (commits.length > 0) {
+    const commitItems = commits.map(commit => {
+      const shortSha = `<code>${escapeHtml(commit.shortSha)}</code>`;
+      const link = commit.url ? `<a href="${escapeHtml(commit.url)}">${shortSha}</a>` : shortSha;
+      return `<li>${link} ${escapeHtml(commit.message.split('\n')[0])}</li>`;
+    });
+    lines.push(`<p>Commits referencing this work item:</p><ul>${commitItems.join('')}</ul>`);
+  } else {
+    lines.push('<p>No commits in the pull request reference this work item.</p>');
+  }
+
+  lines.push(`<p><em>${WORK_ITEM_COMMENT_SIGNATURE}</em></p>`);
+  return lines.join('\n');
+}
+
+/**
+ * Find the comment previously posted for a pull request among a work item's comments
+ *
+ * @param {Array} comments - Work item comments ({id, text})
+ * @param {string} pullRequestUrl - GitHub pull request URL
+ * @returns {Object|undefined} The comment, or undefined if there is none yet
+ */
+export function findWorkItemComment(comments, pullRequestUrl) {
+  // Match the quoted link so pull request 4 doesn't find the comment of pull request 42
+  const pullRequestLink = `href="${escapeHtml(pullRequestUrl)}"`;
+  return comments.find(
+    comment => comment.text?.includes(WORK_ITEM_COMMENT_SIGNATURE) && comment.text.includes(pullRequestLink)
+  );
+}
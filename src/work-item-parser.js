@@ -0,0 +1,132 @@
+/**
+ * Azure DevOps Work Item Reference Parser
+ *
+ * Extracts Azure DevOps work item IDs from commit messages and pull request
+ * titles/bodies using one or more configurable regular expressions. Each
+ * pattern must expose the work item number through a named `id` capture group.
+ * The keyword in front of a reference (e.g. `Fixes AB#123`) is captured too.
+ *
+ * @module work-item-parser
+ */
+
+/** Default pattern matching Azure Boards work item references (AB#123) */
+export const DEFAULT_WORK_ITEM_PATTERN = 'AB#(?<id>[0-9]+)';
+
+/** Keywords that close the work item when the pull request is merged, like Azure Boards' `Fixes AB#123` */
+export const CLOSING_KEYWORDS = ['fixes', 'closes', 'resolves'];
+
+/** Matches a keyword at the end of the text in front of a reference (e.g. `Fix`, `fixed:`, `Closes` or `Relates to`) */
+const KEYWORD_PATTERN = /\b(fix(?:e[sd])?|close[sd]?|resolve[sd]?|relate[sd]?(?:\s+to)?)\s*:?\s*$/i;
+
+/** Normalized keyword for the first three letters of each keyword */
+const KEYWORDS_BY_STEM = { fix: 'fixes', clo: 'closes', res: 'resolves', rel: 'relates' };
+
+/**
+ * Compile the work item patterns supplied via the `work-item-pattern` input
+ *
+ * @param {string[]} patternSources - Regular expression sources, one per pattern
+ * @param {string} [inputName] - Input the patterns come from, for error messages
+ * @returns {RegExp[]} Compiled case-insensitive global patterns (defaults to `AB#123` when none are supplied)
+ * @throws {Error} If a pattern is not a valid regular expression or lacks a named `id` capture group
+ */
+export function buildWorkItemPatterns(patternSources, inputName = 'work-item-pattern') {
+  const sources = (patternSources || []).map(source => source.trim()).filter(source => source.length > 0);
+  if (sources.length === 0) {
+    sources.push(DEFAULT_WORK_ITEM_PATTERN);
+  }
+
+  return sources.map(source => {
+    let pattern;
+    try {
+      pattern = new RegExp(source, 'gi');
+    } catch (error) {
+      throw new Error(`Invalid ${inputName} \`${source}\`: ${error.message}`);
+    }
+
+    // The empty alternative matches any text, so the match lists every named group of the pattern
+    if (!('id' in (new RegExp(`${source}|`).exec('').groups ?? {}))) {
+      throw new Error(`Invalid ${inputName} \`${source}\`: pattern must contain a named capture group \`(?<id>...)\``);
+    }
+
+    return pattern;
+  });
+}
+
+/**
+ * Describe the work item reference format, for messages asking to add a reference
+ *
+ * @param {RegExp[]} patterns - Patterns returned by buildWorkItemPatterns
+ * @returns {string} The `AB#xxx` format for the default pattern, otherwise the configured patterns
+ */
+export function describeWorkItemReference(patterns) {
+  const sources = patterns.map(pattern => pattern.source);
+  if (sources.length === 1 && sources[0] === DEFAULT_WORK_ITEM_PATTERN) {
+    return 'a work item reference (`AB#xxx`)';
+  }
+  return `a work item reference matching \`work-item-pattern\` (${sources.map(source => `\`${source}\``).join(', ')})`;
+}
+
+/**
+ * Extract the unique work item IDs referenced in a piece of text
+ *
+ * @param {string} text - Commit message or pull request title/body
+ * @param {RegExp[]} patterns - Patterns returned by buildWorkItemPatterns
+ * @returns {string[]} Unique work item IDs in order of first appearance
+ */
+export function extractWorkItemIds(text, patterns) {
+  const workItemIds = new Set();
+
+  for (const pattern of patterns) {
+    for (const match of (text || '').matchAll(pattern)) {
+      const workItemId = match.groups?.id;
+      if (workItemId && /^[0-9]+$/.test(workItemId)) {
+        workItemIds.add(workItemId);
+      }
+    }
+  }
+
+  return [...workItemIds];
+}
+
+/**
+ * Rank a keyword so a closing keyword wins over `relates`, and any keyword over none
+ *
+ * @param {string|null} keyword - Normalized keyword
+ * @returns {number} 2 for closing keywords, 1 for other keywords, 0 for none
+ */
+function getKeywordRank(keyword) {
+  if (CLOSING_KEYWORDS.includes(keyword)) {
+    return 2;
+  }
+  return keyword ? 1 : 0;
+}
+
+/**
+ * Extract the unique work item references in a piece of text with the keyword in front of each one
+ * A work item referenced more than once keeps its first closing keyword, or otherwise its first keyword
+ *
+ * @param {string} text - Commit message or pull request title/body
+ * @param {RegExp[]} patterns - Patterns returned by buildWorkItemPatterns
+ * @returns {Array} References as {id, keyword}, keyword is `fixes`, `closes`, `resolves`, `relates` or null
+ */
+export function extractWorkItemReferences(text, patterns) {
+  const references = new Map();
+
+  for (const pattern of patterns) {
+    for (const match of (text || '').matchAll(pattern)) {
+      const workItemId = match.groups?.id;
+      if (!workItemId || !/^[0-9]+$/.test(workItemId)) {
+        continue;
+      }
+
+      const stem = text.slice(0, match.index).match(KEYWORD_PATTERN)?.[1].slice(0, 3).toLowerCase();
+      const keyword = stem ? KEYWORDS_BY_STEM[stem] : null;
+      const existing = references.get(workItemId);
+      if (!existing || getKeywordRank(keyword) > getKeywordRank(existing.keyword)) {
+        references.set(workItemId, { id: workItemId, keyword });
+      }
+    }
+  }
+
+  return [...references.values()];
+}
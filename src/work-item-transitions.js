@@ -0,0 +1,63 @@
+/**
+ * Work Item Transitions on Merge
+ *
+ * Decides which work items a merged pull request closes (those referenced with a
+ * closing keyword such as `Fixes AB#123`) and the state each one moves to, from
+ * the `closed-work-item-states` mapping of work item type to state.
+ *
+ * @module work-item-transitions
+ */
+
+import { CLOSING_KEYWORDS, extractWorkItemReferences } from './work-item-parser.js';
+
+/** Work item type in closed-work-item-states that applies to every type without its own entry */
+const ANY_WORK_ITEM_TYPE = '*';
+
+/**
+ * Parse the closed-work-item-states entries
+ *
+ * @param {string[]} entries - Entries as `Work item type=State`, e.g. `Bug=Resolved` or `*=Closed`
+ * @returns {Map<string, string>} Map of lowercase work item type (or `*`) to state
+ * @throws {Error} If an entry is not in the `Work item type=State` format
+ */
+export function parseClosedWorkItemStates(entries) {
+  const closedStates = new Map();
+  for (const entry of entries) {
+    const [type, state, ...rest] = entry.split('=').map(part => part.trim());
+    if (!type || !state || rest.length > 0) {
+      throw new Error(`Invalid closed-work-item-states entry \`${entry}\`: expected \`Work item type=State\``);
+    }
+    closedStates.set(type.toLowerCase(), state);
+  }
+  return closedStates;
+}
+
+/**
+ * Get the state a work item of the given type moves to when it is closed
+ *
+ * @param {Map<string, string>} closedStates - Mapping returned by parseClosedWorkItemStates
+ * @param {string} type - Work item type (case-insensitive)
+ * @returns {string|undefined} The state for the type, the `*` state, or undefined if neither is set
+ */
+export function getClosedState(closedStates, type) {
+  return closedStates.get((type || '').toLowerCase()) ?? closedStates.get(ANY_WORK_ITEM_TYPE);
+}
+
+/**
+ * Get the work items referenced with a closing keyword (e.g. `Fixes AB#123`)
+ *
+ * @param {string[]} texts - Pull request title/body and commit messages
+ * @param {RegExp[]} patterns - Patterns returned by buildWorkItemPatterns
+ * @returns {string[]} Unique work item IDs in order of first appearance
+ */
+export function getClosingWorkItemIds(texts, patterns) {
+  const workItemIds = new Set();
+  for (const text of texts) {
+    for (const reference of extractWorkItemReferences(text, patterns)) {
+      if (CLOSING_KEYWORDS.includes(reference.keyword)) {
+        workItemIds.add(reference.id);
+      }
+    }
+  }
+  return [...workItemIds];
+}
@@ -0,0 +1,71 @@
+/**
+ * Work Item Field Updates
+ *
+ * Validates and renders the `work-item-field-updates` mapping of work item field
+ * reference name (e.g. `Custom.Repository`) to a value with `{{placeholder}}`
+ * values for the pull request. The rendered fields and the `work-item-tags-to-add`
+ * tags are applied by the linker in the same update that adds the pull request link.
+ *
+ * @module work-item-updates
+ */
+
+import { PLACEHOLDER_PATTERN, renderPlaceholders } from './comment-templates.js';
+
+/** Placeholders available in field values */
+export const WORK_ITEM_FIELD_PLACEHOLDERS = ['repo', 'prNumber', 'prTitle', 'prUrl', 'prAuthor'];
+
+/** Matches a field reference name, which becomes part of the JSON patch path */
+const FIELD_REFERENCE_NAME_PATTERN = /^[A-Za-z][\w.]*$/;
+
+/** Tags are set with work-item-tags-to-add, which keeps the work item's existing tags */
+const TAGS_FIELD = 'System.Tags';
+
+/**
+ * Check field updates from the configuration file or the work-item-field-updates input
+ *
+ * @param {*} fieldUpdates - Mapping of field reference name to value
+ * @returns {string[]} Problems found (empty if the field updates are valid)
+ */
+export function validateWorkItemFieldUpdates(fieldUpdates) {
+  if (typeof fieldUpdates !== 'object' || fieldUpdates === null || Array.isArray(fieldUpdates)) {
+    return ['`work-item-field-updates` must be a mapping of field reference names to values'];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(fieldUpdates)) {
+    if (!FIELD_REFERENCE_NAME_PATTERN.test(field)) {
+      errors.push(`\`${field}\` in \`work-item-field-updates\` is not a field reference name (e.g. Custom.Repository)`);
+      continue;
+    }
+    if (field.toLowerCase() === TAGS_FIELD.toLowerCase()) {
+      errors.push(`\`${TAGS_FIELD}\` can't be set in \`work-item-field-updates\`, use \`work-item-tags-to-add\``);
+      continue;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push(`\`work-item-field-updates.${field}\` must be a string, number or boolean`);
+      continue;
+    }
+
+    for (const [, placeholder] of String(value).matchAll(PLACEHOLDER_PATTERN)) {
+      if (!WORK_ITEM_FIELD_PLACEHOLDERS.includes(placeholder)) {
+        errors.push(
+          `unknown placeholder \`{{${placeholder}}}\` in \`work-item-field-updates.${field}\` (expected one of ${WORK_ITEM_FIELD_PLACEHOLDERS.join(', ')})`
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Render the placeholders in the field values
+ *
+ * @param {Object} fieldUpdates - Mapping of field reference name to value, see validateWorkItemFieldUpdates()
+ * @param {Object} values - Placeholder values, see WORK_ITEM_FIELD_PLACEHOLDERS
+ * @returns {Object} Mapping of field reference name to rendered value
+ */
+export function renderWorkItemFieldUpdates(fieldUpdates, values) {
+  return Object.fromEntries(
+    Object.entries(fieldUpdates).map(([field, value]) => [field, renderPlaceholders(String(value), values)])
+  );
+}
@@ -0,0 +1,108 @@
+/**
+ * Azure DevOps Work Items
+ *
+ * Validates referenced work items against the allowed states, types and projects,
+ * and links the pull request to a work item with the linker in link-work-item.js.
+ * Used by the commit and pull request checks and by the `/azdo link` command.
+ *
+ * @module work-items
+ */
+
+import { run as linkWorkItem, getWorkItems } from './link-work-item.js';
+
+/**
+ * Determine which work items are not valid in Azure DevOps
+ * Work items not already retrieved are fetched together in batches
+ *
+ * @param {string[]} workItemIds - Work item IDs to validate
+ * @param {Object} workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials()
+ * @returns {Promise<string[]>} Work item IDs that do not exist or violate the allowed states/types/projects
+ */
+export async function getInvalidWorkItems(workItemIds, workItemValidation, azureDevops) {
+  const { azureDevopsOrganization, azureDevopsUrl, azureDevopsToken, azureDevopsTokenType } = azureDevops;
+  const uncachedWorkItemIds = workItemIds.filter(workItemId => !workItemValidation.workItems.has(workItemId));
+
+  if (uncachedWorkItemIds.length > 0) {
+    const workItems = await getWorkItems(
+      azureDevopsOrganization,
+      azureDevopsToken,
+      uncachedWorkItemIds,
+      azureDevopsUrl,
+      azureDevopsTokenType
+    );
+    for (const [workItemId, workItem] of workItems) {
+      workItemValidation.workItems.set(workItemId, workItem);
+    }
+  }
+
+  return workItemIds.filter(workItemId => getWorkItemViolations(workItemId, workItemValidation).length > 0);
+}
+
+/**
+ * Describe why a retrieved work item is not valid
+ *
+ * @param {string} workItemId - Work item ID
+ * @param {Object} workItemValidation - Retrieved work items cache and allowed states/types/projects, see run()
+ * @returns {string[]} Reasons the work item is not valid (empty if it is valid)
+ */
+export function getWorkItemViolations(workItemId, workItemValidation) {
+  const workItem = workItemValidation.workItems.get(workItemId);
+  if (!workItem) {
+    return ['does not exist in Azure DevOps'];
+  }
+
+  const { allowedStates, allowedTypes, allowedProjects } = workItemValidation;
+  const isAllowed = (value, allowedValues) =>
+    allowedValues.length === 0 || allowedValues.some(allowed => allowed.toLowerCase() === value.toLowerCase());
+  const formatAllowed = allowedValues => allowedValues.map(allowed => `\`${allowed}\``).join(', ');
+
+  const violations = [];
+  if (!isAllowed(workItem.state, allowedStates)) {
+    violations.push(`is in state \`${workItem.state}\` (allowed: ${formatAllowed(allowedStates)})`);
+  }
+  if (!isAllowed(workItem.type, allowedTypes)) {
+    violations.push(`is of type \`${workItem.type}\` (allowed: ${formatAllowed(allowedTypes)})`);
+  }
+  if (!isAllowed(workItem.project, allowedProjects)) {
+    violations.push(`belongs to project \`${workItem.project}\` (allowed: ${formatAllowed(allowedProjects)})`);
+  }
+  return violations;
+}
+
+/**
+ * Link the pull request (and optionally commits) to a work item with the linker in link-work-item.js
+ *
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} settings - Settings returned by createSettings
+ * @param {Object} azureDevops - Azure DevOps organization and credentials, see getAzureDevopsCredentials()
+ * @param {Object} link - The link to create
+ * @param {number} link.pullNumber - Pull request number
+ * @param {string} link.workItemId - Work item ID
+ * @param {string} link.githubToken - GitHub token
+ * @param {string[]} link.commitShas - Commits to also link to the work item
+ * @param {string} link.workItemComment - Comment to post on the work item (HTML), empty for none
+ * @param {Object} link.workItemUpdates - {tags, fields} to set on the work item: tags to add and a mapping of field reference name to value
+ * @returns {Promise<string|undefined>} Link status returned by the linker, undefined if linking failed
+ */
+export async function linkPullRequestToWorkItem(context, settings, azureDevops, link) {
+  const { pullNumber, workItemId, githubToken, commitShas, workItemComment, workItemUpdates } = link;
+
+  // Set environment variables for main.js
+  process.env.REPO_TOKEN = githubToken;
+  process.env.AZURE_DEVOPS_ORG = azureDevops.azureDevopsOrganization;
+  process.env.AZURE_DEVOPS_URL = azureDevops.azureDevopsUrl;
+  process.env.AZURE_DEVOPS_PAT = azureDevops.azureDevopsToken;
+  process.env.AZURE_DEVOPS_TOKEN_TYPE = azureDevops.azureDevopsTokenType;
+  process.env.WORKITEMID = workItemId;
+  process.env.PULLREQUESTID = pullNumber.toString();
+  process.env.REPO = `${context.repo.owner}/${context.repo.repo}`;
+  process.env.GITHUB_SERVER_URL = process.env.GITHUB_SERVER_URL || 'https://github.com';
+  process.env.DRY_RUN = settings.getBoolean('dry-run').toString();
+  process.env.COMMITSHAS = commitShas.join(',');
+  process.env.WORK_ITEM_COMMENT = workItemComment;
+  process.env.WORK_ITEM_TAGS = workItemUpdates.tags.join(';');
+  process.env.WORK_ITEM_FIELDS = JSON.stringify(workItemUpdates.fields);
+
+  return linkWorkItem();
+}